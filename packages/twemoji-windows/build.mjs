@@ -1,15 +1,41 @@
 import { build } from "esbuild";
 import fs from "node:fs";
+import { EMOJI_NAMES } from "./src/emoji-names.js";
 
 fs.rmSync("dist", { recursive: true, force: true });
 fs.mkdirSync("dist", { recursive: true });
 
-await build({
-  entryPoints: { "twemoji-windows.min": "src/index.js" },
+const common = {
   outdir: "dist",
   bundle: true,
-  minify: true,
   sourcemap: true,
   target: ["es2020"],
-  format: "iife"
+};
+
+// Runtime loader: fetches twemoji.min.js from the CDN, and the short names below when labels are on.
+// See README.md for the sizes of each build.
+await build({
+  ...common,
+  entryPoints: { "twemoji-windows.min": "src/index.js" },
+  minify: true,
+  format: "iife",
 });
+
+// Self-contained: built-in emoji parser, no external script (short names fetched as above)
+await build({
+  ...common,
+  entryPoints: { "twemoji-windows.bundle.min": "src/bundle.js" },
+  minify: true,
+  format: "iife",
+});
+
+// ESM for bundler users (built-in parser, not minified)
+await build({
+  ...common,
+  entryPoints: { "twemoji-windows.esm": "src/esm.js" },
+  minify: false,
+  format: "esm",
+});
+
+// Short name table (aria-label / title), kept out of every build
+fs.writeFileSync("dist/twemoji-windows.names.json", JSON.stringify(EMOJI_NAMES));
@@ -0,0 +1,75 @@
+// gen-data.mjs
+// Regenerate src/emoji-data.js and src/emoji-names.js from unicode-emoji-json (run: npm run gen:data).
+//
+// emoji-data.js (versions, skin tones) is bundled into every build; emoji-names.js is
+// large and only written out as twemoji-windows.names.json (see build.mjs).
+//
+// Keys are Twemoji icon ids (codepoints joined by "-", VS16 dropped unless the
+// sequence contains a ZWJ), without skin tone modifiers.
+import fs from "node:fs";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const byEmoji = require("unicode-emoji-json/data-by-emoji.json");
+const components = require("unicode-emoji-json/data-emoji-components.json");
+const pkg = require("unicode-emoji-json/package.json");
+
+// Emoji 11.0 (2018) and later: older emoji render fine on supported Windows versions.
+const MIN_VERSION = 11;
+
+function toIconId(raw) {
+  const str = raw.includes("\u200D") ? raw : raw.replace(/\uFE0F/g, "");
+  return [...str].map((ch) => ch.codePointAt(0).toString(16)).join("-");
+}
+
+const versions = {};
+const names = [];
+for (const [emoji, info] of Object.entries(byEmoji)) {
+  names.push([toIconId(emoji), info.name]);
+
+  const v = info.emoji_version;
+  if (!v || Number(v) < MIN_VERSION) continue;
+  (versions[v] = versions[v] || []).push(toIconId(emoji));
+}
+
+const lines = Object.keys(versions)
+  .sort((a, b) => Number(a) - Number(b))
+  .map((v) => `    '${v}': '${versions[v].sort().join(" ")}'`);
+
+const tones = Object.entries(components)
+  .filter(([, ch]) => /^[\u{1F3FB}-\u{1F3FF}]$/u.test(ch))
+  .map(([slug, ch]) => `    '${toIconId(ch)}': '${slug.replace(/_/g, " ")}'`);
+
+const nameLines = names
+  .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+  .map(([id, name]) => `    '${id}': '${name.replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`);
+
+const out = `// emoji-data.js
+// GENERATED by gen-data.mjs from unicode-emoji-json@${pkg.version} - do not edit.
+
+// Emoji version -> space-separated Twemoji icon ids (Emoji ${MIN_VERSION}.0 and later only)
+export var EMOJI_VERSIONS = {
+${lines.join(",\n")}
+};
+
+export var EMOJI_VERSIONS_MIN = ${MIN_VERSION};
+
+// Skin tone modifier id -> name, appended as "<name>: <tone>"
+export var SKIN_TONE_NAMES = {
+${tones.join(",\n")}
+};
+`;
+
+const namesOut = `// emoji-names.js
+// GENERATED by gen-data.mjs from unicode-emoji-json@${pkg.version} - do not edit.
+
+// Twemoji icon id -> CLDR short name (base emoji, skin tones stripped)
+export var EMOJI_NAMES = {
+${nameLines.join(",\n")}
+};
+`;
+
+fs.writeFileSync("src/emoji-data.js", out, "utf8");
+fs.writeFileSync("src/emoji-names.js", namesOut, "utf8");
+console.log(`wrote src/emoji-data.js (${Object.values(versions).flat().length} versioned icons)`);
+console.log(`wrote src/emoji-names.js (${names.length} names)`);
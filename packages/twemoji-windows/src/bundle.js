@@ -0,0 +1,22 @@
+// twemoji-windows.bundle.js
+//
+// Self-contained IIFE entry (twemoji-windows.bundle.min.js): uses the built-in
+// parser, so no twemoji.min.js is fetched at runtime (`script` /
+// `fallbackScript` are ignored; assets are still loaded from `base`). The short
+// name table is not built in: as with the runtime loader, twemoji-windows.names.json
+// is fetched when labels / titles are enabled.
+import { readConfig, start } from './core.js';
+import parser from './parser.js';
+
+// Must be captured synchronously: currentScript is null once the script has run.
+var currentScript = document.currentScript;
+
+// The short name table is published next to this script (see build.mjs)
+var scriptDefaults = currentScript && currentScript.src
+    ? { names: new URL('twemoji-windows.names.json', currentScript.src).href }
+    : null;
+
+window.TwemojiWindows = start(
+    readConfig([scriptDefaults, window.TwemojiWindowsConfig, currentScript && currentScript.dataset]),
+    parser
+);
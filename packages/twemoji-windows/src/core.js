@@ -0,0 +1,1196 @@
+// core.js
+/*!
+ * twemoji-windows.js
+ *
+ * Windows emoji rendering fix using Twemoji.
+ *
+ * Replaces native emoji rendering with SVG-based Twemoji
+ * for elements marked with `.d-emoji`, on browsers that cannot
+ * render flags / recent emoji natively (canvas probe, or UA gate).
+ *
+ * Configurable via `window.TwemojiWindowsConfig` or `data-*`
+ * attributes on the script tag (see "Configuration" below).
+ *
+ * Copyright (c) 2025 Rafal Masiarek
+ *
+ * MIT License
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import { EMOJI_VERSIONS, EMOJI_VERSIONS_MIN, SKIN_TONE_NAMES } from './emoji-data.js';
+
+// ------------------------------------------------------------
+// Configuration
+// ------------------------------------------------------------
+//
+// Precedence in the IIFE builds (lowest -> highest):
+//   1) built-in defaults (below)
+//   2) window.TwemojiWindowsConfig = { ... } (set before the script runs)
+//   3) data-* attributes on the <script> tag
+//
+// The ESM build takes the same keys as an object: init({ ... }).
+//
+// Supported keys (data attribute in brackets):
+//   cdn       [data-cdn]       Twemoji package root on the CDN. Must end with "/".
+//   version   [data-version]   "@latest" (default), "@stable", "@beta" or a pinned version ("15.1.0").
+//   script    [data-script]    Full URL of twemoji.min.js (overrides cdn + version).
+//   base      [data-base]      Base URL for Twemoji assets (overrides cdn + version). Must end with "/".
+//   selector  [data-selector]  Elements to parse (default ".d-emoji").
+//   folder    [data-folder]    Asset folder under base (default "svg"; use "72x72" for PNG).
+//   ext       [data-ext]       Asset extension (default ".svg"; use ".png" for PNG).
+//   mode      [data-mode]      When to activate (default "auto"):
+//                                "auto"   canvas probe: activate only if flags / recent ZWJ sequences
+//                                         do not render natively (falls back to "ua" without canvas)
+//                                "ua"     user-agent regex gate (see `ua`); the behaviour of 4.0.0, which
+//                                         only ran on Windows (see README.md)
+//                                "always" / "never"
+//   ua        [data-ua]        User-agent regex for mode "ua" (default "Windows").
+//   render    [data-render]    How emoji are rendered (default "img"):
+//                                "img"        <img> per emoji pointing at <base><folder>/<codepoint><ext>
+//                                "inline-svg" fetches <base>svg/<codepoint>.svg once per emoji and inlines
+//                                             the markup (sized 1em, inherits font-size / currentColor)
+//                                "sprite"     <svg><use href="#<codepoint>"> against a single sprite sheet
+//                                             (falls back to "img" when the sheet cannot be loaded)
+//   sprite    [data-sprite]    Sprite sheet URL for render "sprite" (default: <cdn><version>/assets/sprite.svg,
+//                              built from assets/svg when the CDN publishes Twemoji). Format, one symbol per asset:
+//                                <svg><symbol id="<codepoint>" viewBox="0 0 36 36">...</symbol>...</svg>
+//                              Shadow roots and iframes get their own copy of the symbols they use.
+//   fallbackScript [data-fallback-script]  Alternate twemoji.min.js URL, tried when `script` fails (default: none).
+//   fallbackBase   [data-fallback-base]    Alternate assets base, tried once per image that fails (default: none).
+//                                          When that fails too (or is not set), the native character is restored.
+//   timeout   [data-timeout]   Twemoji script load timeout in ms (default 10000, 0 disables).
+//   shadow    [data-shadow]    "true" to also parse/observe open shadow roots (default "false").
+//                              Note: page CSS for `img.emoji` does not reach into shadow roots.
+//   iframes   [data-iframes]   "true" to also parse/observe same-origin iframes (default "false").
+//   filter    [data-filter]    Only replace matching emoji (default: all). Comma-separated, any match wins:
+//                                "flags"        country and subdivision flags
+//                                "unicode>=14"  emoji added in Emoji 14.0 or later (version data covers 11.0+,
+//                                               older emoji never match)
+//                                "1f1f5-1f1f1"  explicit Twemoji codepoint ids
+//                              or a function (icon) -> boolean (window.TwemojiWindowsConfig / ESM only).
+//   label     [data-label]     "true" (default): aria-label with the emoji short name (CLDR names, see `names`).
+//   title     [data-title]     "true": also set title (tooltip) to the short name (default "false").
+//   names     [data-names]     URL of the short name table, fetched once when `label` or `title` is on
+//                              (default: twemoji-windows.names.json next to the script or ESM module; no
+//                              build has it built in). The first pass does not wait for it: emoji rendered
+//                              before it arrives are labelled afterwards. Without it, emoji keep their alt text.
+//   role      [data-role]      "true": add role="img" to generated <img> (default "false"; <svg> always has it).
+//   loading   [data-loading]   <img loading> value (default "lazy"; "none" leaves it unset).
+//   decoding  [data-decoding]  <img decoding> value (default "async"; "none" leaves it unset).
+//   draggable [data-draggable] <img draggable> value (default "false", as Twemoji).
+//
+// Example:
+//   <script src=".../twemoji-windows.min.js" data-version="15.1.0" data-folder="72x72" data-ext=".png"></script>
+
+export var DEFAULTS = {
+    cdn: 'https://cdn.masiarek.pl/twemoji/',
+    version: '@latest',
+    script: '',
+    base: '',
+    selector: '.d-emoji',
+    folder: 'svg',
+    ext: '.svg',
+    mode: 'auto',
+    ua: 'Windows',
+    render: 'img',
+    sprite: '',
+    fallbackScript: '',
+    fallbackBase: '',
+    timeout: '10000',
+    shadow: 'false',
+    iframes: 'false',
+    filter: '',
+    label: 'true',
+    title: 'false',
+    names: '',
+    role: 'false',
+    loading: 'lazy',
+    decoding: 'async',
+    draggable: 'false'
+};
+
+/**
+ * Merge config sources over DEFAULTS (later sources win).
+ * Sources are plain objects (window.TwemojiWindowsConfig) or DOMStringMaps (script.dataset);
+ * values are normalized to strings, empty strings are ignored. Functions are kept as-is
+ * (used by `filter`).
+ *
+ * @param {Array<object|null|undefined>} sources
+ * @returns {Record<string, string|function>}
+ */
+export function readConfig(sources) {
+    var out = {};
+    var key;
+
+    for (key in DEFAULTS) out[key] = DEFAULTS[key];
+
+    for (var i = 0; i < sources.length; i++) {
+        var src = sources[i];
+        if (!src || typeof src !== 'object') continue;
+
+        for (key in DEFAULTS) {
+            var v = src[key];
+            if (typeof v === 'number' || typeof v === 'boolean') v = String(v);
+            if ((typeof v === 'string' && v !== '') || typeof v === 'function') out[key] = v;
+        }
+    }
+
+    return out;
+}
+
+// ------------------------------------------------------------
+// Emoji filter
+// ------------------------------------------------------------
+
+var versionIndex = null;
+
+// Emoji version of a Twemoji icon id (skin tones ignored), 0 when older than EMOJI_VERSIONS_MIN.
+function emojiVersion(icon) {
+    if (!versionIndex) {
+        versionIndex = {};
+        for (var v in EMOJI_VERSIONS) {
+            var ids = EMOJI_VERSIONS[v].split(' ');
+            for (var i = 0; i < ids.length; i++) versionIndex[ids[i]] = Number(v);
+        }
+    }
+
+    var key = icon.replace(/-1f3f[b-f]/g, '').replace(/^1f3f[b-f]-/, '');
+    if (versionIndex[key]) return versionIndex[key];
+
+    // Unknown sequence (e.g. skin-toned variant of a newer base): newest component wins
+    var parts = key.split('-');
+    var max = 0;
+    for (var j = 0; j < parts.length; j++) max = Math.max(max, versionIndex[parts[j]] || 0);
+    return max;
+}
+
+// Regional indicator pair, or black flag + tag sequence
+function isFlag(icon) {
+    return /^1f1(?:e[6-9a-f]|f[0-9a-f])-1f1(?:e[6-9a-f]|f[0-9a-f])$/.test(icon) || /^1f3f4-e00/.test(icon);
+}
+
+function versionAtLeast(min) {
+    return function (icon) {
+        var v = emojiVersion(icon);
+        return v >= EMOJI_VERSIONS_MIN && v >= min;
+    };
+}
+
+/**
+ * Build an icon predicate from a `filter` config value.
+ *
+ * @param {string|function} spec
+ * @returns {function(string): boolean|null} null when every emoji should be replaced
+ */
+export function createFilter(spec) {
+    if (typeof spec === 'function') {
+        return function (icon) {
+            try {
+                return !!spec(icon);
+            } catch (e) {
+                return false;
+            }
+        };
+    }
+
+    var tests = [];
+    var ids = null;
+    var tokens = String(spec || '').split(',');
+
+    for (var i = 0; i < tokens.length; i++) {
+        var token = tokens[i].replace(/\s+/g, '').toLowerCase();
+        var m;
+
+        if (!token) continue;
+        if (token === 'flags') {
+            tests.push(isFlag);
+        } else if ((m = /^(?:unicode|emoji)>=(\d+(?:\.\d+)?)$/.exec(token))) {
+            tests.push(versionAtLeast(Number(m[1])));
+        } else if (/^(?:u\+)?[0-9a-f]+(?:-[0-9a-f]+)*$/.test(token)) {
+            ids = ids || {};
+            ids[token.replace(/^u\+/, '')] = true;
+        }
+    }
+
+    if (ids) {
+        tests.push(function (icon) {
+            return ids[icon] === true;
+        });
+    }
+
+    if (!tests.length) return null;
+
+    return function (icon) {
+        for (var j = 0; j < tests.length; j++) {
+            if (tests[j](icon)) return true;
+        }
+        return false;
+    };
+}
+
+/**
+ * Short name of a Twemoji icon id, e.g. "thumbs up: medium skin tone".
+ *
+ * @param {string} icon
+ * @param {Record<string, string>} names icon id -> CLDR short name (EMOJI_NAMES in emoji-names.js)
+ * @returns {string} empty when unknown
+ */
+export function emojiName(icon, names) {
+    var parts = icon.split('-');
+    var base = [];
+    var tones = [];
+
+    for (var i = 0; i < parts.length; i++) {
+        if (SKIN_TONE_NAMES[parts[i]] && i > 0) {
+            if (tones.indexOf(SKIN_TONE_NAMES[parts[i]]) < 0) tones.push(SKIN_TONE_NAMES[parts[i]]);
+        } else {
+            base.push(parts[i]);
+        }
+    }
+
+    var name = names[base.join('-')] || names[icon] || '';
+    return name && tones.length ? name + ': ' + tones.join(', ') : name;
+}
+
+function isTrue(v) {
+    return /^(1|true|yes|on)$/i.test(String(v || '').trim());
+}
+
+function withTrailingSlash(url) {
+    return url.charAt(url.length - 1) === '/' ? url : url + '/';
+}
+
+// "latest" -> "@latest", "15.1.0" -> "v15.1.0", "v15.1.0" / "@stable" -> unchanged
+function normalizeVersion(v) {
+    v = String(v || '').trim();
+    if (!v) return DEFAULTS.version;
+    if (/^(latest|stable|beta)$/i.test(v)) return '@' + v.toLowerCase();
+    if (/^\d/.test(v)) return 'v' + v;
+    return v;
+}
+
+/**
+ * Start emoji replacement for the current page.
+ *
+ * @param {Record<string, string>} CONFIG resolved config (see readConfig)
+ * @param {{parse: function(Node, object): void}|null} [parser] twemoji-compatible parser;
+ *   when omitted, window.twemoji is used (loaded from `script` if missing)
+ * @returns {object} public API (see below)
+ */
+export function start(CONFIG, parser) {
+    // ------------------------------------------------------------
+    // Activation: capability probe / user-agent gate
+    // ------------------------------------------------------------
+
+    var PROBE_CACHE_KEY = 'twemoji-windows:probe';
+
+    // Regional indicators U+1F1F5 U+1F1F1 (Polish flag)
+    var PROBE_FLAG = '\uD83C\uDDF5\uD83C\uDDF1';
+    // Emoji 14 ZWJ sequence: rightwards + leftwards hand with skin tones (handshake)
+    var PROBE_ZWJ = '\uD83E\uDEF1\uD83C\uDFFB\u200D\uD83E\uDEF2\uD83C\uDFFF';
+
+    function uaMatches() {
+        var re;
+        try {
+            re = new RegExp(CONFIG.ua, 'i');
+        } catch (e) {
+            re = new RegExp(DEFAULTS.ua, 'i');
+        }
+        return re.test(navigator.userAgent);
+    }
+
+    // Draw `a` and `b` and compare pixels. Identical output means the sequence in `a`
+    // was not combined into a single glyph (i.e. it renders as its separate parts).
+    function rendersDifferently(ctx, a, b) {
+        var w = ctx.canvas.width;
+        var h = ctx.canvas.height;
+
+        ctx.clearRect(0, 0, w, h);
+        ctx.fillText(a, 0, 0);
+        var da = ctx.getImageData(0, 0, w, h).data;
+
+        ctx.clearRect(0, 0, w, h);
+        ctx.fillText(b, 0, 0);
+        var db = ctx.getImageData(0, 0, w, h).data;
+
+        for (var i = 0; i < da.length; i++) {
+            if (da[i] !== db[i]) return true;
+        }
+        return false;
+    }
+
+    // Returns true (native rendering is broken), false (fine) or null (cannot probe).
+    function probeNeedsTwemoji() {
+        var ctx;
+        try {
+            var canvas = document.createElement('canvas');
+            canvas.width = 64;
+            canvas.height = 32;
+            ctx = canvas.getContext && canvas.getContext('2d', { willReadFrequently: true });
+        } catch (e) {
+            ctx = null;
+        }
+        if (!ctx || typeof ctx.getImageData !== 'function') return null;
+
+        try {
+            ctx.textBaseline = 'top';
+            ctx.font = '32px Arial';
+
+            // Same sequences split by a zero-width space must look different if supported.
+            var flagOk = rendersDifferently(ctx, PROBE_FLAG, PROBE_FLAG.slice(0, 2) + '\u200B' + PROBE_FLAG.slice(2));
+            var zwjOk = rendersDifferently(ctx, PROBE_ZWJ, PROBE_ZWJ.replace('\u200D', '\u200B'));
+
+            return !(flagOk && zwjOk);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function readProbeCache() {
+        try {
+            var v = window.sessionStorage.getItem(PROBE_CACHE_KEY);
+            return v === '1' ? true : v === '0' ? false : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function writeProbeCache(needs) {
+        try {
+            window.sessionStorage.setItem(PROBE_CACHE_KEY, needs ? '1' : '0');
+        } catch (e) {
+            // ignore (storage disabled / quota)
+        }
+    }
+
+    function detectActive() {
+        var mode = String(CONFIG.mode || '').toLowerCase();
+
+        if (mode === 'always') return true;
+        if (mode === 'never') return false;
+        if (mode === 'ua') return uaMatches();
+
+        // auto
+        var cached = readProbeCache();
+        if (cached !== null) return cached;
+
+        var needs = probeNeedsTwemoji();
+        if (needs === null) return uaMatches();
+
+        writeProbeCache(needs);
+        return needs;
+    }
+
+    var ACTIVE = detectActive();
+
+    var PKG_ROOT = withTrailingSlash(CONFIG.cdn) + normalizeVersion(CONFIG.version) + '/';
+
+    // Twemoji JS from your CDN
+    var TWEMOJI_CDN = CONFIG.script || PKG_ROOT + 'twemoji.min.js';
+
+    // Base URL for Twemoji assets (SVG/PNG). Must end with "/".
+    // With folder="svg" and ext=".svg", Twemoji will fetch:
+    //   <base>svg/<codepoint>.svg
+    var TWEMOJI_BASE = withTrailingSlash(CONFIG.base || PKG_ROOT + 'assets/');
+
+    var SELECTOR = CONFIG.selector;
+    var FOLDER = CONFIG.folder;
+    var EXT = CONFIG.ext.charAt(0) === '.' ? CONFIG.ext : '.' + CONFIG.ext;
+
+    var RENDER = /^(img|inline-svg|sprite)$/.test(CONFIG.render) ? CONFIG.render : 'img';
+    var SPRITE_URL = CONFIG.sprite || PKG_ROOT + 'assets/sprite.svg';
+
+    var FALLBACK_BASE = CONFIG.fallbackBase ? withTrailingSlash(CONFIG.fallbackBase) : '';
+
+    var TIMEOUT_MS = Number(CONFIG.timeout);
+    if (!isFinite(TIMEOUT_MS) || TIMEOUT_MS < 0) TIMEOUT_MS = Number(DEFAULTS.timeout);
+
+    var FILTER = createFilter(CONFIG.filter);
+
+    // Accessibility / loading attributes for generated images
+    var LABEL = isTrue(CONFIG.label);
+    var TITLE = isTrue(CONFIG.title);
+    var ROLE = isTrue(CONFIG.role);
+    var NAMES = null; // short name table, once loadNames() has it
+    var LOADING = /^(lazy|eager)$/i.test(CONFIG.loading) ? CONFIG.loading.toLowerCase() : '';
+    var DECODING = /^(async|sync|auto)$/i.test(CONFIG.decoding) ? CONFIG.decoding.toLowerCase() : '';
+    var DRAGGABLE = /^(true|false)$/i.test(CONFIG.draggable) ? CONFIG.draggable.toLowerCase() : '';
+
+    var SHADOW = isTrue(CONFIG.shadow);
+    var IFRAMES = isTrue(CONFIG.iframes);
+
+    var SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // 1x1 transparent GIF: keeps twemoji's <img> from requesting per-emoji assets in "sprite" and
+    // "inline-svg" mode (the markup is fetched separately).
+    var PLACEHOLDER_SRC = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+
+    // One MutationObserver per observed root (document, open shadow roots, iframe documents)
+    var observers = [];
+    var observedRoots = new WeakSet();
+    var connected = false;
+    var loaded = false;
+
+    // ------------------------------------------------------------
+    // Error reporting
+    // ------------------------------------------------------------
+    //
+    // Every failure dispatches a bubbling `twemoji-windows:error` CustomEvent (on the
+    // failed <img> when there is one, otherwise on document), e.g.:
+    //
+    //   document.addEventListener('twemoji-windows:error', function (e) {
+    //       // e.detail = { type: 'script'|'image'|'inline-svg'|'sprite'|'names', url, reason, fallback }
+    //   });
+    //
+    // The event is composed, so errors inside shadow roots reach document too (target: the host).
+    // Events never leave an iframe: errors there fire inside the frame and again on this document.
+
+    function emitError(detail, target) {
+        try {
+            var el = target && target.isConnected ? target : document;
+            el.dispatchEvent(errorEvent(detail));
+            if (el.ownerDocument && el.ownerDocument !== document) document.dispatchEvent(errorEvent(detail));
+        } catch (e) {
+            // ignore (no CustomEvent support)
+        }
+    }
+
+    function errorEvent(detail) {
+        return new CustomEvent('twemoji-windows:error', { bubbles: true, composed: true, detail: detail });
+    }
+
+    function loadScriptOnce(src, cb, errCb, timeoutMs) {
+        var settled = false;
+        var timer = null;
+
+        function ok() {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            if (typeof cb === 'function') cb();
+        }
+
+        function fail(reason) {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            if (typeof errCb === 'function') errCb(reason);
+        }
+
+        if (timeoutMs > 0) {
+            timer = setTimeout(function () {
+                fail('timeout');
+            }, timeoutMs);
+        }
+
+        // If already present (by src), don't load again
+        var existing = document.querySelector('script[src="' + src + '"]');
+        if (existing) {
+            if (existing.dataset.loaded === '1') ok();
+            else {
+                existing.addEventListener('load', ok, { once: true });
+                existing.addEventListener('error', function () { fail('error'); }, { once: true });
+            }
+            return;
+        }
+
+        var s = document.createElement('script');
+        s.src = src;
+        s.async = true;
+        s.crossOrigin = 'anonymous';
+        s.onload = function () {
+            s.dataset.loaded = '1';
+            ok();
+        };
+        s.onerror = function () {
+            // No emoji replacement is better than breaking the page: report and move on
+            fail('error');
+        };
+        document.head.appendChild(s);
+    }
+
+    // Built-in parser (bundle / ESM builds) or the runtime-loaded window.twemoji
+    function getParser() {
+        if (parser) return parser;
+        return window.twemoji && typeof window.twemoji.parse === 'function' ? window.twemoji : null;
+    }
+
+    function hasTwemoji() {
+        return !!getParser();
+    }
+
+    // Collect matching nodes: root itself (if it matches) plus matching descendants,
+    // including open shadow roots / same-origin iframes when enabled.
+    function collectNodes(root) {
+        var out = [];
+        collectInto(root, out);
+        return out;
+    }
+
+    function collectInto(root, out) {
+        if (!root) return;
+
+        if (root.nodeType === 1 && typeof root.matches === 'function' && root.matches(SELECTOR)) {
+            out.push(root);
+        }
+        if (typeof root.querySelectorAll === 'function') {
+            var found = root.querySelectorAll(SELECTOR);
+            for (var i = 0; i < found.length; i++) out.push(found[i]);
+        }
+
+        var nested = nestedRoots(root);
+        for (var j = 0; j < nested.length; j++) {
+            observeRoot(nested[j]);
+            collectInto(nested[j], out);
+        }
+    }
+
+    function frameDocument(frame) {
+        try {
+            var doc = frame.contentDocument;
+            return doc && doc.documentElement ? doc : null;
+        } catch (e) {
+            return null; // cross-origin
+        }
+    }
+
+    var watchedFrames = new WeakSet();
+
+    // Re-parse an iframe whenever it (re)loads: the document we saw may be the initial about:blank.
+    function watchFrame(frame) {
+        if (watchedFrames.has(frame)) return;
+        watchedFrames.add(frame);
+
+        frame.addEventListener('load', function () {
+            var doc = frameDocument(frame);
+            if (!doc || !loaded) return;
+            observeRoot(doc);
+            parseEmojis(doc);
+        });
+    }
+
+    // Shadow roots / iframe documents directly below `root` (deeper ones are found recursively).
+    function nestedRoots(root) {
+        var out = [];
+        if ((!SHADOW && !IFRAMES) || typeof root.querySelectorAll !== 'function') return out;
+
+        var els = [];
+        if (root.nodeType === 1) els.push(root);
+        var all = root.querySelectorAll(SHADOW ? '*' : 'iframe');
+        for (var i = 0; i < all.length; i++) els.push(all[i]);
+
+        for (var j = 0; j < els.length; j++) {
+            var el = els[j];
+            if (SHADOW && el.shadowRoot) out.push(el.shadowRoot);
+            if (IFRAMES && el.tagName === 'IFRAME') {
+                watchFrame(el);
+                var doc = frameDocument(el);
+                if (doc) out.push(doc);
+            }
+        }
+        return out;
+    }
+
+    // ------------------------------------------------------------
+    // Rendering: img / inline-svg / sprite
+    // ------------------------------------------------------------
+
+    // Primary asset URLs that failed on both the primary and fallback base.
+    // Twemoji skips them (native character stays), so a broken asset is not retried.
+    var failedUrls = {};
+
+    function twemojiOptions() {
+        var opts = {
+            base: TWEMOJI_BASE,
+            folder: FOLDER,
+            ext: EXT,
+            callback: function (icon) {
+                // Returning false keeps the native character
+                if (FILTER && !FILTER(icon)) return false;
+                if (RENDER === 'sprite') return PLACEHOLDER_SRC;
+
+                var url = TWEMOJI_BASE + opts.folder + '/' + icon + opts.ext;
+                if (failedUrls[url]) return false;
+
+                // Inline-SVG: the markup is fetched instead, the <img> only loads it if that fails
+                return RENDER === 'inline-svg' ? PLACEHOLDER_SRC : url;
+            }
+        };
+
+        if (RENDER !== 'img' || LABEL || TITLE || ROLE || LOADING || DECODING) {
+            opts.attributes = imageAttributes;
+        }
+        if (RENDER === 'inline-svg') {
+            opts.folder = 'svg';
+            opts.ext = '.svg';
+        }
+
+        return opts;
+    }
+
+    // Extra <img> attributes (Twemoji never overrides the ones it sets itself: alt, draggable, src)
+    function imageAttributes(rawText, iconId) {
+        var attrs = {};
+        var name = NAMES && (LABEL || TITLE) ? emojiName(iconId, NAMES) : '';
+
+        // data-icon also marks <img> that still need a label once the name table arrives
+        if (RENDER !== 'img' || (!NAMES && (LABEL || TITLE))) attrs['data-icon'] = iconId;
+        if (RENDER === 'inline-svg') attrs['data-svg-src'] = TWEMOJI_BASE + 'svg/' + iconId + '.svg';
+        if (LABEL && name) attrs['aria-label'] = name;
+        if (TITLE && name) attrs.title = name;
+        if (ROLE) attrs.role = 'img';
+        if (LOADING) attrs.loading = LOADING;
+        if (DECODING) attrs.decoding = DECODING;
+
+        return attrs;
+    }
+
+    function isGeneratedEmoji(node) {
+        return node.nodeType === 1 && node.classList.contains('emoji') &&
+            (node.tagName === 'IMG' || node.namespaceURI === SVG_NS);
+    }
+
+    function createEmojiSvg(img) {
+        var svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('class', img.className);
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', img.getAttribute('aria-label') || img.alt || '');
+        svg.setAttribute('data-icon', img.getAttribute('data-icon'));
+        svg.setAttribute('width', '1em');
+        svg.setAttribute('height', '1em');
+
+        if (img.title) {
+            var title = document.createElementNS(SVG_NS, 'title');
+            title.textContent = img.title;
+            svg.appendChild(title);
+        }
+
+        return svg;
+    }
+
+    // Sprite mode: sheet is fetched once (CORS) and injected into the page, because
+    // <use href> does not follow cross-origin URLs.
+    var spritePromise = null;
+    var spriteSymbols = {};
+
+    function loadSprite() {
+        if (spritePromise) return spritePromise;
+
+        spritePromise = fetch(SPRITE_URL, { mode: 'cors', credentials: 'omit' })
+            .then(function (res) {
+                if (!res.ok) throw new Error('HTTP ' + res.status);
+                return res.text();
+            })
+            .then(function (text) {
+                var sheet = parseSvgMarkup(text);
+                if (!sheet) throw new Error('invalid');
+
+                sheet.setAttribute('aria-hidden', 'true');
+                sheet.setAttribute('width', '0');
+                sheet.setAttribute('height', '0');
+                sheet.style.position = 'absolute';
+                sheet.style.overflow = 'hidden';
+                sheet.id = 'twemoji-windows-sprite';
+                document.body.insertBefore(sheet, document.body.firstChild);
+
+                var symbols = sheet.querySelectorAll('symbol[id]');
+                for (var i = 0; i < symbols.length; i++) spriteSymbols[symbols[i].id] = symbols[i];
+                return true;
+            })
+            .catch(function (e) {
+                emitError({ type: 'sprite', url: SPRITE_URL, reason: e.message || 'error', fallback: 'img' });
+                return false;
+            });
+
+        return spritePromise;
+    }
+
+    // Short name table: fetched once, alongside the initial pass.
+    function loadNames() {
+        var url = CONFIG.names;
+
+        if (!url) {
+            emitError({ type: 'names', url: '', reason: 'missing', fallback: 'none' });
+            return Promise.resolve(false);
+        }
+
+        return fetch(url, { mode: 'cors', credentials: 'omit' })
+            .then(function (res) {
+                if (!res.ok) throw new Error('HTTP ' + res.status);
+                return res.text();
+            })
+            .then(function (text) {
+                var table;
+                try {
+                    table = JSON.parse(text);
+                } catch (e) {
+                    table = null;
+                }
+                if (!table || typeof table !== 'object') throw new Error('invalid');
+
+                NAMES = table;
+                return true;
+            })
+            .catch(function (e) {
+                emitError({ type: 'names', url: url, reason: e.message || 'error', fallback: 'none' });
+                return false;
+            });
+    }
+
+    // <use href="#id"> only resolves within its own tree: shadow roots and iframe documents
+    // get a hidden sheet of their own, holding copies of the symbols used there.
+    var rootSprites = new WeakMap();
+
+    function copySymbol(root, icon) {
+        var symbol = spriteSymbols[icon];
+        if (!symbol) return;
+
+        var own = rootSprites.get(root);
+        if (!own) {
+            var doc = root.ownerDocument || root;
+            var sheet = doc.createElementNS(SVG_NS, 'svg');
+            sheet.setAttribute('aria-hidden', 'true');
+            sheet.setAttribute('width', '0');
+            sheet.setAttribute('height', '0');
+            sheet.style.position = 'absolute';
+            sheet.style.overflow = 'hidden';
+            var parent = root.nodeType === 9 ? root.body : root;
+            parent.insertBefore(sheet, parent.firstChild);
+            own = { sheet: sheet, icons: {} };
+            rootSprites.set(root, own);
+        }
+
+        if (own.icons[icon]) return;
+        own.icons[icon] = true;
+        own.sheet.appendChild((root.ownerDocument || root).importNode(symbol, true));
+    }
+
+    // Label emoji rendered before the name table arrived (aria-label / title).
+    function applyNames() {
+        var nodes = collectNodes(document);
+
+        for (var i = 0; i < nodes.length; i++) {
+            var els = nodes[i].querySelectorAll('.emoji[data-icon]');
+            for (var j = 0; j < els.length; j++) labelEmoji(els[j]);
+        }
+
+        settleOwnRecords(nodes);
+    }
+
+    function labelEmoji(el) {
+        var name = emojiName(el.getAttribute('data-icon'), NAMES);
+        if (!name) return;
+
+        if (LABEL) el.setAttribute('aria-label', name);
+        if (!TITLE) return;
+
+        if (el.tagName === 'IMG') {
+            el.title = name;
+        } else if (!el.firstChild || el.firstChild.localName !== 'title') {
+            var title = el.ownerDocument.createElementNS(SVG_NS, 'title');
+            title.textContent = name;
+            el.insertBefore(title, el.firstChild);
+        }
+    }
+
+    function renderSprite(img) {
+        var icon = img.getAttribute('data-icon');
+        if (!icon) return;
+
+        var root = img.getRootNode();
+        if (root !== document) copySymbol(root, icon);
+
+        var svg = createEmojiSvg(img);
+        svg.setAttribute('viewBox', '0 0 36 36');
+
+        var use = document.createElementNS(SVG_NS, 'use');
+        use.setAttribute('href', '#' + icon);
+        svg.appendChild(use);
+
+        img.parentNode.replaceChild(svg, img);
+    }
+
+    // Inline-SVG mode: one fetch per distinct emoji URL, shared across the page.
+    var svgCache = {};
+
+    // Parse SVG markup into an element, dropping scripts and inline event handlers.
+    function parseSvgMarkup(text) {
+        var doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+        var root = doc.documentElement;
+        if (!root || root.namespaceURI !== SVG_NS || root.localName !== 'svg') return null;
+
+        var scripts = root.querySelectorAll('script, foreignObject');
+        for (var i = 0; i < scripts.length; i++) scripts[i].parentNode.removeChild(scripts[i]);
+
+        var all = [root].concat(Array.prototype.slice.call(root.querySelectorAll('*')));
+        for (var j = 0; j < all.length; j++) {
+            for (var k = all[j].attributes.length - 1; k >= 0; k--) {
+                if (/^on/i.test(all[j].attributes[k].name)) all[j].removeAttribute(all[j].attributes[k].name);
+            }
+        }
+
+        return document.importNode(root, true);
+    }
+
+    function fetchSvg(url) {
+        if (!svgCache[url]) {
+            svgCache[url] = fetch(url, { mode: 'cors', credentials: 'omit' })
+                .then(function (res) {
+                    if (!res.ok) throw new Error('HTTP ' + res.status);
+                    return res.text();
+                })
+                .then(parseSvgMarkup)
+                .catch(function (e) {
+                    emitError({ type: 'inline-svg', url: url, reason: e.message || 'error', fallback: 'img' });
+                    return null;
+                });
+        }
+        return svgCache[url];
+    }
+
+    function renderInlineSvg(img) {
+        var url = img.getAttribute('data-svg-src');
+        if (!url) return;
+
+        // Keep the (placeholder) <img> in place until the markup arrives; on failure it loads the asset itself.
+        fetchSvg(url).then(function (template) {
+            if (!img.parentNode) return;
+            if (!template) {
+                img.src = url;
+                return;
+            }
+
+            var svg = createEmojiSvg(img);
+            var viewBox = template.getAttribute('viewBox');
+            if (viewBox) svg.setAttribute('viewBox', viewBox);
+            for (var child = template.firstChild; child; child = child.nextSibling) {
+                svg.appendChild(child.cloneNode(true));
+            }
+
+            img.parentNode.replaceChild(svg, img);
+        });
+    }
+
+    // Broken <img>: try the fallback base once, then restore the native character.
+    function onImageError() {
+        var img = this;
+        var url = img.getAttribute('data-src-primary') || img.src;
+
+        if (FALLBACK_BASE && !img.hasAttribute('data-src-primary') && url.indexOf(TWEMOJI_BASE) === 0) {
+            img.setAttribute('data-src-primary', url);
+            emitError({ type: 'image', url: url, reason: 'error', fallback: 'alternate' }, img);
+            img.src = FALLBACK_BASE + url.slice(TWEMOJI_BASE.length);
+            return;
+        }
+
+        failedUrls[url] = true;
+        emitError({ type: 'image', url: img.src, reason: 'error', fallback: 'native' }, img);
+        if (img.parentNode) img.parentNode.replaceChild(document.createTextNode(img.alt), img);
+    }
+
+    function watchImages(node) {
+        if (RENDER === 'sprite') return;
+
+        var imgs = node.querySelectorAll('img.emoji');
+        for (var i = 0; i < imgs.length; i++) {
+            imgs[i].onerror = onImageError;
+            if (DRAGGABLE) imgs[i].setAttribute('draggable', DRAGGABLE);
+        }
+    }
+
+    function upgradeImages(node) {
+        if (RENDER === 'img') return;
+
+        var imgs = node.querySelectorAll('img.emoji[data-icon]');
+        for (var i = 0; i < imgs.length; i++) {
+            if (RENDER === 'sprite') renderSprite(imgs[i]);
+            else renderInlineSvg(imgs[i]);
+        }
+    }
+
+    function twemojiParse(node) {
+        getParser().parse(node, twemojiOptions());
+        watchImages(node);
+        upgradeImages(node);
+    }
+
+    // Our own parsing mutates the DOM too: drop records inside the roots we just
+    // parsed (already fully handled) and re-queue anything else.
+    function settleOwnRecords(roots) {
+        var records = [];
+        for (var k = 0; k < observers.length; k++) {
+            records = records.concat(observers[k].takeRecords());
+        }
+
+        var foreign = [];
+        for (var i = 0; i < records.length; i++) {
+            var own = false;
+            for (var j = 0; j < roots.length; j++) {
+                if (roots[j] === records[i].target || roots[j].contains(records[i].target)) {
+                    own = true;
+                    break;
+                }
+            }
+            if (!own) foreign.push(records[i]);
+        }
+        queueRecords(foreign);
+    }
+
+    function parseEmojis(root) {
+        if (!loaded) return;
+
+        var nodes = collectNodes(root || document);
+        if (nodes.length === 0) return;
+
+        // Add marker class for styling / debugging
+        for (var i = 0; i < nodes.length; i++) {
+            nodes[i].classList.add('win-twemoji');
+        }
+
+        // Parse only within each matched node (keeps scope tight)
+        for (var j = 0; j < nodes.length; j++) {
+            twemojiParse(nodes[j]);
+        }
+
+        settleOwnRecords(nodes);
+    }
+
+    // Run when DOM is ready
+    function onReady(fn) {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', fn, { once: true });
+        } else {
+            fn();
+        }
+    }
+
+    // ------------------------------------------------------------
+    // Incremental parsing of dynamically added content
+    // ------------------------------------------------------------
+    //
+    // Added nodes are queued and flushed once per frame, so a long stream of
+    // mutations (e.g. a chat appending hundreds of messages) costs one pass
+    // over the added subtrees only, instead of re-parsing the whole document.
+
+    var pending = [];
+    var flushHandle = null;
+    var cancelFlush = null;
+
+    function scheduleFlush() {
+        if (flushHandle !== null) return;
+
+        if (typeof window.requestAnimationFrame === 'function') {
+            flushHandle = window.requestAnimationFrame(flushPending);
+            cancelFlush = window.cancelAnimationFrame;
+        } else if (typeof window.requestIdleCallback === 'function') {
+            flushHandle = window.requestIdleCallback(flushPending, { timeout: 200 });
+            cancelFlush = window.cancelIdleCallback;
+        } else {
+            flushHandle = setTimeout(flushPending, 16);
+            cancelFlush = clearTimeout;
+        }
+    }
+
+    function clearPending() {
+        if (flushHandle !== null && typeof cancelFlush === 'function') {
+            cancelFlush.call(window, flushHandle);
+        }
+        flushHandle = null;
+        cancelFlush = null;
+        pending = [];
+    }
+
+    function flushPending() {
+        var added = pending;
+        pending = [];
+        flushHandle = null;
+        cancelFlush = null;
+
+        // Twemoji not loaded yet: the initial pass after load covers everything.
+        if (!loaded) return;
+
+        var targets = [];
+        var i, j;
+
+        for (i = 0; i < added.length; i++) {
+            var node = added[i];
+            if (!node.isConnected || isGeneratedEmoji(node)) continue;
+
+            // Added inside an already matched element: parse just the new content.
+            var parent = node.parentNode;
+            var host = parent && parent.nodeType === 1 ? parent.closest(SELECTOR) : null;
+            if (host) {
+                targets.push(node.nodeType === 1 ? node : parent);
+                continue;
+            }
+
+            if (node.nodeType !== 1) continue;
+
+            // Added subtree: parse matched elements that were not parsed before.
+            var found = collectNodes(node);
+            for (j = 0; j < found.length; j++) {
+                if (found[j].classList.contains('win-twemoji')) continue;
+                found[j].classList.add('win-twemoji');
+                targets.push(found[j]);
+            }
+        }
+
+        var parsed = [];
+        for (i = 0; i < targets.length; i++) {
+            if (parsed.indexOf(targets[i]) !== -1) continue;
+            twemojiParse(targets[i]);
+            parsed.push(targets[i]);
+        }
+
+        settleOwnRecords(parsed);
+    }
+
+    function queueRecords(records) {
+        for (var i = 0; i < records.length; i++) {
+            var nodes = records[i].addedNodes;
+            if (!nodes) continue;
+            for (var j = 0; j < nodes.length; j++) {
+                if (nodes[j].nodeType === 1 || nodes[j].nodeType === 3) pending.push(nodes[j]);
+            }
+        }
+        if (pending.length) scheduleFlush();
+    }
+
+    // Optional: if your site injects content dynamically, this keeps it working.
+    // Very light observer: only reacts to added nodes.
+    function observeRoot(root) {
+        if (!connected || observedRoots.has(root)) return;
+
+        try {
+            var obs = new MutationObserver(queueRecords);
+            obs.observe(root, { childList: true, subtree: true });
+            observers.push(obs);
+            observedRoots.add(root);
+        } catch (e) {
+            // ignore
+        }
+    }
+
+    function connect() {
+        if (connected) return;
+        connected = true;
+        observeRoot(document.documentElement);
+    }
+
+    // Resolves true once Twemoji is loaded and the initial pass is done,
+    // false when inactive (see `mode`) or when the Twemoji script fails to load.
+    var ready = !ACTIVE
+        ? Promise.resolve(false)
+        : new Promise(function (resolve) {
+            // Fetched alongside DOM ready / the Twemoji script; never holds back the initial pass
+            if (!NAMES && (LABEL || TITLE)) {
+                loadNames().then(function (ok) {
+                    if (ok && loaded) applyNames();
+                });
+            }
+
+            onReady(function () {
+                function done() {
+                    loaded = true;
+                    parseEmojis(document);
+                    resolve(true);
+                }
+
+                function prepare() {
+                    if (RENDER !== 'sprite') return done();
+
+                    // Sprite sheet failed to load: fall back to one <img> per emoji
+                    loadSprite().then(function (ok) {
+                        if (!ok) RENDER = 'img';
+                        done();
+                    });
+                }
+
+                var scripts = [TWEMOJI_CDN];
+                if (CONFIG.fallbackScript) scripts.push(CONFIG.fallbackScript);
+
+                // Try each script URL in turn until one defines window.twemoji
+                function load(i) {
+                    function failed(reason) {
+                        var next = i + 1 < scripts.length;
+                        emitError({ type: 'script', url: scripts[i], reason: reason, fallback: next ? 'alternate' : 'none' });
+                        if (next) load(i + 1);
+                        else resolve(false);
+                    }
+
+                    loadScriptOnce(scripts[i], function () {
+                        if (hasTwemoji()) prepare();
+                        else failed('invalid');
+                    }, failed, TIMEOUT_MS);
+                }
+
+                // Observe first, so roots discovered by the initial pass get observers too
+                connect();
+
+                // Load twemoji if missing, then parse
+                if (!hasTwemoji()) {
+                    load(0);
+                } else {
+                    prepare();
+                }
+            });
+        });
+
+    // ------------------------------------------------------------
+    // Public API (window.TwemojiWindows in the IIFE builds)
+    // ------------------------------------------------------------
+    //
+    //   TwemojiWindows.parse(root)   Parse `root` (element or document) and its matching descendants.
+    //                                Runs synchronously when Twemoji is loaded, otherwise after `ready`.
+    //                                Returns a Promise<boolean> (false when nothing could be parsed).
+    //   TwemojiWindows.refresh()     Re-parse the whole document (e.g. after a SPA route change).
+    //   TwemojiWindows.disconnect()  Stop all MutationObservers; parse()/refresh() keep working.
+    //   TwemojiWindows.isActive()    Whether replacement is enabled on this page (see `mode`).
+    //   TwemojiWindows.ready         Promise<boolean>, see above.
+
+    function parse(root) {
+        if (!ACTIVE) return Promise.resolve(false);
+        if (loaded) {
+            parseEmojis(root || document);
+            return Promise.resolve(true);
+        }
+        return ready.then(function (ok) {
+            if (ok) parseEmojis(root || document);
+            return ok;
+        });
+    }
+
+    return {
+        parse: parse,
+        refresh: function () {
+            return parse(document);
+        },
+        disconnect: function () {
+            for (var i = 0; i < observers.length; i++) observers[i].disconnect();
+            observers = [];
+            observedRoots = new WeakSet();
+            connected = false;
+            clearPending();
+        },
+        isActive: function () {
+            return ACTIVE;
+        },
+        ready: ready
+    };
+}
@@ -0,0 +1,27 @@
+// emoji-data.js
+// GENERATED by gen-data.mjs from unicode-emoji-json@0.9.0 - do not edit.
+
+// Emoji version -> space-separated Twemoji icon ids (Emoji 11.0 and later only)
+export var EMOJI_VERSIONS = {
+    '11.0': '1f3f4-200d-2620-fe0f 1f468-200d-1f9b0 1f468-200d-1f9b1 1f468-200d-1f9b2 1f468-200d-1f9b3 1f469-200d-1f9b0 1f469-200d-1f9b1 1f469-200d-1f9b2 1f469-200d-1f9b3 1f6f9 1f94d 1f94e 1f94f 1f96c 1f96d 1f96e 1f96f 1f970 1f973 1f974 1f975 1f976 1f97a 1f97c 1f97d 1f97e 1f97f 1f998 1f999 1f99a 1f99b 1f99c 1f99d 1f99e 1f99f 1f9a0 1f9a1 1f9a2 1f9b4 1f9b5 1f9b6 1f9b7 1f9b8 1f9b8-200d-2640-fe0f 1f9b8-200d-2642-fe0f 1f9b9 1f9b9-200d-2640-fe0f 1f9b9-200d-2642-fe0f 1f9c1 1f9c2 1f9e7 1f9e8 1f9e9 1f9ea 1f9eb 1f9ec 1f9ed 1f9ee 1f9ef 1f9f0 1f9f1 1f9f2 1f9f3 1f9f4 1f9f5 1f9f6 1f9f7 1f9f8 1f9f9 1f9fa 1f9fb 1f9fc 1f9fd 1f9fe 1f9ff 265f 267e',
+    '12.0': '1f415-200d-1f9ba 1f468-200d-1f9af 1f468-200d-1f9bc 1f468-200d-1f9bd 1f469-200d-1f9af 1f469-200d-1f9bc 1f469-200d-1f9bd 1f6d5 1f6fa 1f7e0 1f7e1 1f7e2 1f7e3 1f7e4 1f7e5 1f7e6 1f7e7 1f7e8 1f7e9 1f7ea 1f7eb 1f90d 1f90e 1f90f 1f93f 1f971 1f97b 1f9a5 1f9a6 1f9a7 1f9a8 1f9a9 1f9aa 1f9ae 1f9af 1f9ba 1f9bb 1f9bc 1f9bd 1f9be 1f9bf 1f9c3 1f9c4 1f9c5 1f9c6 1f9c7 1f9c8 1f9c9 1f9ca 1f9cd 1f9cd-200d-2640-fe0f 1f9cd-200d-2642-fe0f 1f9ce 1f9ce-200d-2640-fe0f 1f9ce-200d-2642-fe0f 1f9cf 1f9cf-200d-2640-fe0f 1f9cf-200d-2642-fe0f 1f9d1-200d-1f91d-200d-1f9d1 1fa70 1fa71 1fa72 1fa73 1fa78 1fa79 1fa7a 1fa80 1fa81 1fa82 1fa90 1fa91 1fa92 1fa93 1fa94 1fa95',
+    '12.1': '1f9d1-200d-1f33e 1f9d1-200d-1f373 1f9d1-200d-1f393 1f9d1-200d-1f3a4 1f9d1-200d-1f3a8 1f9d1-200d-1f3eb 1f9d1-200d-1f3ed 1f9d1-200d-1f4bb 1f9d1-200d-1f4bc 1f9d1-200d-1f527 1f9d1-200d-1f52c 1f9d1-200d-1f680 1f9d1-200d-1f692 1f9d1-200d-1f9af 1f9d1-200d-1f9b0 1f9d1-200d-1f9b1 1f9d1-200d-1f9b2 1f9d1-200d-1f9b3 1f9d1-200d-1f9bc 1f9d1-200d-1f9bd 1f9d1-200d-2695-fe0f 1f9d1-200d-2696-fe0f 1f9d1-200d-2708-fe0f',
+    '13.0': '1f3f3-fe0f-200d-26a7-fe0f 1f408-200d-2b1b 1f43b-200d-2744-fe0f 1f468-200d-1f37c 1f469-200d-1f37c 1f470-200d-2640-fe0f 1f470-200d-2642-fe0f 1f6d6 1f6d7 1f6fb 1f6fc 1f90c 1f935-200d-2640-fe0f 1f935-200d-2642-fe0f 1f972 1f977 1f978 1f9a3 1f9a4 1f9ab 1f9ac 1f9ad 1f9cb 1f9d1-200d-1f37c 1f9d1-200d-1f384 1fa74 1fa83 1fa84 1fa85 1fa86 1fa96 1fa97 1fa98 1fa99 1fa9a 1fa9b 1fa9c 1fa9d 1fa9e 1fa9f 1faa0 1faa1 1faa2 1faa3 1faa4 1faa5 1faa6 1faa7 1faa8 1fab0 1fab1 1fab2 1fab3 1fab4 1fab5 1fab6 1fac0 1fac1 1fac2 1fad0 1fad1 1fad2 1fad3 1fad4 1fad5 1fad6 26a7',
+    '13.1': '1f62e-200d-1f4a8 1f635-200d-1f4ab 1f636-200d-1f32b-fe0f 1f9d4-200d-2640-fe0f 1f9d4-200d-2642-fe0f 2764-fe0f-200d-1f525 2764-fe0f-200d-1fa79',
+    '14.0': '1f6dd 1f6de 1f6df 1f7f0 1f979 1f9cc 1fa7b 1fa7c 1faa9 1faaa 1faab 1faac 1fab7 1fab8 1fab9 1faba 1fac3 1fac4 1fac5 1fad7 1fad8 1fad9 1fae0 1fae1 1fae2 1fae3 1fae4 1fae5 1fae6 1fae7 1faf0 1faf1 1faf2 1faf3 1faf4 1faf5 1faf6',
+    '15.0': '1f426-200d-2b1b 1f6dc 1fa75 1fa76 1fa77 1fa87 1fa88 1faad 1faae 1faaf 1fabb 1fabc 1fabd 1fabf 1face 1facf 1fada 1fadb 1fae8 1faf7 1faf8',
+    '15.1': '1f344-200d-1f7eb 1f34b-200d-1f7e9 1f3c3-200d-2640-fe0f-200d-27a1-fe0f 1f3c3-200d-2642-fe0f-200d-27a1-fe0f 1f3c3-200d-27a1-fe0f 1f426-200d-1f525 1f468-200d-1f9af-200d-27a1-fe0f 1f468-200d-1f9bc-200d-27a1-fe0f 1f468-200d-1f9bd-200d-27a1-fe0f 1f469-200d-1f9af-200d-27a1-fe0f 1f469-200d-1f9bc-200d-27a1-fe0f 1f469-200d-1f9bd-200d-27a1-fe0f 1f642-200d-2194-fe0f 1f642-200d-2195-fe0f 1f6b6-200d-2640-fe0f-200d-27a1-fe0f 1f6b6-200d-2642-fe0f-200d-27a1-fe0f 1f6b6-200d-27a1-fe0f 1f9ce-200d-2640-fe0f-200d-27a1-fe0f 1f9ce-200d-2642-fe0f-200d-27a1-fe0f 1f9ce-200d-27a1-fe0f 1f9d1-200d-1f9af-200d-27a1-fe0f 1f9d1-200d-1f9bc-200d-27a1-fe0f 1f9d1-200d-1f9bd-200d-27a1-fe0f 1f9d1-200d-1f9d1-200d-1f9d2 1f9d1-200d-1f9d1-200d-1f9d2-200d-1f9d2 1f9d1-200d-1f9d2 1f9d1-200d-1f9d2-200d-1f9d2 26d3-fe0f-200d-1f4a5',
+    '16.0': '1f1e8-1f1f6 1fa89 1fa8f 1fabe 1fac6 1fadc 1fadf 1fae9',
+    '17.0': '1f6d8 1f9d1-200d-1fa70 1fa8a 1fa8e 1fac8 1facd 1faea 1faef'
+};
+
+export var EMOJI_VERSIONS_MIN = 11;
+
+// Skin tone modifier id -> name, appended as "<name>: <tone>"
+export var SKIN_TONE_NAMES = {
+    '1f3fb': 'light skin tone',
+    '1f3fc': 'medium light skin tone',
+    '1f3fd': 'medium skin tone',
+    '1f3fe': 'medium dark skin tone',
+    '1f3ff': 'dark skin tone'
+};
@@ -0,0 +1,24 @@
+// twemoji-windows.esm.js
+//
+// ESM entry for bundler users. Built-in parser, nothing runs on import. The short name table is fetched
+// from `names` when labels / titles are enabled (default: twemoji-windows.names.json next to this module):
+//
+//   import { init } from './twemoji-windows.esm.js';
+//   const tw = init({ render: 'inline-svg', selector: '.emoji-text' });
+//   await tw.ready;
+//   tw.parse(container);
+import { DEFAULTS, readConfig, start } from './core.js';
+import parser from './parser.js';
+
+/**
+ * Start emoji replacement with the built-in parser.
+ *
+ * @param {object} [config] same keys as window.TwemojiWindowsConfig
+ * @returns {object} API: parse(root), refresh(), disconnect(), isActive(), ready
+ */
+export function init(config) {
+    var moduleDefaults = { names: new URL('twemoji-windows.names.json', import.meta.url).href };
+    return start(readConfig([moduleDefaults, config]), parser);
+}
+
+export { DEFAULTS, parser };
@@ -0,0 +1,130 @@
+// parser.js
+//
+// Minimal, dependency-free replacement for `twemoji.parse(node, options)`.
+//
+// Used by the self-contained builds (twemoji-windows.bundle.min.js, ESM) so no
+// twemoji.min.js has to be fetched at runtime. Emoji are matched with Unicode
+// property escapes instead of Twemoji's generated regex, and mapped to the same
+// asset names Twemoji uses (<codepoint>[-<codepoint>...]).
+//
+// Supported options (same meaning as in Twemoji):
+//   base, folder, ext, className, callback(icon, options), attributes(rawText, icon)
+
+// Single emoji element: modified pictograph, default-emoji presentation, or text
+// pictograph forced to emoji presentation with VS16.
+var ELEMENT =
+    '(?:\\p{Extended_Pictographic}\\p{Emoji_Modifier}' +
+    '|\\p{Emoji_Presentation}' +
+    '|\\p{Extended_Pictographic}\\uFE0F)';
+
+var EMOJI_RE = new RegExp(
+    // Flags: pair of regional indicators
+    '\\p{Regional_Indicator}{2}' +
+    // Subdivision flags: black flag + tag sequence (e.g. England, Scotland)
+    '|\\u{1F3F4}[\\u{E0020}-\\u{E007E}]+\\u{E007F}' +
+    // Keycaps: #, *, 0-9
+    '|[#*0-9]\\uFE0F?\\u20E3' +
+    // ZWJ sequences (inner parts may omit VS16)
+    '|' + ELEMENT + '(?:\\u200D\\p{Extended_Pictographic}\\p{Emoji_Modifier}?\\uFE0F?)*',
+    'gu'
+);
+
+// Elements whose text must never be touched
+var SKIP_TAGS = /^(?:iframe|noframes|noscript|script|select|style|textarea)$/i;
+
+/**
+ * Convert an emoji string to Twemoji's codepoint id (e.g. "1f1f5-1f1f1").
+ * VS16 (U+FE0F) is dropped unless the sequence contains a ZWJ, as Twemoji does.
+ *
+ * @param {string} raw
+ * @returns {string}
+ */
+export function toIconId(raw) {
+    var str = raw.indexOf('\u200D') < 0 ? raw.replace(/\uFE0F/g, '') : raw;
+    var out = [];
+    for (var ch of str) out.push(ch.codePointAt(0).toString(16));
+    return out.join('-');
+}
+
+function defaultSrc(icon, options) {
+    return options.base + options.folder + '/' + icon + options.ext;
+}
+
+function textNodesIn(node, out) {
+    for (var child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType === 3) out.push(child);
+        else if (child.nodeType === 1 && !SKIP_TAGS.test(child.nodeName) && !('ownerSVGElement' in child)) {
+            textNodesIn(child, out);
+        }
+    }
+    return out;
+}
+
+function createImg(doc, raw, icon, src, options) {
+    var img = doc.createElement('img');
+    img.className = options.className;
+    img.setAttribute('draggable', 'false');
+    img.alt = raw;
+
+    if (typeof options.attributes === 'function') {
+        var attrs = options.attributes(raw, icon) || {};
+        for (var name in attrs) {
+            // Same guard as Twemoji: no event handlers, no src override
+            if (/^on|^src$/i.test(name) || img.hasAttribute(name)) continue;
+            img.setAttribute(name, attrs[name]);
+        }
+    }
+
+    img.src = src;
+    return img;
+}
+
+function parseTextNode(textNode, options) {
+    var text = textNode.nodeValue;
+    var doc = textNode.ownerDocument;
+    var frag = null;
+    var last = 0;
+    var m;
+
+    EMOJI_RE.lastIndex = 0;
+    while ((m = EMOJI_RE.exec(text)) !== null) {
+        var raw = m[0];
+        var icon = toIconId(raw);
+        var src = options.callback(icon, options);
+        if (!src) continue;
+
+        frag = frag || doc.createDocumentFragment();
+        if (m.index > last) frag.appendChild(doc.createTextNode(text.slice(last, m.index)));
+        frag.appendChild(createImg(doc, raw, icon, src, options));
+        last = m.index + raw.length;
+    }
+
+    if (!frag) return;
+    if (last < text.length) frag.appendChild(doc.createTextNode(text.slice(last)));
+    textNode.parentNode.replaceChild(frag, textNode);
+}
+
+/**
+ * Replace emoji inside `node` with <img> elements (subset of twemoji.parse).
+ *
+ * @param {Node} node
+ * @param {object} [how]
+ */
+export function parse(node, how) {
+    var options = {
+        base: '',
+        folder: 'svg',
+        ext: '.svg',
+        className: 'emoji',
+        callback: defaultSrc,
+        attributes: null
+    };
+    for (var key in how || {}) {
+        if (how[key] !== undefined && how[key] !== null) options[key] = how[key];
+    }
+
+    var texts = textNodesIn(node, []);
+    for (var i = 0; i < texts.length; i++) parseTextNode(texts[i], options);
+}
+
+export default { parse: parse, toIconId: toIconId };
@@ -0,0 +1,46 @@
+// Stub for twemoji.min.js: replaces every pictographic character with an <img>
+// (applying options.callback / options.attributes) and records each parse() call on
+// window.__twemojiCalls.
+(function () {
+    window.__twemojiCalls = [];
+
+    window.twemoji = {
+        parse: function (node, options) {
+            window.__twemojiCalls.push(node);
+
+            var walker = document.createTreeWalker(node, 4 /* NodeFilter.SHOW_TEXT */);
+            var texts = [];
+            while (walker.nextNode()) texts.push(walker.currentNode);
+
+            texts.forEach(function (text) {
+                var parts = text.nodeValue.split(/(\p{Extended_Pictographic})/u);
+                if (parts.length === 1) return;
+
+                var frag = document.createDocumentFragment();
+                parts.forEach(function (part, i) {
+                    if (i % 2 === 0) {
+                        if (part) frag.appendChild(document.createTextNode(part));
+                        return;
+                    }
+                    var icon = part.codePointAt(0).toString(16);
+                    var src = options.callback(icon, options);
+                    if (!src) {
+                        frag.appendChild(document.createTextNode(part));
+                        return;
+                    }
+                    var img = document.createElement('img');
+                    img.className = 'emoji';
+                    img.alt = part;
+                    var attrs = typeof options.attributes === 'function' ? options.attributes(part, icon) || {} : {};
+                    for (var name in attrs) {
+                        // Same guard as Twemoji: no event handlers, no overriding its own attributes
+                        if (name.indexOf('on') !== 0 && !img.hasAttribute(name)) img.setAttribute(name, attrs[name]);
+                    }
+                    img.src = src;
+                    frag.appendChild(img);
+                });
+                text.parentNode.replaceChild(frag, text);
+            });
+        }
+    };
+})();
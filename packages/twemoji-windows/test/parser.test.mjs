@@ -0,0 +1,112 @@
+// parser.test.mjs
+// Table-driven tests for the built-in parser (src/parser.js) used by the bundle and ESM builds.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+import parser, { toIconId } from "../src/parser.js";
+
+const { document } = new JSDOM("<!doctype html><body></body>").window;
+
+/**
+ * Parse `html` in a fresh container; returns it with the icon ids passed to the callback.
+ *
+ * @param {string} html
+ * @param {object} [options] extra parser options
+ */
+function run(html, options = {}) {
+  const el = document.createElement("div");
+  el.innerHTML = html;
+  const icons = [];
+  parser.parse(el, {
+    base: "/",
+    callback: (icon, opts) => {
+      icons.push(icon);
+      return `${opts.base}${opts.folder}/${icon}${opts.ext}`;
+    },
+    ...options,
+  });
+  return { el, icons };
+}
+
+const CASES = [
+  // [description, input, expected icon ids]
+  ["single emoji", "😀", ["1f600"]],
+  ["sequence of emoji", "😀😂🎉", ["1f600", "1f602", "1f389"]],
+  ["emoji between text", "a 😀 b", ["1f600"]],
+  ["skin tone modifier", "👍🏽", ["1f44d-1f3fd"]],
+  ["ZWJ sequence", "👩‍💻", ["1f469-200d-1f4bb"]],
+  ["ZWJ family", "👨‍👩‍👧", ["1f468-200d-1f469-200d-1f467"]],
+  ["ZWJ with skin tones", "🧑🏻‍🤝‍🧑🏿", ["1f9d1-1f3fb-200d-1f91d-200d-1f9d1-1f3ff"]],
+  ["ZWJ keeps VS16", "🏳️‍🌈", ["1f3f3-fe0f-200d-1f308"]],
+  ["keycap with VS16", "1️⃣", ["31-20e3"]],
+  ["keycap without VS16", "#⃣", ["23-20e3"]],
+  ["keycap star", "*️⃣", ["2a-20e3"]],
+  ["digits are not emoji", "123 #", []],
+  ["flag", "🇵🇱", ["1f1f5-1f1f1"]],
+  ["adjacent flags", "🇵🇱🇩🇪", ["1f1f5-1f1f1", "1f1e9-1f1ea"]],
+  ["subdivision flag", "🏴󠁧󠁢󠁥󠁮󠁧󠁿", ["1f3f4-e0067-e0062-e0065-e006e-e0067-e007f"]],
+  ["VS16 forces emoji presentation (dropped from the id)", "❤️ ☺️", ["2764", "263a"]],
+  ["text presentation without VS16 is left alone", "❤ © ™", []],
+  ["VS15 text presentation is left alone", "❤︎", []],
+];
+
+for (const [name, input, expected] of CASES) {
+  test(`parse: ${name}`, () => {
+    const { el, icons } = run(input);
+    assert.deepEqual(icons, expected);
+    assert.equal(el.querySelectorAll("img").length, expected.length);
+    // Alt text keeps the original characters, so textContent of text + alts round-trips
+    const text = [...el.childNodes].map((n) => (n.nodeType === 3 ? n.nodeValue : n.alt)).join("");
+    assert.equal(text, input);
+  });
+}
+
+test("toIconId: drops VS16 outside ZWJ sequences only", () => {
+  const table = [
+    ["😀", "1f600"],
+    ["❤️", "2764"],
+    ["1️⃣", "31-20e3"],
+    ["❤️‍🔥", "2764-fe0f-200d-1f525"],
+    ["🇵🇱", "1f1f5-1f1f1"],
+  ];
+  for (const [raw, id] of table) assert.equal(toIconId(raw), id, raw);
+});
+
+test("parse: generated <img> carries class, alt, draggable and src", () => {
+  const { el } = run("hi 🇵🇱", { base: "https://cdn/", folder: "72x72", ext: ".png" });
+  const img = el.querySelector("img");
+
+  assert.equal(img.className, "emoji");
+  assert.equal(img.alt, "🇵🇱");
+  assert.equal(img.getAttribute("draggable"), "false");
+  assert.equal(img.getAttribute("src"), "https://cdn/72x72/1f1f5-1f1f1.png");
+  assert.equal(el.firstChild.nodeValue, "hi ");
+});
+
+test("parse: callback returning false keeps the native character", () => {
+  const { el } = run("😀 🇵🇱", { callback: (icon) => (icon === "1f600" ? false : `/${icon}.svg`) });
+
+  assert.equal(el.querySelectorAll("img").length, 1);
+  assert.equal(el.textContent, "😀 ");
+});
+
+test("parse: attributes() cannot add event handlers or override src / alt", () => {
+  const { el } = run("😀", {
+    attributes: (raw, icon) => ({ "aria-label": `icon ${icon}`, onload: "alert(1)", src: "x", alt: "y" }),
+  });
+  const img = el.querySelector("img");
+
+  assert.equal(img.getAttribute("aria-label"), "icon 1f600");
+  assert.equal(img.hasAttribute("onload"), false);
+  assert.equal(img.getAttribute("src"), "/svg/1f600.svg");
+  assert.equal(img.alt, "😀");
+});
+
+test("parse: skips style, textarea and SVG content", () => {
+  const { el, icons } = run(
+    '<textarea>😀</textarea><style>/* 😀 */</style><svg><text>😀</text></svg><b>🎉</b>'
+  );
+
+  assert.deepEqual(icons, ["1f389"]);
+  assert.equal(el.querySelector("textarea").value, "😀");
+});
@@ -0,0 +1,655 @@
+// twemoji-windows.test.mjs
+// jsdom tests for the runtime loader build (dist/twemoji-windows.min.js), and for
+// the self-contained bundle where the stub parser is not enough (flags, sequences).
+//
+// A local fixture server serves the built scripts and a stub twemoji.min.js,
+// so the suite runs offline: npm test (builds first).
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { JSDOM, ResourceLoader, VirtualConsole } from "jsdom";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const DIST_FILE = path.join(here, "..", "dist", "twemoji-windows.min.js");
+const BUNDLE_FILE = path.join(here, "..", "dist", "twemoji-windows.bundle.min.js");
+const NAMES_FILE = path.join(here, "..", "dist", "twemoji-windows.names.json");
+const STUB_FILE = path.join(here, "fixtures", "twemoji-stub.js");
+
+const UA_WINDOWS = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36";
+const UA_LINUX = "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36";
+
+let server;
+let origin;
+let stubRequests = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname === "/twemoji-windows.min.js") {
+      res.writeHead(200, { "Content-Type": "text/javascript" });
+      res.end(fs.readFileSync(DIST_FILE));
+      return;
+    }
+    if (url.pathname === "/twemoji-windows.bundle.min.js") {
+      res.writeHead(200, { "Content-Type": "text/javascript" });
+      res.end(fs.readFileSync(BUNDLE_FILE));
+      return;
+    }
+    if (url.pathname === "/twemoji-windows.names.json") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(fs.readFileSync(NAMES_FILE));
+      return;
+    }
+    if (url.pathname === "/twemoji.min.js") {
+      stubRequests++;
+      // Slow enough that a pre-existing <script async> is still loading when our script runs
+      setTimeout(() => {
+        res.writeHead(200, { "Content-Type": "text/javascript" });
+        res.end(fs.readFileSync(STUB_FILE));
+      }, 50);
+      return;
+    }
+    if (url.pathname === "/not-twemoji.js") {
+      res.writeHead(200, { "Content-Type": "text/javascript" });
+      res.end("window.notTwemoji = true;");
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+/**
+ * Load a page with twemoji-windows (and the stub twemoji) in jsdom.
+ *
+ * @param {object} opts
+ * @param {string} opts.body page body HTML (before our script tag)
+ * @param {string} [opts.userAgent]
+ * @param {Record<string,string>} [opts.data] extra data-* attributes for our script tag
+ * @param {string} [opts.head] extra head HTML
+ * @param {string} [opts.build] built script to load (default: the runtime loader)
+ * @param {function(string): ({status:number, body:string}|Promise<{status:number, body:string}>)} [opts.fetch]
+ *   window.fetch stub (jsdom has none; default: the fixture server); requested URLs are recorded on
+ *   window.__fetches
+ */
+async function loadPage({ body, userAgent = UA_WINDOWS, data = {}, head = "", build = "twemoji-windows.min.js", fetch = serverFetch }) {
+  const attrs = { script: `${origin}/twemoji.min.js`, ...data };
+  const dataAttrs = Object.entries(attrs)
+    .map(([k, v]) => `data-${k.replace(/[A-Z]/g, (c) => "-" + c.toLowerCase())}="${v}"`)
+    .join(" ");
+
+  const html = `<!doctype html><html><head>${head}</head><body>${body}
+<script src="${origin}/${build}" ${dataAttrs}></script></body></html>`;
+
+  // Silence "Not implemented: HTMLCanvasElement.prototype.getContext" from the capability probe
+  const virtualConsole = new VirtualConsole();
+
+  const dom = new JSDOM(html, {
+    url: `${origin}/page.html`,
+    runScripts: "dangerously",
+    resources: new ResourceLoader({ userAgent }),
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      // Errors dispatched before the test gets hold of the window (e.g. during the initial pass)
+      window.__errors = [];
+      window.document.addEventListener("twemoji-windows:error", (e) => window.__errors.push(e.detail));
+
+      window.__fetches = [];
+      window.fetch = async (url) => {
+        window.__fetches.push(String(url));
+        const res = await fetch(String(url));
+        return { ok: res.status < 400, status: res.status, text: async () => res.body };
+      };
+    },
+  });
+
+  await waitFor(() => dom.window.TwemojiWindows);
+  return dom;
+}
+
+async function serverFetch(url) {
+  if (!url.startsWith(origin)) return { status: 404, body: "" };
+  const res = await fetch(url);
+  return { status: res.status, body: await res.text() };
+}
+
+async function waitFor(fn, timeoutMs = 2000) {
+  const start = Date.now();
+  for (;;) {
+    const v = fn();
+    if (v) return v;
+    if (Date.now() - start > timeoutMs) throw new Error("waitFor: timed out");
+    await new Promise((r) => setTimeout(r, 10));
+  }
+}
+
+// requestAnimationFrame in jsdom (pretendToBeVisual) fires at ~60fps
+function nextFrames(dom, n = 3) {
+  return new Promise((resolve) => {
+    let left = n;
+    const tick = () => (--left <= 0 ? resolve() : dom.window.requestAnimationFrame(tick));
+    dom.window.requestAnimationFrame(tick);
+  });
+}
+
+// Error event details, copied out of the jsdom realm so deepEqual compares them structurally
+function errors(dom) {
+  return dom.window.__errors.map((detail) => ({ ...detail }));
+}
+
+function stubScripts(dom) {
+  return dom.window.document.querySelectorAll(`script[src="${origin}/twemoji.min.js"]`);
+}
+
+test("UA gate: stays inactive and loads nothing on non-Windows user agents", async () => {
+  const dom = await loadPage({ body: '<p class="d-emoji">hi 😀</p>', userAgent: UA_LINUX, data: { mode: "ua" } });
+  const tw = dom.window.TwemojiWindows;
+
+  assert.equal(tw.isActive(), false);
+  assert.equal(await tw.ready, false);
+  assert.equal(stubScripts(dom).length, 0);
+  assert.equal(dom.window.document.querySelectorAll("img.emoji").length, 0);
+  assert.equal(await tw.parse(dom.window.document), false);
+
+  dom.window.close();
+});
+
+test("UA gate: activates on Windows user agents", async () => {
+  const dom = await loadPage({ body: '<p class="d-emoji">hi 😀</p>', data: { mode: "ua" } });
+  const tw = dom.window.TwemojiWindows;
+
+  assert.equal(tw.isActive(), true);
+  assert.equal(await tw.ready, true);
+  assert.equal(dom.window.document.querySelectorAll("img.emoji").length, 1);
+
+  dom.window.close();
+});
+
+test("auto mode falls back to the UA gate when canvas is unavailable", async () => {
+  const win = await loadPage({ body: "" });
+  assert.equal(win.window.TwemojiWindows.isActive(), true);
+  win.window.close();
+
+  const linux = await loadPage({ body: "", userAgent: UA_LINUX });
+  assert.equal(linux.window.TwemojiWindows.isActive(), false);
+  linux.window.close();
+});
+
+test("loadScriptOnce: reuses an existing twemoji <script> tag instead of injecting another", async () => {
+  const before = stubRequests;
+  const dom = await loadPage({
+    head: `<script async src="${origin}/twemoji.min.js"></script>`,
+    body: '<p class="d-emoji">hi 😀</p>',
+  });
+
+  assert.equal(await dom.window.TwemojiWindows.ready, true);
+  assert.equal(stubScripts(dom).length, 1);
+  assert.equal(stubRequests - before, 1);
+  assert.equal(dom.window.document.querySelectorAll("img.emoji").length, 1);
+
+  dom.window.close();
+});
+
+test("parses only inside .d-emoji elements", async () => {
+  const dom = await loadPage({
+    body: '<p id="in" class="d-emoji">in 😀 <b>nested 🎉</b></p><p id="out">out 😀</p>',
+  });
+  const doc = dom.window.document;
+
+  assert.equal(await dom.window.TwemojiWindows.ready, true);
+  assert.equal(doc.querySelectorAll("#in img.emoji").length, 2);
+  assert.equal(doc.querySelectorAll("#out img").length, 0);
+  assert.equal(doc.getElementById("out").textContent, "out 😀");
+  assert.ok(doc.getElementById("in").classList.contains("win-twemoji"));
+
+  const img = doc.querySelector("#in img.emoji");
+  assert.equal(img.getAttribute("src"), "https://cdn.masiarek.pl/twemoji/@latest/assets/svg/1f600.svg");
+  assert.equal(img.alt, "😀");
+
+  dom.window.close();
+});
+
+test("MutationObserver: parses dynamically added content once per batch", async () => {
+  const dom = await loadPage({ body: '<div id="log"></div>' });
+  const doc = dom.window.document;
+  assert.equal(await dom.window.TwemojiWindows.ready, true);
+
+  dom.window.__twemojiCalls.length = 0;
+
+  const log = doc.getElementById("log");
+  for (let i = 0; i < 50; i++) {
+    const msg = doc.createElement("div");
+    msg.innerHTML = `<span class="d-emoji">msg ${i} 😀</span><span>plain 😀</span>`;
+    log.appendChild(msg);
+  }
+  await nextFrames(dom);
+
+  assert.equal(doc.querySelectorAll("#log .d-emoji img.emoji").length, 50);
+  assert.equal(doc.querySelectorAll("#log span:not(.d-emoji) img").length, 0);
+  // Each added .d-emoji parsed exactly once (no whole-document re-parse)
+  assert.equal(dom.window.__twemojiCalls.length, 50);
+
+  dom.window.close();
+});
+
+test("disconnect() stops observing; refresh() still parses on demand", async () => {
+  const dom = await loadPage({ body: '<div id="root"></div>' });
+  const doc = dom.window.document;
+  const tw = dom.window.TwemojiWindows;
+  assert.equal(await tw.ready, true);
+
+  tw.disconnect();
+  doc.getElementById("root").innerHTML = '<p class="d-emoji">late 😀</p>';
+  await nextFrames(dom);
+  assert.equal(doc.querySelectorAll("img.emoji").length, 0);
+
+  assert.equal(await tw.refresh(), true);
+  assert.equal(doc.querySelectorAll("img.emoji").length, 1);
+
+  dom.window.close();
+});
+
+const SVG_1F600 = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 36 36"><circle cx="18" cy="18" r="18" onclick="alert(1)"/><script>alert(1)</script></svg>';
+
+test("inline-svg: fetches each asset once and never points the <img> at it meanwhile", async () => {
+  let release;
+  const gate = new Promise((r) => (release = r));
+  const dom = await loadPage({
+    body: '<p class="d-emoji">a 😀 b 😀</p>',
+    data: { render: "inline-svg", label: "false" },
+    fetch: async () => {
+      await gate;
+      return { status: 200, body: SVG_1F600 };
+    },
+  });
+  const doc = dom.window.document;
+  assert.equal(await dom.window.TwemojiWindows.ready, true);
+
+  // Markup still loading: placeholders only, no second request for the same asset through <img src>
+  const imgs = [...doc.querySelectorAll("img.emoji")];
+  assert.equal(imgs.length, 2);
+  for (const img of imgs) assert.match(img.getAttribute("src"), /^data:image\/gif;/);
+  assert.deepEqual(dom.window.__fetches, ["https://cdn.masiarek.pl/twemoji/@latest/assets/svg/1f600.svg"]);
+
+  release();
+  await waitFor(() => doc.querySelectorAll("svg.emoji").length === 2);
+
+  const svg = doc.querySelector("svg.emoji");
+  assert.equal(doc.querySelectorAll("img.emoji").length, 0);
+  assert.equal(svg.getAttribute("viewBox"), "0 0 36 36");
+  assert.equal(svg.getAttribute("role"), "img");
+  assert.equal(svg.querySelectorAll("circle").length, 1);
+  assert.equal(svg.querySelector("script"), null);
+  assert.equal(svg.querySelector("circle").hasAttribute("onclick"), false);
+  assert.equal(dom.window.__fetches.length, 1);
+
+  dom.window.close();
+});
+
+test("inline-svg: a failed fetch reports an error and lets the <img> load the asset", async () => {
+  const dom = await loadPage({
+    body: '<p class="d-emoji">a 😀</p>',
+    data: { render: "inline-svg", label: "false" },
+    fetch: () => ({ status: 404, body: "" }),
+  });
+  const doc = dom.window.document;
+  assert.equal(await dom.window.TwemojiWindows.ready, true);
+
+  const url = "https://cdn.masiarek.pl/twemoji/@latest/assets/svg/1f600.svg";
+  await waitFor(() => doc.querySelector("img.emoji")?.getAttribute("src") === url);
+  assert.equal(doc.querySelectorAll("svg.emoji").length, 0);
+  assert.deepEqual(errors(dom), [{ type: "inline-svg", url, reason: "HTTP 404", fallback: "img" }]);
+
+  dom.window.close();
+});
+
+test("sprite: defaults to the package sheet; a failed load falls back to <img>", async () => {
+  const dom = await loadPage({
+    body: '<p class="d-emoji">a 😀</p>',
+    data: { render: "sprite", label: "false" },
+  });
+  const doc = dom.window.document;
+  assert.equal(await dom.window.TwemojiWindows.ready, true);
+
+  const sheet = "https://cdn.masiarek.pl/twemoji/@latest/assets/sprite.svg";
+  assert.deepEqual(dom.window.__fetches, [sheet]);
+  assert.deepEqual(errors(dom), [{ type: "sprite", url: sheet, reason: "HTTP 404", fallback: "img" }]);
+  assert.equal(doc.querySelector("img.emoji").getAttribute("src"), "https://cdn.masiarek.pl/twemoji/@latest/assets/svg/1f600.svg");
+  assert.equal(doc.querySelectorAll("svg.emoji").length, 0);
+
+  dom.window.close();
+});
+
+test("sprite: injects the sheet once and renders <use> references", async () => {
+  const sheet =
+    '<svg xmlns="http://www.w3.org/2000/svg"><symbol id="1f600" viewBox="0 0 36 36"><circle cx="18" cy="18" r="18"/></symbol></svg>';
+  const dom = await loadPage({
+    body: '<p class="d-emoji">a 😀 b 😀</p>',
+    data: { render: "sprite", sprite: `${origin}/sprite.svg`, label: "false" },
+    fetch: () => ({ status: 200, body: sheet }),
+  });
+  const doc = dom.window.document;
+  assert.equal(await dom.window.TwemojiWindows.ready, true);
+
+  assert.deepEqual(dom.window.__fetches, [`${origin}/sprite.svg`]);
+  assert.equal(doc.getElementById("1f600").parentNode, doc.getElementById("twemoji-windows-sprite"));
+  assert.equal(doc.querySelectorAll("img.emoji").length, 0);
+
+  const uses = doc.querySelectorAll("svg.emoji use");
+  assert.equal(uses.length, 2);
+  assert.equal(uses[0].getAttribute("href"), "#1f600");
+  assert.equal(uses[0].parentNode.getAttribute("viewBox"), "0 0 36 36");
+  assert.deepEqual(errors(dom), []);
+
+  dom.window.close();
+});
+
+test("sprite: shadow roots and iframes get their own copy of the symbols they use", async () => {
+  const sheet =
+    '<svg xmlns="http://www.w3.org/2000/svg"><symbol id="1f600" viewBox="0 0 36 36"><circle r="18"/></symbol>' +
+    '<symbol id="1f389" viewBox="0 0 36 36"><rect width="36" height="36"/></symbol></svg>';
+  const dom = await loadPage({
+    body: SHADOW_PAGE + IFRAME_PAGE,
+    data: { render: "sprite", sprite: `${origin}/sprite.svg`, label: "false", shadow: "true", iframes: "true" },
+    fetch: () => ({ status: 200, body: sheet }),
+  });
+  const doc = dom.window.document;
+  assert.equal(await dom.window.TwemojiWindows.ready, true);
+
+  for (const root of [doc.getElementById("host").shadowRoot, doc.getElementById("frame").contentDocument]) {
+    assert.equal(root.querySelector("svg.emoji use").getAttribute("href"), "#1f600");
+    // Only the symbols used in that root, in a sheet inside it
+    assert.deepEqual([...root.querySelectorAll("symbol")].map((s) => s.id), ["1f600"]);
+    assert.equal(root.querySelector("symbol").ownerDocument, root.ownerDocument || root);
+  }
+  assert.deepEqual(dom.window.__fetches, [`${origin}/sprite.svg`]);
+  assert.deepEqual(errors(dom), []);
+
+  dom.window.close();
+});
+
+test("a11y: aria-label / title from the lazily fetched name table, alt kept", async () => {
+  // The name table is held back until the first pass is done
+  let release;
+  const held = new Promise((resolve) => (release = resolve));
+  const dom = await loadPage({
+    body: '<p class="d-emoji">ok 👍 hi 😀</p>',
+    data: { title: "true", role: "true", loading: "eager", decoding: "none" },
+    fetch: async (url) => {
+      if (url.endsWith(".names.json")) await held;
+      return serverFetch(url);
+    },
+  });
+  const doc = dom.window.document;
+  assert.equal(await dom.window.TwemojiWindows.ready, true);
+
+  assert.deepEqual(dom.window.__fetches, [`${origin}/twemoji-windows.names.json`]);
+  assert.equal(doc.querySelectorAll("img.emoji").length, 2);
+  assert.equal(doc.querySelector("img.emoji").hasAttribute("aria-label"), false);
+
+  release();
+  await waitFor(() => doc.querySelector("img.emoji").hasAttribute("aria-label"));
+
+  const [thumbs, grin] = doc.querySelectorAll("img.emoji");
+  assert.equal(thumbs.alt, "👍");
+  assert.equal(thumbs.getAttribute("aria-label"), "thumbs up");
+  assert.equal(grin.getAttribute("aria-label"), "grinning face");
+  assert.equal(grin.getAttribute("title"), "grinning face");
+  assert.equal(grin.getAttribute("role"), "img");
+  assert.equal(grin.getAttribute("loading"), "eager");
+  assert.equal(grin.hasAttribute("decoding"), false);
+  assert.equal(grin.getAttribute("draggable"), "false");
+
+  dom.window.close();
+});
+
+test("a11y: <svg> emoji rendered before the name table arrives get aria-label and <title>", async () => {
+  let release;
+  const held = new Promise((resolve) => (release = resolve));
+  const sheet = '<svg xmlns="http://www.w3.org/2000/svg"><symbol id="1f600" viewBox="0 0 36 36"><circle r="18"/></symbol></svg>';
+  const dom = await loadPage({
+    body: '<p class="d-emoji">hi 😀</p>',
+    data: { render: "sprite", sprite: `${origin}/sprite.svg`, title: "true" },
+    fetch: async (url) => {
+      if (url.endsWith(".names.json")) {
+        await held;
+        return serverFetch(url);
+      }
+      return { status: 200, body: sheet };
+    },
+  });
+  const doc = dom.window.document;
+  assert.equal(await dom.window.TwemojiWindows.ready, true);
+
+  const svg = doc.querySelector("svg.emoji");
+  assert.equal(svg.getAttribute("aria-label"), "😀");
+
+  release();
+  await waitFor(() => svg.getAttribute("aria-label") !== "😀");
+  assert.equal(svg.getAttribute("aria-label"), "grinning face");
+  assert.equal(svg.firstChild.localName, "title");
+  assert.equal(svg.firstChild.textContent, "grinning face");
+
+  // Adding the <title> is not picked up as new content
+  await nextFrames(dom);
+  assert.equal(svg.querySelectorAll("title").length, 1);
+
+  dom.window.close();
+});
+
+test("a11y: no name table request with labels off; a failed one keeps alt text only", async () => {
+  const off = await loadPage({ body: '<p class="d-emoji">hi 😀</p>', data: { label: "false" } });
+  assert.equal(await off.window.TwemojiWindows.ready, true);
+  assert.deepEqual(off.window.__fetches, []);
+  assert.equal(off.window.document.querySelector("img.emoji").hasAttribute("aria-label"), false);
+  off.window.close();
+
+  const broken = await loadPage({ body: '<p class="d-emoji">hi 😀</p>', data: { names: `${origin}/missing.json` } });
+  const img = () => broken.window.document.querySelector("img.emoji");
+  assert.equal(await broken.window.TwemojiWindows.ready, true);
+  await waitFor(() => broken.window.__errors.length);
+  assert.deepEqual(errors(broken), [{ type: "names", url: `${origin}/missing.json`, reason: "HTTP 404", fallback: "none" }]);
+  assert.equal(img().alt, "😀");
+  assert.equal(img().hasAttribute("aria-label"), false);
+  broken.window.close();
+});
+
+test("script fallback: a missing twemoji.min.js reports an error and loads fallbackScript", async () => {
+  const dom = await loadPage({
+    body: '<p class="d-emoji">hi 😀</p>',
+    data: { script: `${origin}/missing.js`, fallbackScript: `${origin}/twemoji.min.js?fallback` },
+  });
+  assert.equal(await dom.window.TwemojiWindows.ready, true);
+
+  assert.deepEqual(errors(dom), [{ type: "script", url: `${origin}/missing.js`, reason: "error", fallback: "alternate" }]);
+  assert.equal(dom.window.document.querySelectorAll("img.emoji").length, 1);
+
+  dom.window.close();
+});
+
+test("script fallback: timeout and invalid scripts leave the page untouched", async () => {
+  const slow = await loadPage({ body: '<p class="d-emoji">hi 😀</p>', data: { timeout: "10" } });
+  assert.equal(await slow.window.TwemojiWindows.ready, false);
+  assert.deepEqual(errors(slow), [{ type: "script", url: `${origin}/twemoji.min.js`, reason: "timeout", fallback: "none" }]);
+  assert.equal(slow.window.document.querySelector(".d-emoji").textContent, "hi 😀");
+  slow.window.close();
+
+  const invalid = await loadPage({ body: '<p class="d-emoji">hi 😀</p>', data: { script: `${origin}/not-twemoji.js` } });
+  assert.equal(await invalid.window.TwemojiWindows.ready, false);
+  assert.deepEqual(errors(invalid), [{ type: "script", url: `${origin}/not-twemoji.js`, reason: "invalid", fallback: "none" }]);
+  assert.equal(await invalid.window.TwemojiWindows.parse(), false);
+  invalid.window.close();
+});
+
+test("image fallback: broken asset tries fallbackBase once, then restores the native character", async () => {
+  const dom = await loadPage({
+    body: '<p class="d-emoji">hi 😀</p>',
+    data: { fallbackBase: "https://mirror.example/assets" },
+  });
+  const doc = dom.window.document;
+  const tw = dom.window.TwemojiWindows;
+  assert.equal(await tw.ready, true);
+
+  // jsdom does not load images: fire the load failures by hand
+  const primary = "https://cdn.masiarek.pl/twemoji/@latest/assets/svg/1f600.svg";
+  const img = doc.querySelector("img.emoji");
+  img.dispatchEvent(new dom.window.Event("error"));
+  assert.equal(img.getAttribute("src"), "https://mirror.example/assets/svg/1f600.svg");
+
+  img.dispatchEvent(new dom.window.Event("error"));
+  assert.equal(doc.querySelectorAll("img.emoji").length, 0);
+  assert.equal(doc.querySelector(".d-emoji").textContent, "hi 😀");
+
+  assert.deepEqual(errors(dom), [
+    { type: "image", url: primary, reason: "error", fallback: "alternate" },
+    { type: "image", url: "https://mirror.example/assets/svg/1f600.svg", reason: "error", fallback: "native" },
+  ]);
+
+  // The failed asset is not retried on later passes
+  assert.equal(await tw.refresh(), true);
+  assert.equal(doc.querySelectorAll("img.emoji").length, 0);
+
+  dom.window.close();
+});
+
+const SHADOW_PAGE = `<div id="host"></div><script>
+  document.getElementById("host").attachShadow({ mode: "open" }).innerHTML = '<p class="d-emoji">shadow 😀</p>';
+</script>`;
+
+test("shadow: open shadow roots are parsed and observed only with data-shadow", async () => {
+  const off = await loadPage({ body: SHADOW_PAGE });
+  assert.equal(await off.window.TwemojiWindows.ready, true);
+  assert.equal(off.window.document.getElementById("host").shadowRoot.querySelectorAll("img.emoji").length, 0);
+  off.window.close();
+
+  const dom = await loadPage({ body: SHADOW_PAGE, data: { shadow: "true" } });
+  assert.equal(await dom.window.TwemojiWindows.ready, true);
+
+  const root = dom.window.document.getElementById("host").shadowRoot;
+  assert.equal(root.querySelectorAll("img.emoji").length, 1);
+  assert.ok(root.querySelector(".d-emoji").classList.contains("win-twemoji"));
+
+  const late = dom.window.document.createElement("p");
+  late.className = "d-emoji";
+  late.textContent = "late 🎉";
+  root.appendChild(late);
+  await nextFrames(dom);
+  assert.equal(late.querySelectorAll("img.emoji").length, 1);
+
+  dom.window.close();
+});
+
+const IFRAME_PAGE = `<iframe id="frame"></iframe><script>
+  document.getElementById("frame").contentDocument.body.innerHTML = '<p class="d-emoji">frame 😀</p>';
+</script>`;
+
+test("iframes: same-origin iframe documents are parsed and observed only with data-iframes", async () => {
+  const off = await loadPage({ body: IFRAME_PAGE });
+  assert.equal(await off.window.TwemojiWindows.ready, true);
+  assert.equal(off.window.document.getElementById("frame").contentDocument.querySelectorAll("img.emoji").length, 0);
+  off.window.close();
+
+  const dom = await loadPage({ body: IFRAME_PAGE, data: { iframes: "true" } });
+  assert.equal(await dom.window.TwemojiWindows.ready, true);
+
+  const frameDoc = dom.window.document.getElementById("frame").contentDocument;
+  assert.equal(frameDoc.querySelectorAll("img.emoji").length, 1);
+
+  const late = frameDoc.createElement("p");
+  late.className = "d-emoji";
+  late.textContent = "late 🎉";
+  frameDoc.body.appendChild(late);
+  await nextFrames(dom);
+  assert.equal(late.querySelectorAll("img.emoji").length, 1);
+
+  dom.window.close();
+});
+
+test("errors: broken images in shadow roots and iframes are reported on document", async () => {
+  const dom = await loadPage({ body: SHADOW_PAGE + IFRAME_PAGE, data: { shadow: "true", iframes: "true" } });
+  const doc = dom.window.document;
+  assert.equal(await dom.window.TwemojiWindows.ready, true);
+
+  const url = "https://cdn.masiarek.pl/twemoji/@latest/assets/svg/1f600.svg";
+  const expected = { type: "image", url, reason: "error", fallback: "native" };
+
+  // Composed: crosses the shadow boundary, retargeted to the host
+  const targets = [];
+  doc.addEventListener("twemoji-windows:error", (e) => targets.push(e.target));
+  const shadowImg = doc.getElementById("host").shadowRoot.querySelector("img.emoji");
+  shadowImg.dispatchEvent(new dom.window.Event("error"));
+  assert.deepEqual(errors(dom), [expected]);
+  assert.equal(targets[0], doc.getElementById("host"));
+
+  // Fired inside the frame, and again on the top-level document
+  const frameDoc = doc.getElementById("frame").contentDocument;
+  const inFrame = [];
+  frameDoc.addEventListener("twemoji-windows:error", (e) => inFrame.push({ ...e.detail }));
+  frameDoc.querySelector("img.emoji").dispatchEvent(new dom.window.Event("error"));
+  assert.deepEqual(inFrame, [expected]);
+  assert.deepEqual(errors(dom), [expected, expected]);
+  assert.equal(targets[1], doc);
+
+  dom.window.close();
+});
+
+// Icon ids of the generated images, in document order
+function icons(dom) {
+  return [...dom.window.document.querySelectorAll("img.emoji")].map((img) => img.getAttribute("src").match(/([\w-]+)\.svg$/)[1]);
+}
+
+const FILTER_BODY = '<p class="d-emoji">🇵🇱 🏴󠁧󠁢󠁳󠁣󠁴󠁿 😀 🫠 🧑🏽‍💻 🎉</p>';
+
+test("filter: flags, emoji version and codepoint lists (bundle build)", async () => {
+  const table = [
+    ["flags", ["1f1f5-1f1f1", "1f3f4-e0067-e0062-e0073-e0063-e0074-e007f"]],
+    ["unicode>=14", ["1fae0"]],
+    ["1F600, u+1f389", ["1f600", "1f389"]],
+    ["flags,emoji>=14", ["1f1f5-1f1f1", "1f3f4-e0067-e0062-e0073-e0063-e0074-e007f", "1fae0"]],
+    ["nonsense", ["1f1f5-1f1f1", "1f3f4-e0067-e0062-e0073-e0063-e0074-e007f", "1f600", "1fae0", "1f9d1-1f3fd-200d-1f4bb", "1f389"]],
+  ];
+
+  for (const [filter, expected] of table) {
+    const dom = await loadPage({ body: FILTER_BODY, build: "twemoji-windows.bundle.min.js", data: { filter, label: "false" } });
+    assert.equal(await dom.window.TwemojiWindows.ready, true);
+    assert.deepEqual(icons(dom), expected, filter);
+    // Filtered-out emoji stay native
+    assert.equal(dom.window.document.querySelector(".d-emoji").textContent.includes("🎉"), !expected.includes("1f389"), filter);
+    dom.window.close();
+  }
+});
+
+test("filter: function from window.TwemojiWindowsConfig; a throwing one keeps everything native", async () => {
+  const dom = await loadPage({
+    head: '<script>window.TwemojiWindowsConfig = { filter: function (icon) { return icon.indexOf("1f9d1") === 0; } };</script>',
+    body: FILTER_BODY,
+    build: "twemoji-windows.bundle.min.js",
+  });
+  assert.equal(await dom.window.TwemojiWindows.ready, true);
+  assert.deepEqual(icons(dom), ["1f9d1-1f3fd-200d-1f4bb"]);
+  // Names are not built into the bundle: fetched from next to the script, as with the runtime loader
+  const img = dom.window.document.querySelector("img.emoji");
+  assert.equal(await waitFor(() => img.getAttribute("aria-label")), "technologist: medium skin tone");
+  assert.deepEqual(dom.window.__fetches, [`${origin}/twemoji-windows.names.json`]);
+  dom.window.close();
+
+  const throwing = await loadPage({
+    head: '<script>window.TwemojiWindowsConfig = { filter: function () { throw new Error("boom"); } };</script>',
+    body: FILTER_BODY,
+    build: "twemoji-windows.bundle.min.js",
+  });
+  assert.equal(await throwing.window.TwemojiWindows.ready, true);
+  assert.deepEqual(icons(throwing), []);
+  throwing.window.close();
+});
@@ -0,0 +1,179 @@
+// archive.test.mjs
+// zip / tar.gz extraction (tools/archive.mjs): path normalization, traversal, links, encrypted entries, corruption.
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import zlib from "node:zlib";
+import { extractTarGz, extractZip, listZipEntries } from "../tools/archive.mjs";
+import { makeTarGz, makeZip } from "./fixtures/archives.mjs";
+
+let tmp;
+let dest;
+
+beforeEach(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "archive-test-"));
+  dest = path.join(tmp, "out");
+});
+
+afterEach(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function write(name, buf) {
+  const fp = path.join(tmp, name);
+  fs.writeFileSync(fp, buf);
+  return fp;
+}
+
+// Every file below dir as a sorted list of POSIX relative paths
+function tree(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { recursive: true, withFileTypes: true })
+    .filter((d) => !d.isDirectory())
+    .map((d) => path.relative(dir, path.join(d.parentPath ?? d.path, d.name)).split(path.sep).join("/"))
+    .sort();
+}
+
+const UNSAFE = [
+  { name: "../evil.txt", data: "x" },
+  { name: "a/../../evil2.txt", data: "x" },
+  { name: "/abs.txt", data: "x" },
+  { name: "C:/win.txt", data: "x" },
+];
+
+test("zip: extracts stored and deflated entries under normalized paths", async () => {
+  const zip = write(
+    "a.zip",
+    makeZip([
+      { name: "pkg-1.0/", data: "", mode: 0o40755 },
+      { name: "pkg-1.0/dist/lib.js", data: "console.log(1);\n".repeat(50) },
+      { name: "pkg-1.0/./README.md", data: "readme", method: 0 },
+      { name: "pkg-1.0\\win\\path.txt", data: "win" },
+      { name: "pkg-1.0/build.sh", data: "#!/bin/sh\n", mode: 0o100755 },
+    ])
+  );
+
+  const written = await extractZip(zip, dest);
+
+  assert.deepEqual(written, ["pkg-1.0/dist/lib.js", "pkg-1.0/README.md", "pkg-1.0/win/path.txt", "pkg-1.0/build.sh"]);
+  assert.equal(fs.readFileSync(path.join(dest, "pkg-1.0/dist/lib.js"), "utf8"), "console.log(1);\n".repeat(50));
+  assert.equal(fs.readFileSync(path.join(dest, "pkg-1.0/README.md"), "utf8"), "readme");
+  assert.ok(fs.statSync(path.join(dest, "pkg-1.0/build.sh")).mode & 0o100);
+});
+
+test("zip: ../ traversal, absolute paths and symlinks are never written", async () => {
+  const zip = write(
+    "evil.zip",
+    makeZip([...UNSAFE, { name: "link", data: "/etc/passwd", mode: 0o120777 }, { name: "ok.txt", data: "ok" }])
+  );
+
+  assert.deepEqual(listZipEntries(zip), ["ok.txt"]);
+  assert.deepEqual(await extractZip(zip, dest), ["ok.txt"]);
+  assert.deepEqual(tree(tmp), ["evil.zip", "out/ok.txt"]);
+});
+
+test("zip: filter selects entries by normalized path", async () => {
+  const zip = write("a.zip", makeZip([{ name: "dist/a.js", data: "a" }, { name: "src/b.js", data: "b" }]));
+
+  assert.deepEqual(await extractZip(zip, dest, (rel) => rel.startsWith("dist/")), ["dist/a.js"]);
+  assert.deepEqual(tree(dest), ["dist/a.js"]);
+});
+
+test("zip: encrypted entries are rejected unless filtered out", async () => {
+  const zip = write(
+    "enc.zip",
+    makeZip([
+      { name: "plain.txt", data: "plain" },
+      { name: "secret.txt", data: "ciphertext", encrypted: true, method: 0 },
+    ])
+  );
+
+  await assert.rejects(extractZip(zip, dest), /Encrypted zip entries are not supported: secret\.txt/);
+  assert.deepEqual(await extractZip(zip, path.join(tmp, "plain"), (rel) => rel === "plain.txt"), ["plain.txt"]);
+});
+
+test("zip: non-zip input fails clearly", async () => {
+  const file = write("not.zip", "hello");
+  await assert.rejects(extractZip(file, dest), /Not a zip file/);
+});
+
+test("zip: entry data not matching its CRC-32 is rejected", async () => {
+  const zip = makeZip([
+    { name: "a.txt", data: "stored", method: 0 },
+    { name: "b.txt", data: "deflated" },
+  ]);
+  assert.deepEqual(await extractZip(write("ok.zip", zip), dest), ["a.txt", "b.txt"]);
+
+  // Flip one bit of a.txt's stored data (after the 30-byte local header and its name)
+  const flipped = Buffer.from(zip);
+  flipped[30 + "a.txt".length] ^= 1;
+  await assert.rejects(extractZip(write("bad.zip", flipped), path.join(tmp, "bad")), /CRC-32 mismatch in zip entry a\.txt/);
+});
+
+test("tar.gz: extracts regular files, GNU long names and pax paths", async () => {
+  const long = `pkg/${"deep/".repeat(25)}file.txt`;
+  const tgz = write(
+    "a.tgz",
+    makeTarGz([
+      { name: "pkg/", type: "5", mode: 0o755 },
+      { name: "pkg/index.js", data: "module.exports = 1;\n" },
+      { name: "pkg/bin/run", data: "#!/bin/sh\n", mode: 0o755 },
+      { name: long, data: "gnu", longName: "gnu" },
+      { name: "pkg/päx/ñame.txt", data: "pax", longName: "pax" },
+    ])
+  );
+
+  const written = await extractTarGz(tgz, dest);
+
+  assert.deepEqual(written, ["pkg/index.js", "pkg/bin/run", long, "pkg/päx/ñame.txt"]);
+  assert.equal(fs.readFileSync(path.join(dest, long), "utf8"), "gnu");
+  assert.equal(fs.readFileSync(path.join(dest, "pkg/päx/ñame.txt"), "utf8"), "pax");
+  assert.ok(fs.statSync(path.join(dest, "pkg/bin/run")).mode & 0o100);
+});
+
+test("tar.gz: ../ traversal, absolute paths, symlinks and hard links are never written", async () => {
+  const tgz = write(
+    "evil.tgz",
+    makeTarGz([
+      ...UNSAFE,
+      { name: "../" + "x/".repeat(60) + "long-evil.txt", data: "x", longName: "gnu" },
+      { name: "link", type: "2" },
+      { name: "hard", type: "1" },
+      { name: "ok.txt", data: "ok" },
+    ])
+  );
+
+  assert.deepEqual(await extractTarGz(tgz, dest), ["ok.txt"]);
+  assert.deepEqual(tree(tmp), ["evil.tgz", "out/ok.txt"]);
+});
+
+test("tar.gz: filter selects entries, skipped data does not shift later headers", async () => {
+  const tgz = write(
+    "a.tgz",
+    makeTarGz([
+      { name: "package/big.bin", data: Buffer.alloc(70_000, 1) },
+      { name: "package/dist/a.js", data: "a" },
+    ])
+  );
+
+  assert.deepEqual(await extractTarGz(tgz, dest, (rel) => rel.endsWith(".js")), ["package/dist/a.js"]);
+  assert.deepEqual(tree(dest), ["package/dist/a.js"]);
+});
+
+test("tar.gz: an archive ending inside an entry or without its end-of-archive block is rejected", async () => {
+  const tgz = makeTarGz([{ name: "package/a.js", data: "a".repeat(2000) }]);
+  const tar = zlib.gunzipSync(tgz);
+  const gz = (name, buf) => write(name, zlib.gzipSync(buf));
+
+  // Header (512) + 1000 of 2000 data bytes
+  await assert.rejects(extractTarGz(gz("cut.tgz", tar.subarray(0, 1512)), dest), /Truncated tar archive: entry data cut short \(package\/a\.js\)/);
+  // Header + padded data, but no zero block after it
+  await assert.rejects(extractTarGz(gz("noend.tgz", tar.subarray(0, 512 + 2048)), dest), /Truncated tar archive: no end-of-archive block/);
+  // The gzip stream itself cut short
+  await assert.rejects(extractTarGz(write("short.tgz", tgz.subarray(0, tgz.length - 10)), dest), /unexpected end of file/);
+
+  assert.deepEqual(await extractTarGz(write("ok.tgz", tgz), path.join(tmp, "ok")), ["package/a.js"]);
+});
@@ -0,0 +1,108 @@
+// archives.mjs
+// In-memory zip / tar.gz builders for the tool tests (no zip/tar binaries needed).
+//
+// Entries are { name, data?, mode?, type?, encrypted?, method? }: `type` is a tar typeflag
+// ("0" file, "1" hard link, "2" symlink, "5" dir), `encrypted` sets zip flag bit 0 and
+// `method` picks stored (0) or deflate (8, default) for zip.
+
+import zlib from "node:zlib";
+
+/**
+ * @param {Array<{name:string, data?:(string|Buffer), mode?:number, encrypted?:boolean, method?:number}>} entries
+ * @returns {Buffer}
+ */
+export function makeZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const e of entries) {
+    const raw = Buffer.from(e.data ?? "");
+    const method = e.method ?? 8;
+    const body = method === 8 ? zlib.deflateRawSync(raw) : raw;
+    const name = Buffer.from(e.name);
+    const flags = e.encrypted ? 0x0001 : 0;
+    const crc = zlib.crc32(raw);
+
+    const lfh = Buffer.alloc(30);
+    lfh.writeUInt32LE(0x04034b50, 0);
+    lfh.writeUInt16LE(20, 4);
+    lfh.writeUInt16LE(flags, 6);
+    lfh.writeUInt16LE(method, 8);
+    lfh.writeUInt32LE(crc, 14);
+    lfh.writeUInt32LE(body.length, 18);
+    lfh.writeUInt32LE(raw.length, 22);
+    lfh.writeUInt16LE(name.length, 26);
+
+    const cdh = Buffer.alloc(46);
+    cdh.writeUInt32LE(0x02014b50, 0);
+    cdh.writeUInt16LE((3 << 8) | 20, 4); // made by unix: external attributes carry the mode
+    cdh.writeUInt16LE(20, 6);
+    cdh.writeUInt16LE(flags, 8);
+    cdh.writeUInt16LE(method, 10);
+    cdh.writeUInt32LE(crc, 16);
+    cdh.writeUInt32LE(body.length, 20);
+    cdh.writeUInt32LE(raw.length, 24);
+    cdh.writeUInt16LE(name.length, 28);
+    cdh.writeUInt32LE(((e.mode ?? 0o100644) << 16) >>> 0, 38);
+    cdh.writeUInt32LE(offset, 42);
+
+    locals.push(lfh, name, body);
+    centrals.push(cdh, name);
+    offset += lfh.length + name.length + body.length;
+  }
+
+  const cd = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(cd.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, cd, eocd]);
+}
+
+function tarHeader(name, size, type, mode) {
+  const h = Buffer.alloc(512);
+  h.write(name.slice(0, 100), 0);
+  h.write(mode.toString(8).padStart(7, "0"), 100);
+  h.write(size.toString(8).padStart(11, "0"), 124);
+  h.write(type, 156);
+  h.write("ustar\u000000", 257);
+  return h;
+}
+
+function tarRecord(name, data, type, mode) {
+  const pad = (512 - (data.length % 512)) % 512;
+  return [tarHeader(name, data.length, type, mode), data, Buffer.alloc(pad)];
+}
+
+// "<len> <key>=<value>\n", where <len> counts the bytes of the whole record including itself
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  const bytes = Buffer.byteLength(body);
+  let len = bytes + 1;
+  while (String(len).length + bytes !== len) len++;
+  return `${len}${body}`;
+}
+
+/**
+ * @param {Array<{name:string, data?:(string|Buffer), mode?:number, type?:string, longName?:("gnu"|"pax")}>} entries
+ *   `longName` stores the name in a GNU "L" or pax "x" record instead of the header
+ * @returns {Buffer} gzipped tar
+ */
+export function makeTarGz(entries) {
+  const parts = [];
+
+  for (const e of entries) {
+    const data = Buffer.from(e.data ?? "");
+    if (e.longName === "gnu") parts.push(...tarRecord("././@LongLink", Buffer.from(`${e.name}\0`), "L", 0o644));
+    if (e.longName === "pax") parts.push(...tarRecord("PaxHeader", Buffer.from(paxRecord("path", e.name)), "x", 0o644));
+    const headerName = e.longName ? "placeholder" : e.name;
+    parts.push(...tarRecord(headerName, e.type && e.type !== "0" ? Buffer.alloc(0) : data, e.type ?? "0", e.mode ?? 0o644));
+  }
+
+  parts.push(Buffer.alloc(1024));
+  return zlib.gzipSync(Buffer.concat(parts));
+}
@@ -0,0 +1,124 @@
+// http.test.mjs
+// Retries and rate-limit handling in tools/http.mjs, against a scripted fetch (setFetch).
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { httpGet, setFetch } from "../tools/http.mjs";
+
+// Each test uses its own host: hosts held back by X-RateLimit-Remaining: 0 stay blocked for the process
+let hostSeq = 0;
+function host() {
+  return `http://h${++hostSeq}.test`;
+}
+
+/**
+ * Install a fetch that answers with the given responses in order and records call times.
+ *
+ * @param {Array<{status:number, headers?:Record<string,string>, body?:string}|Error>} script
+ * @returns {{calls: Array<{url:string, at:number}>}}
+ */
+function scriptFetch(script) {
+  const log = { calls: [] };
+  setFetch(async (url) => {
+    log.calls.push({ url, at: Date.now() });
+    const next = script.shift();
+    if (!next) throw new Error("unexpected request");
+    if (next instanceof Error) throw next;
+    return new Response(next.body ?? "", { status: next.status, headers: next.headers });
+  });
+  return log;
+}
+
+afterEach(() => {
+  setFetch(null);
+  delete process.env.HTTP_MAX_RATE_LIMIT_WAIT_MS;
+});
+
+test("retries network errors and 5xx with backoff, then returns the ok response", async () => {
+  const log = scriptFetch([new TypeError("fetch failed"), { status: 502 }, { status: 200, body: "ok" }]);
+
+  const res = await httpGet(`${host()}/a`, { backoffMs: 1 });
+
+  assert.equal(await res.text(), "ok");
+  assert.equal(log.calls.length, 3);
+});
+
+test("gives up after `retries` and reports the last status", async () => {
+  const log = scriptFetch([{ status: 503 }, { status: 503 }]);
+
+  await assert.rejects(httpGet(`${host()}/a`, { retries: 1, backoffMs: 1 }), (e) => e.status === 503 && /HTTP 503/.test(e.message));
+  assert.equal(log.calls.length, 2);
+});
+
+test("client errors are not retried", async () => {
+  const log = scriptFetch([{ status: 404 }]);
+
+  await assert.rejects(httpGet(`${host()}/a`, { backoffMs: 1 }), (e) => e.status === 404);
+  assert.equal(log.calls.length, 1);
+});
+
+test("Retry-After (seconds) on 429 and 403 is honored before retrying", async () => {
+  const log = scriptFetch([
+    { status: 429, headers: { "retry-after": "1" } },
+    { status: 403, headers: { "retry-after": "0" } },
+    { status: 200, body: "ok" },
+  ]);
+
+  const res = await httpGet(`${host()}/a`, { backoffMs: 1 });
+
+  assert.equal(await res.text(), "ok");
+  assert.equal(log.calls.length, 3);
+  assert.ok(log.calls[1].at - log.calls[0].at >= 950, "waited for Retry-After: 1");
+});
+
+test("Retry-After as an HTTP date", async () => {
+  const log = scriptFetch([
+    { status: 503, headers: { "retry-after": new Date(Date.now() - 5000).toUTCString() } },
+    { status: 200, body: "ok" },
+  ]);
+
+  assert.equal(await (await httpGet(`${host()}/a`, { backoffMs: 1 })).text(), "ok");
+  assert.equal(log.calls.length, 2);
+});
+
+test("403 without rate-limit headers is a plain error", async () => {
+  const log = scriptFetch([{ status: 403 }]);
+
+  await assert.rejects(httpGet(`${host()}/a`, { backoffMs: 1 }), (e) => e.status === 403);
+  assert.equal(log.calls.length, 1);
+});
+
+test("Retry-After beyond HTTP_MAX_RATE_LIMIT_WAIT_MS fails instead of stalling", async () => {
+  process.env.HTTP_MAX_RATE_LIMIT_WAIT_MS = "1000";
+  scriptFetch([{ status: 429, headers: { "retry-after": "3600" } }]);
+
+  await assert.rejects(httpGet(`${host()}/a`, { backoffMs: 1 }), /HTTP 429: rate limited for 3600s/);
+});
+
+test("X-RateLimit-Remaining: 0 holds back later requests to the host until X-RateLimit-Reset", async () => {
+  const h = host();
+  const reset = Math.floor(Date.now() / 1000) + 3600;
+  scriptFetch([
+    { status: 200, body: "last", headers: { "x-ratelimit-remaining": "0", "x-ratelimit-reset": String(reset) } },
+    { status: 200, body: "other host" },
+  ]);
+
+  assert.equal(await (await httpGet(`${h}/a`)).text(), "last");
+
+  process.env.HTTP_MAX_RATE_LIMIT_WAIT_MS = "1000";
+  await assert.rejects(httpGet(`${h}/b`), new RegExp(`Rate limited by ${h.slice(7)} for \\d+s`));
+  // Other hosts are unaffected
+  assert.equal(await (await httpGet(`${host()}/a`)).text(), "other host");
+});
+
+test("exhausted primary limit (403 + X-RateLimit-Remaining: 0) waits for the reset, then retries", async () => {
+  const reset = Math.floor(Date.now() / 1000);
+  const log = scriptFetch([
+    { status: 403, headers: { "x-ratelimit-remaining": "0", "x-ratelimit-reset": String(reset) } },
+    { status: 200, body: "ok" },
+  ]);
+
+  assert.equal(await (await httpGet(`${host()}/a`, { backoffMs: 1 })).text(), "ok");
+  assert.equal(log.calls.length, 2);
+  // Reset has second granularity: at least the extra second is waited
+  assert.ok(log.calls[1].at - log.calls[0].at >= 950);
+});
@@ -0,0 +1,97 @@
+// lint-sources.test.mjs
+// external-sources.json linting (tools/lint-sources.mjs): the library result and the CLI exit code.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { lintSources } from "../tools/lint-sources.mjs";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const CLI = path.join(here, "..", "tools", "lint-sources.mjs");
+const BROKEN = path.join(here, "fixtures", "broken-sources.json");
+
+function lintCli(fp) {
+  return spawnSync(process.execPath, [CLI, fp], { encoding: "utf8", timeout: 30_000 });
+}
+
+test("schema and semantic errors of a broken config, with paths", () => {
+  const { errors, warnings } = lintSources(JSON.parse(fs.readFileSync(BROKEN, "utf8")));
+
+  assert.deepEqual(
+    errors.map((e) => e.path),
+    [
+      "sources[0].extrct",
+      "sources[1].type",
+      "sources[2]",
+      "sources[2].backfill",
+      "sources[0].asset_regex",
+      "sources[0].extract",
+      "sources[0].build.node",
+      "sources[1].package",
+      "sources[2].backfill",
+      "sources[2].versions[0]",
+    ]
+  );
+  const message = (p) => errors.filter((e) => e.path === p).map((e) => e.message);
+  assert.deepEqual(message("sources[0].extrct"), ['unknown key (did you mean "extract"?)']);
+  assert.match(message("sources[1].type")[0], /^must be one of .*\(did you mean "http-archive"\?\)$/);
+  assert.deepEqual(message("sources[2]"), ['missing required key "extract"']);
+  assert.match(message("sources[0].asset_regex")[0], /^invalid regex: /);
+  assert.deepEqual(message("sources[1].package"), ['duplicate package "widget" (also sources[0])']);
+  assert.deepEqual(message("sources[2].backfill"), ["unknown key", 'invalid semver range "not a range"']);
+
+  assert.deepEqual(
+    warnings.map((w) => w.path),
+    ["sources[0].build", "sources[0].build.env_allowlist[0]", "sources[2].transform", "sources[2].transform.sourcemap"]
+  );
+});
+
+test("signature key files are resolved against the config directory", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lint-test-"));
+  try {
+    const cfg = {
+      sources: [
+        {
+          package: "widget",
+          type: "github-release-assets-semver",
+          repo: "acme/widget",
+          asset_regex: "\\.js$",
+          verify: { signature: { type: "minisign", public_key_file: "keys/widget.pub" } },
+        },
+      ],
+    };
+    const paths = () => lintSources(cfg, { root: dir }).errors.map((e) => `${e.path}: ${e.message}`);
+
+    assert.deepEqual(paths(), ["sources[0].verify.signature.public_key_file: keys/widget.pub does not exist"]);
+    fs.mkdirSync(path.join(dir, "keys"));
+    fs.writeFileSync(path.join(dir, "keys/widget.pub"), "key");
+    assert.deepEqual(paths(), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("CLI: labelled findings and exit 1 on errors, exit 0 for the repo's own config", () => {
+  const broken = lintCli(BROKEN);
+  assert.equal(broken.status, 1);
+  assert.match(broken.stdout, /: error: sources\[0\] \(widget\)\.extrct: unknown key \(did you mean "extract"\?\)\n/);
+  assert.match(broken.stdout, /: warning: sources\[2\] \(fonts\)\.transform\.sourcemap: /);
+  assert.match(broken.stdout, /\[lint-sources\] 3 source\(s\), 10 error\(s\), 4 warning\(s\)\n$/);
+
+  const own = lintCli(path.join(here, "..", "external-sources.json"));
+  assert.equal(own.status, 0, own.stdout);
+  assert.match(own.stdout, / 0 error\(s\)/);
+});
+
+test("CLI: unreadable or invalid JSON exits 1", () => {
+  const missing = lintCli(path.join(here, "fixtures", "missing.json"));
+  assert.equal(missing.status, 1);
+  assert.match(missing.stderr, /ENOENT/);
+
+  const notJson = lintCli(path.join(here, "fixtures", "archives.mjs"));
+  assert.equal(notJson.status, 1);
+  assert.match(notJson.stderr, /archives\.mjs: .*JSON/);
+});
@@ -0,0 +1,144 @@
+// providers.test.mjs
+// Release lookups per git host (tools/providers.mjs), against canned API responses.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createProvider } from "../tools/providers.mjs";
+
+/**
+ * Provider over `routes` ({ url: json }); unknown URLs throw like getJson does on a 404.
+ * Returns the provider and the [url, headers] of every call.
+ */
+function provider(src, routes = {}, env = {}) {
+  const calls = [];
+  const getJson = async (url, headers) => {
+    calls.push([url, headers]);
+    if (!(url in routes)) throw new Error(`HTTP 404 for ${url}`);
+    return routes[url];
+  };
+  return { p: createProvider(src, { getJson, env }), calls };
+}
+
+test("unknown providers and gitea/forgejo without a host are rejected", () => {
+  assert.throws(() => provider({ provider: "bitbucket" }), /Unknown provider: bitbucket/);
+  assert.throws(() => provider({ provider: "forgejo" }), /provider=forgejo requires src\.host/);
+  assert.equal(provider({ provider: "Forgejo", host: "https://codeberg.org/" }).p.kind, "gitea");
+});
+
+test("github: api.github.com for github.com, /api/v3 for GitHub Enterprise Server", async () => {
+  const { p } = provider({}, { "https://api.github.com/repos/acme/widget": { default_branch: "trunk" } });
+  assert.equal(await p.getDefaultBranch("acme/widget"), "trunk");
+  assert.equal(p.rawFileUrl("acme/widget", "abc", "dist/a.js"), "https://raw.githubusercontent.com/acme/widget/abc/dist/a.js");
+
+  const ghes = provider(
+    { host: "https://git.corp.test/" },
+    {
+      "https://git.corp.test/api/v3/repos/acme/widget/releases?per_page=30&page=2": [
+        { tag_name: "v2.0.0", draft: true },
+        { tag_name: "v1.0.0", draft: false },
+      ],
+      "https://git.corp.test/api/v3/repos/acme/widget/commits/release%2F1.x": { sha: "def" },
+    }
+  );
+  assert.deepEqual(await ghes.p.getReleases("acme/widget", 30, 2), [{ tag_name: "v1.0.0", draft: false }]);
+  assert.equal(await ghes.p.getCommitSha("acme/widget", "release/1.x"), "def");
+  assert.equal(ghes.p.rawFileUrl("acme/widget", "abc", "dist/a.js"), "https://git.corp.test/acme/widget/raw/abc/dist/a.js");
+});
+
+test("gitlab: releases mapped to the common shape, latest from releases/permalink/latest", async () => {
+  const api = "https://gitlab.com/api/v4/projects/group%2Fsub%2Fwidget";
+  const release = {
+    tag_name: "v1.2.0",
+    name: "",
+    _links: { self: "https://gitlab.com/group/sub/widget/-/releases/v1.2.0" },
+    assets: {
+      links: [
+        { name: "widget.js", url: "https://gitlab.com/uploads/widget.js", direct_asset_url: "https://gitlab.com/group/sub/widget/-/releases/v1.2.0/downloads/widget.js" },
+        { name: "widget.css", url: "https://cdn.test/widget.css" },
+      ],
+    },
+  };
+  const { p, calls } = provider({ provider: "gitlab" }, { [`${api}/releases/permalink/latest`]: release, [`${api}/releases?per_page=100&page=1`]: [release, { name: "no tag" }] });
+
+  const expected = {
+    tag_name: "v1.2.0",
+    name: "v1.2.0",
+    draft: false,
+    prerelease: false,
+    html_url: "https://gitlab.com/group/sub/widget/-/releases/v1.2.0",
+    zipball_url: `${api}/repository/archive.zip?sha=v1.2.0`,
+    assets: [
+      { name: "widget.js", browser_download_url: "https://gitlab.com/group/sub/widget/-/releases/v1.2.0/downloads/widget.js" },
+      { name: "widget.css", browser_download_url: "https://cdn.test/widget.css" },
+    ],
+  };
+  assert.deepEqual(await p.getLatestRelease("group/sub/widget"), expected);
+  assert.deepEqual(await p.getReleases("group/sub/widget", 100, 1), [expected]);
+  assert.equal(calls[0][0], `${api}/releases/permalink/latest`);
+  assert.equal(p.rawFileUrl("group/sub/widget", "abc", "dist/a.js"), `${api}/repository/files/dist%2Fa.js/raw?ref=abc`);
+});
+
+test("gitea: draft and prerelease flags kept, releases paged with limit", async () => {
+  const api = "https://codeberg.org/api/v1/repos/acme/widget";
+  const { p } = provider(
+    { provider: "gitea", host: "https://codeberg.org" },
+    {
+      [`${api}/releases?limit=50&page=3`]: [
+        { tag_name: "v2.0.0-rc.1", prerelease: true, html_url: "https://codeberg.org/acme/widget/releases/tag/v2.0.0-rc.1", assets: [{ name: "w.js", browser_download_url: "https://codeberg.org/attachments/1", size: 3 }] },
+        { tag_name: "v1.9.0", draft: true },
+      ],
+      [`${api}/commits?sha=main&limit=1`]: [{ sha: "abc" }],
+      [`${api}/tags?limit=100`]: [{ name: "v2.0.0-rc.1" }, { name: "" }],
+    }
+  );
+
+  assert.deepEqual(await p.getReleases("acme/widget", 50, 3), [
+    {
+      tag_name: "v2.0.0-rc.1",
+      name: "v2.0.0-rc.1",
+      draft: false,
+      prerelease: true,
+      html_url: "https://codeberg.org/acme/widget/releases/tag/v2.0.0-rc.1",
+      zipball_url: null,
+      assets: [{ name: "w.js", browser_download_url: "https://codeberg.org/attachments/1" }],
+    },
+  ]);
+  assert.equal(await p.getCommitSha("acme/widget", "main"), "abc");
+  assert.deepEqual(await p.getTags("acme/widget"), ["v2.0.0-rc.1"]);
+  assert.equal(p.rawFileUrl("acme/widget", "abc", "dist/a.js"), "https://codeberg.org/acme/widget/raw/commit/abc/dist/a.js");
+});
+
+test("getLatestRelease: null when the host has none or the request fails", async () => {
+  const none = [
+    provider({}),
+    provider({ provider: "gitlab" }, { "https://gitlab.com/api/v4/projects/acme%2Fwidget/releases/permalink/latest": {} }),
+    provider({ provider: "gitea", host: "https://codeberg.org" }),
+  ];
+  for (const { p } of none) assert.equal(await p.getLatestRelease("acme/widget"), null);
+});
+
+test("headersFor: tokens go to the provider's own hosts only", () => {
+  const env = { GITHUB_TOKEN: "gh", GITLAB_TOKEN: "gl", GITEA_TOKEN: "gt", CUSTOM_TOKEN: "custom" };
+
+  const github = provider({}, {}, env).p;
+  for (const url of ["https://api.github.com/repos/a/b", "https://github.com/a/b/releases/download/v1/a.js", "https://raw.githubusercontent.com/a/b/c/d"]) {
+    assert.equal(github.headersFor(url).Authorization, "Bearer gh");
+  }
+  assert.deepEqual(github.headersFor("https://objects.githubusercontent.com/a"), {});
+  assert.deepEqual(github.headersFor("https://github.com.evil.test/a"), {});
+
+  const ghes = provider({ host: "https://git.corp.test", token_env: "CUSTOM_TOKEN" }, {}, env).p;
+  assert.equal(ghes.headersFor("https://git.corp.test/api/v3/repos/a/b").Authorization, "Bearer custom");
+  assert.deepEqual(ghes.headersFor("https://api.github.com/repos/a/b"), {});
+
+  const gitlab = provider({ provider: "gitlab", host: "https://gitlab.corp.test" }, {}, env).p;
+  assert.equal(gitlab.headersFor("https://gitlab.corp.test/api/v4/projects/1")["PRIVATE-TOKEN"], "gl");
+  assert.deepEqual(gitlab.headersFor("https://gitlab.corp.test.evil.test/x"), {});
+  assert.deepEqual(gitlab.headersFor("https://gitlab.com/api/v4/projects/1"), {});
+
+  const gitea = provider({ provider: "forgejo", host: "https://codeberg.org" }, {}, { FORGEJO_TOKEN: "fj" }).p;
+  assert.equal(gitea.headersFor("https://codeberg.org/api/v1/repos/a/b").Authorization, "token fj");
+  assert.deepEqual(gitea.headersFor("https://cdn.test/a.js"), {});
+
+  // No token: only the Accept header on the own host
+  assert.deepEqual(provider({}).p.headersFor("https://api.github.com/x"), { Accept: "application/vnd.github+json" });
+});
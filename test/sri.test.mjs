@@ -0,0 +1,103 @@
+// sri.test.mjs
+// Integrity maps of published directories (tools/sri.mjs), including the ignore globs.
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { computeSriMap } from "../tools/sri.mjs";
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "sri-test-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function publish(files) {
+  for (const [name, data] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), data);
+  }
+}
+
+function sri(algo, data) {
+  return `${algo}-${crypto.createHash(algo).update(data).digest("base64")}`;
+}
+
+const TREE = {
+  "manifest.json": "{}",
+  "lib.js": "lib",
+  "lib.js.map": "{}",
+  "assets/svg/1f600.svg": "<svg/>",
+  "assets/72x72/1f600.png": "png",
+  "fonts/a.woff2": "font",
+  "fonts/sub/manifest.json": "nested",
+};
+
+test("walks subdirectories into sorted POSIX keys; only the top-level manifest.json is left out", () => {
+  publish(TREE);
+
+  const map = computeSriMap(dir);
+
+  assert.deepEqual(Object.keys(map), [
+    "assets/72x72/1f600.png",
+    "assets/svg/1f600.svg",
+    "fonts/a.woff2",
+    "fonts/sub/manifest.json",
+    "lib.js",
+    "lib.js.map",
+  ]);
+  assert.deepEqual(map["assets/svg/1f600.svg"], { integrity: sri("sha384", "<svg/>"), bytes: 6 });
+});
+
+test("symlinked files are hashed, symlinked directories are not followed", { skip: process.platform === "win32" }, () => {
+  publish({ "real/a.js": "a", "outside/b.js": "b" });
+  fs.symlinkSync(path.join(dir, "real/a.js"), path.join(dir, "link.js"));
+  fs.symlinkSync(path.join(dir, "outside"), path.join(dir, "linked-dir"));
+
+  assert.deepEqual(Object.keys(computeSriMap(dir)), ["link.js", "outside/b.js", "real/a.js"]);
+});
+
+test("several algorithms: one token each, in the order given, duplicates and case folded", () => {
+  publish({ "a.js": "a" });
+
+  const map = computeSriMap(dir, { algorithms: ["sha256", "SHA512", "sha256"] });
+
+  assert.equal(map["a.js"].integrity, `${sri("sha256", "a")} ${sri("sha512", "a")}`);
+});
+
+test("unsupported or empty algorithm lists are rejected", () => {
+  publish({ "a.js": "a" });
+
+  assert.throws(() => computeSriMap(dir, { algorithms: ["sha1", "sha384"] }), /unsupported algorithm\(s\) sha1; use sha256\/sha384\/sha512/);
+  assert.throws(() => computeSriMap(dir, { algorithms: ["md5"] }), /unsupported algorithm\(s\) md5/);
+  assert.throws(() => computeSriMap(dir, { algorithms: [] }), /unsupported algorithm\(s\) \(none\)/);
+});
+
+test("ignore: globs and regexps against the POSIX key", () => {
+  publish(TREE);
+  const keys = (ignore) => Object.keys(computeSriMap(dir, { ignore }));
+
+  // No "/": the file name at any depth
+  assert.deepEqual(keys(["*.map", "*.png"]), ["assets/svg/1f600.svg", "fonts/a.woff2", "fonts/sub/manifest.json", "lib.js"]);
+  // With "/": anchored at the top; "*" stays within a segment, "**" spans them
+  assert.deepEqual(keys(["assets/*"]), [
+    "assets/72x72/1f600.png",
+    "assets/svg/1f600.svg",
+    "fonts/a.woff2",
+    "fonts/sub/manifest.json",
+    "lib.js",
+    "lib.js.map",
+  ]);
+  assert.deepEqual(keys(["assets/**", "./fonts/**/*.json"]), ["fonts/a.woff2", "lib.js", "lib.js.map"]);
+  // "**/" also matches no directory at all
+  assert.deepEqual(keys(["**/lib.js*"]), ["assets/72x72/1f600.png", "assets/svg/1f600.svg", "fonts/a.woff2", "fonts/sub/manifest.json"]);
+  // "?" is one character, other regexp characters are literal
+  assert.deepEqual(keys(["lib.j?", "fonts/a+woff2"]), ["assets/72x72/1f600.png", "assets/svg/1f600.svg", "fonts/a.woff2", "fonts/sub/manifest.json", "lib.js.map"]);
+  assert.deepEqual(keys([/^assets\//, /\.map$/]), ["fonts/a.woff2", "fonts/sub/manifest.json", "lib.js"]);
+});
@@ -0,0 +1,825 @@
+// sync-external.test.mjs
+// End-to-end syncExternal() runs against a scratch root and a fixture fetch (no network).
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { syncExternal } from "../tools/sync-external.mjs";
+import { setFetch } from "../tools/http.mjs";
+import { makeTarGz, makeZip } from "./fixtures/archives.mjs";
+
+let root;
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "sync-test-"));
+});
+
+afterEach(() => {
+  setFetch(null);
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function readJson(rel) {
+  return JSON.parse(fs.readFileSync(path.join(root, rel), "utf8"));
+}
+
+function writeJson(rel, data) {
+  fs.mkdirSync(path.dirname(path.join(root, rel)), { recursive: true });
+  fs.writeFileSync(path.join(root, rel), JSON.stringify(data, null, 2));
+}
+
+function sri(algo, buf) {
+  return `${algo}-${crypto.createHash(algo).update(buf).digest("base64")}`;
+}
+
+/**
+ * Run syncExternal over `sources` with a fetch serving `routes` (URL -> string/Buffer/object as JSON,
+ * or an async function returning one); other URLs answer 404. Console output is silenced.
+ *
+ * @param {import("node:test").TestContext} t
+ * @param {object[]} sources external-sources.json entries
+ * @param {Record<string, string|Buffer|object|(() => Promise<string|Buffer|object>)>} routes
+ * @param {object} [opts] extra syncExternal options
+ * @returns {Promise<{changed:boolean, hadFailure:boolean, results:object[], planned:object[], requests:string[], headers:object[]}>}
+ *   `headers` holds the request headers, in the same order as `requests`
+ */
+async function sync(t, sources, routes, opts = {}) {
+  writeJson("external-sources.json", { sources });
+  t.mock.method(console, "log", () => {});
+
+  const requests = [];
+  const headers = [];
+  const fetch = async (url, init = {}) => {
+    requests.push(url);
+    headers.push(init.headers || {});
+    const body = typeof routes[url] === "function" ? await routes[url]() : routes[url];
+    if (body === undefined) return new Response("not found", { status: 404 });
+    return new Response(typeof body === "string" || Buffer.isBuffer(body) ? body : JSON.stringify(body));
+  };
+
+  return { ...(await syncExternal({ root, fetch, ...opts })), requests, headers };
+}
+
+// ------------------------------------------------------------
+// npm-registry-tarball
+// ------------------------------------------------------------
+
+const REGISTRY = "https://registry.test";
+
+function npmPackage(version, js = `/* lib ${version} */`) {
+  return makeTarGz([
+    { name: "package/package.json", data: JSON.stringify({ name: "lib", version }) },
+    { name: "package/dist/lib.min.js", data: js },
+  ]);
+}
+
+function npmSource(extra = {}) {
+  return {
+    package: "lib",
+    type: "npm-registry-tarball",
+    registry: REGISTRY,
+    npm_package: "lib",
+    extract: [{ file_regex: "^dist/lib\\.min\\.js$" }],
+    ...extra,
+  };
+}
+
+/**
+ * Packument + tarball routes for `versions` ({ "1.0.0": { tgz, integrity? } }).
+ */
+function npmRoutes(distTags, versions) {
+  const doc = { name: "lib", "dist-tags": distTags, versions: {}, time: {} };
+  const routes = {};
+  for (const [v, { tgz, integrity }] of Object.entries(versions)) {
+    const tarball = `${REGISTRY}/lib/-/lib-${v}.tgz`;
+    doc.versions[v] = { name: "lib", version: v, dist: { tarball, integrity: integrity ?? sri("sha512", tgz) } };
+    doc.time[v] = "2025-01-01T00:00:00.000Z";
+    routes[tarball] = tgz;
+  }
+  routes[`${REGISTRY}/lib`] = doc;
+  return routes;
+}
+
+test("npm: publishes the dist-tag version after checking dist.integrity", async (t) => {
+  const tgz = npmPackage("1.2.0");
+  const r = await sync(t, [npmSource()], npmRoutes({ latest: "1.2.0" }, { "1.2.0": { tgz } }));
+
+  assert.equal(r.hadFailure, false);
+  assert.deepEqual(
+    r.results.map((x) => [x.action, x.status, x.upstream]),
+    [
+      ["publish", "OK", "lib@1.2.0"],
+      ["publish", "OK", "lib@1.2.0"],
+    ]
+  );
+  assert.equal(fs.readFileSync(path.join(root, "public/lib/v1.2.0/lib.min.js"), "utf8"), "/* lib 1.2.0 */");
+  assert.equal(fs.readFileSync(path.join(root, "public/lib/@latest/lib.min.js"), "utf8"), "/* lib 1.2.0 */");
+  assert.equal(readJson("public/lib/v1.2.0/manifest.json").upstream.integrity, sri("sha512", tgz));
+  assert.equal(readJson("public/_index/external-state.json").lib.latest_key, "lib@latest:1.2.0");
+});
+
+test("npm: dist.integrity mismatch fails the version and publishes nothing", async (t) => {
+  const tgz = npmPackage("1.2.0");
+  const tampered = npmPackage("1.2.0", "/* tampered */");
+  const routes = npmRoutes({ latest: "1.2.0" }, { "1.2.0": { tgz, integrity: sri("sha512", tampered) } });
+
+  const r = await sync(t, [npmSource()], routes);
+
+  assert.equal(r.hadFailure, true);
+  assert.equal(r.changed, false);
+  for (const row of r.results) {
+    assert.equal(row.status, "FAIL");
+    assert.match(row.details, /^Tarball integrity mismatch: expected sha512-\S+, got sha512-\S+$/);
+  }
+  assert.equal(fs.existsSync(path.join(root, "public/lib")), false);
+  assert.equal(fs.existsSync(path.join(root, "public/_index/external-state.json")), false);
+
+  const report = readJson("public/_index/sync-report.json");
+  assert.equal(report.failures, r.results.length);
+});
+
+test("npm: only the strongest dist.integrity algorithm counts; shasum is the fallback", async (t) => {
+  const tgz = npmPackage("1.2.0");
+  const other = Buffer.from("other");
+
+  // Correct sha1 but wrong sha512: the sha512 mismatch wins
+  const weak = `${sri("sha1", tgz)} ${sri("sha512", other)}`;
+  const r1 = await sync(t, [npmSource()], npmRoutes({ latest: "1.2.0" }, { "1.2.0": { tgz, integrity: weak } }));
+  assert.equal(r1.hadFailure, true);
+  assert.match(r1.results[0].details, /Tarball integrity mismatch: expected sha512-/);
+
+  // No integrity: sha1 shasum (hex)
+  const routes = npmRoutes({ latest: "1.2.0" }, { "1.2.0": { tgz, integrity: "" } });
+  routes[`${REGISTRY}/lib`].versions["1.2.0"].dist.shasum = crypto.createHash("sha1").update(other).digest("hex");
+  const r2 = await sync(t, [npmSource()], routes, { force: true });
+  assert.equal(r2.hadFailure, true);
+  assert.match(r2.results[0].details, /^Tarball shasum mismatch: expected [0-9a-f]{40}, got [0-9a-f]{40}$/);
+});
+
+test("npm: NPM_TOKEN is only sent to the registry origin, not to a tarball host elsewhere", async (t) => {
+  t.after(() => delete process.env.NPM_TOKEN);
+  process.env.NPM_TOKEN = "s3cret";
+
+  const tgz = npmPackage("1.2.0");
+  const routes = npmRoutes({ latest: "1.2.0" }, { "1.2.0": { tgz } });
+  const foreign = "https://cdn.elsewhere.test/lib-1.2.0.tgz";
+  routes[`${REGISTRY}/lib`].versions["1.2.0"].dist.tarball = foreign;
+  routes[foreign] = tgz;
+
+  const r = await sync(t, [npmSource()], routes);
+
+  assert.equal(r.hadFailure, false);
+  const auth = Object.fromEntries(r.requests.map((url, i) => [url, r.headers[i].Authorization]));
+  assert.equal(auth[`${REGISTRY}/lib`], "Bearer s3cret");
+  assert.equal(auth[foreign], undefined);
+});
+
+test("npm: src.transform files get manifest entries with SRI, derived_from and transform", async (t) => {
+  const js = "export function add(first, second) {\n  return first + second;\n}\n";
+  const tgz = makeTarGz([{ name: "package/dist/lib.js", data: js }]);
+  const source = npmSource({
+    extract: [{ file_regex: "^dist/lib\\.js$" }],
+    transform: { minify: true, sourcemap: true, compress: ["gz"] },
+  });
+
+  const r = await sync(t, [source], npmRoutes({ latest: "1.2.0" }, { "1.2.0": { tgz } }));
+  assert.equal(r.hadFailure, false);
+
+  const dir = path.join(root, "public/lib/v1.2.0");
+  const files = readJson("public/lib/v1.2.0/manifest.json").files;
+  const entry = (name) => {
+    const buf = fs.readFileSync(path.join(dir, name));
+    return { integrity: sri("sha384", buf), bytes: buf.length };
+  };
+
+  assert.deepEqual(files, {
+    "lib.js": entry("lib.js"),
+    "lib.min.js": { ...entry("lib.min.js"), derived_from: "lib.js", transform: "minify" },
+    "lib.min.js.map": { ...entry("lib.min.js.map"), derived_from: "lib.min.js", transform: "sourcemap" },
+    "lib.js.gz": { ...entry("lib.js.gz"), derived_from: "lib.js", transform: "gz" },
+    "lib.min.js.gz": { ...entry("lib.min.js.gz"), derived_from: "lib.min.js", transform: "gz" },
+  });
+  assert.equal(fs.readFileSync(path.join(dir, "lib.js"), "utf8"), js);
+  assert.ok(fs.existsSync(path.join(root, "public/lib/@latest/lib.min.js.gz")));
+});
+
+// ------------------------------------------------------------
+// http-archive
+// ------------------------------------------------------------
+
+function hex(algo, buf) {
+  return crypto.createHash(algo).update(buf).digest("hex");
+}
+
+function archiveSource(versions, extra = {}) {
+  return {
+    package: "fonts",
+    type: "http-archive",
+    url: "https://dl.test/fonts-{version}.zip",
+    versions,
+    extract: [{ file_regex: "(^|/)css/fonts\\.css$" }],
+    ...extra,
+  };
+}
+
+const FONTS_ZIP = makeZip([{ name: "fonts-2.0.0/css/fonts.css", data: "@font-face{}" }]);
+
+test("http-archive: publishes a version matching its pinned checksum", async (t) => {
+  const r = await sync(t, [archiveSource([{ version: "2.0.0", sha512: hex("sha512", FONTS_ZIP) }])], {
+    "https://dl.test/fonts-2.0.0.zip": FONTS_ZIP,
+  });
+
+  assert.equal(r.hadFailure, false);
+  assert.ok(r.results.every((x) => x.status === "OK"));
+  assert.equal(fs.readFileSync(path.join(root, "public/fonts/v2.0.0/fonts.css"), "utf8"), "@font-face{}");
+  assert.deepEqual(readJson("public/fonts/v2.0.0/manifest.json").upstream.checksum, { sha512: hex("sha512", FONTS_ZIP) });
+});
+
+test("http-archive: checksum mismatch produces a FAIL row and publishes nothing", async (t) => {
+  const wrong = hex("sha256", Buffer.from("something else"));
+  const r = await sync(t, [archiveSource([{ version: "2.0.0", sha256: wrong }])], {
+    "https://dl.test/fonts-2.0.0.zip": FONTS_ZIP,
+  });
+
+  assert.equal(r.hadFailure, true);
+  assert.equal(r.changed, false);
+  assert.equal(r.results.length, 2); // @latest and @stable
+  for (const row of r.results) {
+    assert.equal(row.package, "fonts");
+    assert.equal(row.action, "publish");
+    assert.equal(row.status, "FAIL");
+    assert.equal(row.details, `Checksum mismatch (sha256): expected ${wrong}, got ${hex("sha256", FONTS_ZIP)}`);
+  }
+  assert.equal(fs.existsSync(path.join(root, "public/fonts")), false);
+
+  const report = readJson("public/_index/sync-report.json");
+  assert.equal(report.failures, 2);
+  assert.deepEqual(report.results, r.results);
+});
+
+test("http-archive: strongest pinned algorithm wins; missing and malformed pins fail", async (t) => {
+  // Correct sha256 cannot mask a wrong sha384
+  const r1 = await sync(
+    t,
+    [archiveSource([{ version: "2.0.0", sha256: hex("sha256", FONTS_ZIP), sha384: sri("sha384", Buffer.from("x")) }])],
+    { "https://dl.test/fonts-2.0.0.zip": FONTS_ZIP }
+  );
+  assert.equal(r1.hadFailure, true);
+  assert.match(r1.results[0].details, /^Checksum mismatch \(sha384\)/);
+
+  // Version without a pin: FAIL before anything is downloaded
+  const r2 = await sync(t, [archiveSource([{ version: "2.0.0" }])], {});
+  assert.deepEqual(r2.requests, []);
+  assert.match(r2.results[0].details, /^No pinned sha256\/sha384\/sha512 for version 2\.0\.0/);
+
+  // Truncated hex is rejected rather than compared
+  const r3 = await sync(t, [archiveSource([{ version: "2.0.0", sha256: "abc123" }])], {
+    "https://dl.test/fonts-2.0.0.zip": FONTS_ZIP,
+  });
+  assert.match(r3.results[0].details, /^Invalid pinned sha256 "abc123"/);
+});
+
+// ------------------------------------------------------------
+// Verification (src.verify)
+// ------------------------------------------------------------
+
+const GH_API = "https://api.github.com/repos/acme/widget";
+
+function ghAsset(tag, name) {
+  return { name, browser_download_url: `https://github.com/acme/widget/releases/download/${tag}/${name}` };
+}
+
+function ghSource(extra = {}) {
+  return {
+    package: "widget",
+    type: "github-release-assets-semver",
+    repo: "acme/widget",
+    asset_regex: "\\.js$",
+    ...extra,
+  };
+}
+
+/**
+ * API routes for `releases` (newest first, { tag, files: { name: body } }); the first one is releases/latest.
+ * `pages` splits them into backfill listing pages (per_page=100) of the given sizes, followed by an empty page.
+ */
+function ghRoutes(releases, pages = []) {
+  const routes = {};
+  const rels = releases.map(({ tag, files, prerelease = false }) => {
+    for (const [name, body] of Object.entries(files)) routes[ghAsset(tag, name).browser_download_url] = body;
+    return { tag_name: tag, prerelease, draft: false, assets: Object.keys(files).map((n) => ghAsset(tag, n)) };
+  });
+  routes[`${GH_API}/releases/latest`] = rels[0];
+  routes[`${GH_API}/releases?per_page=30&page=1`] = rels;
+
+  let offset = 0;
+  [...pages, 0].forEach((size, i) => {
+    routes[`${GH_API}/releases?per_page=100&page=${i + 1}`] = rels.slice(offset, offset + size);
+    offset += size;
+  });
+  return routes;
+}
+
+test("verify: an asset missing from the checksum file fails the source and publishes nothing", async (t) => {
+  const routes = ghRoutes([
+    {
+      tag: "v1.0.0",
+      files: {
+        "widget.js": "/* widget */",
+        "widget.extra.js": "/* not in SHA256SUMS */",
+        SHA256SUMS: `${hex("sha256", Buffer.from("/* widget */"))}  widget.js\n`,
+      },
+    },
+  ]);
+
+  const r = await sync(t, [ghSource({ verify: { checksums: "^SHA256SUMS$" } })], routes);
+
+  assert.equal(r.hadFailure, true);
+  assert.equal(r.changed, false);
+  // The check throws, so the whole source ends in one FAIL row
+  assert.equal(r.results.length, 1);
+  assert.equal(r.results[0].status, "FAIL");
+  assert.match(r.results[0].details, /^Error: Verification failed: widget\.extra\.js is not listed in SHA256SUMS/);
+  assert.equal(fs.existsSync(path.join(root, "public/widget")), false);
+  assert.equal(readJson("public/_index/sync-report.json").failures, 1);
+});
+
+test("verify: npm version signed with an expired registry key fails and publishes nothing", async (t) => {
+  const tgz = npmPackage("1.2.0");
+  const routes = npmRoutes({ latest: "1.2.0" }, { "1.2.0": { tgz } });
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  const dist = routes[`${REGISTRY}/lib`].versions["1.2.0"].dist;
+  dist.signatures = [{ keyid: "SHA256:old", sig: crypto.sign("sha256", Buffer.from(`lib@1.2.0:${dist.integrity}`), privateKey).toString("base64") }];
+  routes[`${REGISTRY}/-/npm/v1/keys`] = {
+    keys: [{ keyid: "SHA256:old", key: publicKey.export({ format: "der", type: "spki" }).toString("base64"), expires: "2024-01-01T00:00:00.000Z" }],
+  };
+
+  const r = await sync(t, [npmSource({ verify: { npm_signatures: true } })], routes);
+
+  assert.equal(r.hadFailure, true);
+  assert.ok(r.results.length > 0);
+  for (const row of r.results) {
+    assert.equal(row.status, "FAIL");
+    assert.match(row.details, /signed with registry key SHA256:old, which expired 2024-01-01/);
+  }
+  assert.equal(fs.existsSync(path.join(root, "public/lib")), false);
+});
+
+// ------------------------------------------------------------
+// Backfill (src.backfill)
+// ------------------------------------------------------------
+
+// v3.0.0 is @latest/@stable, v2.0.0-rc.1 @beta; the rest are older releases
+const WIDGET_TAGS = ["v3.0.0", "v2.1.0", "v2.0.0-rc.1", "v2.0.0", "v1.0.0"];
+
+function widgetReleases(tags = WIDGET_TAGS) {
+  return tags.map((tag) => ({ tag, prerelease: tag.includes("-"), files: { "widget.js": `/* widget ${tag} */` } }));
+}
+
+// Pointers already serve the current releases, so a run only has backfill work to do
+function widgetCurrent() {
+  writeJson("public/_index/external-state.json", {
+    widget: {
+      latest_key: "acme/widget@latest:v3.0.0",
+      stable_key: "acme/widget@stable:v3.0.0",
+      beta_key: "acme/widget@beta:v2.0.0-rc.1",
+    },
+  });
+  writeJson("public/widget/versions.json", {
+    package: "widget",
+    versions: [{ version: "v3.0.0", channel: "stable", built_at: "2025-01-01T00:00:00Z" }],
+  });
+  fs.mkdirSync(path.join(root, "public/widget/@latest"), { recursive: true });
+  fs.writeFileSync(path.join(root, "public/widget/@latest/widget.js"), "/* widget v3.0.0 */");
+}
+
+function backfillRows(r) {
+  return r.results.map((x) => [x.action, x.status, x.upstream]);
+}
+
+test("backfill: a range walks every release page and publishes missing versions without moving pointers", async (t) => {
+  widgetCurrent();
+  const state = readJson("public/_index/external-state.json");
+
+  const r = await sync(t, [ghSource({ backfill: ">=1.0.0 <3" })], ghRoutes(widgetReleases(), [3, 2]));
+
+  assert.equal(r.hadFailure, false);
+  assert.deepEqual(backfillRows(r), [
+    ["skip", "SKIP", "v3.0.0"],
+    ["backfill", "OK", "v2.1.0"],
+    ["backfill", "OK", "v2.0.0"],
+    ["backfill", "OK", "v1.0.0"],
+  ]);
+  assert.ok(r.requests.includes(`${GH_API}/releases?per_page=100&page=3`));
+
+  for (const v of ["2.1.0", "2.0.0", "1.0.0"]) {
+    assert.equal(fs.readFileSync(path.join(root, `public/widget/v${v}/widget.js`), "utf8"), `/* widget v${v} */`);
+  }
+  // Pointers, aliases and state keys stay where they were
+  assert.equal(fs.readFileSync(path.join(root, "public/widget/@latest/widget.js"), "utf8"), "/* widget v3.0.0 */");
+  assert.deepEqual(fs.readdirSync(path.join(root, "public/widget/@stable")), []);
+  assert.equal(fs.existsSync(path.join(root, "public/widget/v2")), false);
+  assert.deepEqual(readJson("public/_index/external-state.json").widget, { ...state.widget, backfill_failed: [] });
+
+  // Listed after the current version, out of last_*
+  assert.deepEqual(
+    readJson("public/widget/versions.json").versions.map((v) => [v.version, v.backfill ?? false]),
+    [
+      ["v3.0.0", false],
+      ["v2.1.0", true],
+      ["v2.0.0", true],
+      ["v1.0.0", true],
+    ]
+  );
+  const index = readJson("public/_index/index.json").packages.widget;
+  assert.equal(index.last_latest.version, "v3.0.0");
+  assert.equal(index.last_stable.version, "v3.0.0");
+});
+
+test("backfill: last N counts stable releases and stops paging once it has them; BACKFILL_MAX_PER_RUN caps a run", async (t) => {
+  t.after(() => delete process.env.BACKFILL_MAX_PER_RUN);
+  process.env.BACKFILL_MAX_PER_RUN = "1";
+  widgetCurrent();
+  const routes = ghRoutes(widgetReleases([...WIDGET_TAGS, "v0.9.0"]), [3, 2, 1]);
+
+  // Newest 3 stable: v3.0.0 (current), v2.1.0, v2.0.0; one per run
+  const r1 = await sync(t, [ghSource({ backfill: 3 })], routes);
+  assert.deepEqual(backfillRows(r1), [
+    ["skip", "SKIP", "v3.0.0"],
+    ["backfill", "OK", "v2.1.0"],
+  ]);
+  assert.equal(r1.requests.includes(`${GH_API}/releases?per_page=100&page=3`), false);
+
+  const r2 = await sync(t, [ghSource({ backfill: 3 })], routes);
+  assert.deepEqual(backfillRows(r2), [
+    ["skip", "SKIP", "v3.0.0"],
+    ["backfill", "OK", "v2.0.0"],
+  ]);
+
+  // Nothing left: v1.0.0 and v0.9.0 are outside the last 3
+  const r3 = await sync(t, [ghSource({ backfill: 3 })], routes);
+  assert.deepEqual(backfillRows(r3), [["skip", "SKIP", "v3.0.0"]]);
+  assert.equal(fs.existsSync(path.join(root, "public/widget/v1.0.0")), false);
+});
+
+test("backfill: a failed version is recorded in backfill_failed, skipped afterwards and retried with force", async (t) => {
+  widgetCurrent();
+  const routes = ghRoutes(widgetReleases(), [5]);
+  const broken = ghAsset("v2.1.0", "widget.js").browser_download_url;
+  const asset = routes[broken];
+  delete routes[broken];
+
+  const r1 = await sync(t, [ghSource({ backfill: ">=2.0.0 <3" })], routes);
+  assert.equal(r1.hadFailure, true);
+  assert.deepEqual(backfillRows(r1), [
+    ["skip", "SKIP", "v3.0.0"],
+    ["backfill", "FAIL", "v2.1.0"],
+    ["backfill", "OK", "v2.0.0"],
+  ]);
+  assert.match(r1.results[1].details, /HTTP 404/);
+  assert.deepEqual(readJson("public/_index/external-state.json").widget.backfill_failed, ["2.1.0"]);
+
+  // Not retried on its own, even once the asset is back
+  routes[broken] = asset;
+  const r2 = await sync(t, [ghSource({ backfill: ">=2.0.0 <3" })], routes);
+  assert.deepEqual(backfillRows(r2), [["skip", "SKIP", "v3.0.0"]]);
+  assert.equal(r2.requests.includes(broken), false);
+
+  // --force retries it and clears the record
+  const r3 = await sync(t, [ghSource({ backfill: ">=2.0.0 <3" })], routes, { force: true });
+  assert.equal(r3.hadFailure, false);
+  assert.deepEqual(
+    backfillRows(r3).filter(([action]) => action === "backfill"),
+    [["backfill", "OK", "v2.1.0"]]
+  );
+  assert.deepEqual(readJson("public/_index/external-state.json").widget.backfill_failed, []);
+  assert.equal(fs.readFileSync(path.join(root, "public/widget/v2.1.0/widget.js"), "utf8"), "/* widget v2.1.0 */");
+});
+
+// ------------------------------------------------------------
+// Dry run
+// ------------------------------------------------------------
+
+test("dry run: writes the planned pointer moves without downloading or touching public/", async (t) => {
+  writeJson("public/_index/external-state.json", { lib: { latest_key: "lib@latest:1.1.0", stable_key: "lib@stable:1.1.0" } });
+  fs.mkdirSync(path.join(root, "public/lib/v1.1.0"), { recursive: true });
+  const before = fs.readdirSync(path.join(root, "public"), { recursive: true }).sort();
+
+  const routes = npmRoutes(
+    { latest: "1.2.0", next: "2.0.0-rc.1" },
+    { "1.2.0": { tgz: npmPackage("1.2.0") }, "2.0.0-rc.1": { tgz: npmPackage("2.0.0-rc.1") } }
+  );
+  const r = await sync(t, [npmSource()], routes, { dryRun: true });
+
+  assert.deepEqual(r.requests, [`${REGISTRY}/lib`]);
+  assert.deepEqual(fs.readdirSync(path.join(root, "public"), { recursive: true }).sort(), before);
+
+  const expected = [
+    { pointer: "@latest", version: "v1.2.0", channel: "stable", from: "v1.1.0", new_version: true, aliases: ["v1", "v1.2"] },
+    { pointer: "@stable", version: "v1.2.0", channel: "stable", from: "v1.1.0", new_version: true, aliases: ["v1", "v1.2"] },
+    { pointer: "@beta", version: "v2.0.0-rc.1", channel: "beta", from: null, new_version: true, aliases: [] },
+  ].map((p) => ({ package: "lib", type: "npm-registry-tarball", upstream: `lib@${p.version.slice(1)}`, ...p }));
+
+  const plan = readJson(".tmp/external-plan.json");
+  assert.equal(plan.dry_run, true);
+  assert.equal(plan.failures, 0);
+  assert.deepEqual(plan.actions, expected);
+  assert.deepEqual(r.planned, expected);
+  assert.deepEqual(
+    r.results.map((x) => [x.action, x.status, x.details]),
+    [
+      ["plan", "OK", "@latest v1.1.0 -> v1.2.0; new version; aliases v1, v1.2"],
+      ["plan", "OK", "@stable v1.1.0 -> v1.2.0; new version; aliases v1, v1.2"],
+      ["plan", "OK", "@beta (none) -> v2.0.0-rc.1; new version"],
+    ]
+  );
+});
+
+test("dry run: up-to-date sources plan nothing, failures are counted, planOut is honored", async (t) => {
+  writeJson("public/_index/external-state.json", { lib: { latest_key: "lib@latest:1.2.0", stable_key: "lib@stable:1.2.0" } });
+
+  const sources = [npmSource(), archiveSource([{ version: "2.0.0" }])];
+  const routes = npmRoutes({ latest: "1.2.0" }, { "1.2.0": { tgz: npmPackage("1.2.0") } });
+  const r = await sync(t, sources, routes, { dryRun: true, planOut: "out/plan.json" });
+
+  const plan = readJson("out/plan.json");
+  assert.deepEqual(plan.actions, []);
+  assert.equal(plan.failures, 2);
+  assert.deepEqual(
+    plan.results.map((x) => [x.package, x.action, x.status]),
+    [
+      ["lib", "skip", "SKIP"],
+      ["fonts", "publish", "FAIL"],
+      ["fonts", "publish", "FAIL"],
+    ]
+  );
+  assert.equal(r.hadFailure, true);
+  assert.equal(fs.existsSync(path.join(root, ".tmp/external-plan.json")), false);
+  assert.equal(fs.existsSync(path.join(root, "public/_index/sync-report.json")), false);
+});
+
+// ------------------------------------------------------------
+// Selection (only / types / exclude / force)
+// ------------------------------------------------------------
+
+const FONTS = archiveSource([{ version: "2.0.0", sha512: hex("sha512", FONTS_ZIP) }]);
+
+function selectionRoutes() {
+  return {
+    ...npmRoutes({ latest: "1.2.0" }, { "1.2.0": { tgz: npmPackage("1.2.0") } }),
+    "https://dl.test/fonts-2.0.0.zip": FONTS_ZIP,
+    ...ghRoutes([{ tag: "v1.0.0", files: { "widget.js": "/* widget */" } }]),
+  };
+}
+
+test("selection: only globs, types and exclude pick the sources; an --only pattern matching nothing warns", async (t) => {
+  const sources = [npmSource(), FONTS, ghSource()];
+  const packages = async (opts) => {
+    const r = await sync(t, sources, selectionRoutes(), { dryRun: true, ...opts });
+    return [...new Set(r.results.map((x) => x.package))];
+  };
+
+  assert.deepEqual(await packages({ only: ["w*", "lib"] }), ["lib", "widget"]);
+  assert.deepEqual(await packages({ types: ["http-archive", "npm-registry-tarball"] }), ["lib", "fonts"]);
+  assert.deepEqual(await packages({ exclude: ["*o*"] }), ["lib", "widget"]);
+  assert.deepEqual(await packages({ only: ["*"], types: ["npm-registry-tarball"], exclude: ["lib"] }), []);
+
+  t.mock.reset();
+  assert.deepEqual(await packages({ only: ["fonts", "nope*"] }), ["fonts"]);
+  const logged = console.log.mock.calls.map((c) => c.arguments[0]);
+  assert.ok(logged.includes("[external] WARN: --only nope* matches no package in external-sources.json"));
+  assert.ok(!logged.some((l) => /--only fonts/.test(l)));
+});
+
+test("selection: unselected packages keep their state; force republishes the selected ones only", async (t) => {
+  const state = {
+    lib: { latest_key: "lib@latest:1.2.0", stable_key: "lib@stable:1.2.0" },
+    widget: { latest_key: "acme/widget@latest:v0.9.0", stable_key: "acme/widget@stable:v0.9.0" },
+    other: { latest_key: "other@latest:1.0.0" },
+  };
+  writeJson("public/_index/external-state.json", state);
+  const sources = [npmSource(), FONTS, ghSource()];
+
+  // Up to date: nothing to do
+  const r1 = await sync(t, sources, selectionRoutes(), { only: ["lib"] });
+  assert.deepEqual(r1.results.map((x) => [x.package, x.status]), [["lib", "SKIP"]]);
+  assert.equal(r1.changed, false);
+
+  // force: republished although the keys match; widget is behind but not selected
+  const r2 = await sync(t, sources, selectionRoutes(), { only: ["lib"], force: true });
+  assert.deepEqual(
+    r2.results.map((x) => [x.package, x.action, x.status]),
+    [
+      ["lib", "publish", "OK"],
+      ["lib", "publish", "OK"],
+    ]
+  );
+  assert.ok(r2.requests.includes(`${REGISTRY}/lib/-/lib-1.2.0.tgz`));
+  assert.ok(!r2.requests.some((u) => u.startsWith(GH_API)));
+  assert.equal(fs.readFileSync(path.join(root, "public/lib/v1.2.0/lib.min.js"), "utf8"), "/* lib 1.2.0 */");
+  assert.equal(fs.existsSync(path.join(root, "public/widget")), false);
+  assert.deepEqual(readJson("public/_index/external-state.json"), state);
+});
+
+// ------------------------------------------------------------
+// Builds (src.build)
+// ------------------------------------------------------------
+
+/**
+ * Release + zipball routes for acme/<pkg> at `tag`; the zipball holds build.js (`script`), run as build.install.
+ */
+function buildRoutes(pkg, tag, script) {
+  const api = `https://api.github.com/repos/acme/${pkg}`;
+  const zipball = `${api}/zipball/${tag}`;
+  const release = { tag_name: tag, prerelease: false, draft: false, assets: [], zipball_url: zipball };
+  return {
+    [`${api}/releases/latest`]: release,
+    [`${api}/releases?per_page=30&page=1`]: [release],
+    [zipball]: makeZip([{ name: `acme-${pkg}-abc123/build.js`, data: script }]),
+  };
+}
+
+function buildSource(pkg, build = {}) {
+  return {
+    package: pkg,
+    type: "github-release-assets-semver",
+    repo: `acme/${pkg}`,
+    extract: [{ file_regex: "^dist/" }],
+    build: { enable: true, install: "node build.js", ...build },
+  };
+}
+
+test("build: runs with a scrubbed environment and dependency install scripts skipped", async (t) => {
+  const saved = { ...process.env };
+  t.after(() => {
+    for (const k of ["GITHUB_TOKEN", "NPM_TOKEN", "AWS_SECRET_ACCESS_KEY", "EXTRA_FLAG"]) delete process.env[k];
+    Object.assign(process.env, saved);
+  });
+  Object.assign(process.env, { GITHUB_TOKEN: "gh-secret", NPM_TOKEN: "npm-secret", AWS_SECRET_ACCESS_KEY: "aws", EXTRA_FLAG: "1" });
+
+  const script = `
+    const fs = require("fs");
+    const names = ["GITHUB_TOKEN", "NPM_TOKEN", "AWS_SECRET_ACCESS_KEY", "EXTRA_FLAG", "FROM_CONFIG", "HOME", "CI",
+      "npm_config_ignore_scripts", "npm_config_userconfig"];
+    fs.mkdirSync("dist");
+    fs.writeFileSync("dist/env.json", JSON.stringify(Object.fromEntries(names.map((n) => [n, process.env[n] ?? null]))));
+  `;
+  const src = buildSource("alpha", { env_allowlist: ["EXTRA_FLAG"], env: { FROM_CONFIG: "yes" } });
+  const r = await sync(t, [src], buildRoutes("alpha", "v1.0.0", script));
+
+  assert.equal(r.hadFailure, false, JSON.stringify(r.results));
+  const env = readJson("public/alpha/v1.0.0/env.json");
+  assert.deepEqual(
+    { ...env, HOME: null, npm_config_userconfig: null },
+    {
+      GITHUB_TOKEN: null,
+      NPM_TOKEN: null,
+      AWS_SECRET_ACCESS_KEY: null,
+      EXTRA_FLAG: "1",
+      FROM_CONFIG: "yes",
+      HOME: null,
+      CI: "true",
+      npm_config_ignore_scripts: "true",
+      npm_config_userconfig: null,
+    }
+  );
+  // Private HOME with an empty .npmrc, inside the build's tmp dir
+  assert.ok(env.HOME.startsWith(path.join(root, ".tmp")), env.HOME);
+  assert.equal(env.npm_config_userconfig, path.join(env.HOME, ".npmrc"));
+
+  const { toolchain } = readJson("public/alpha/v1.0.0/manifest.json").upstream;
+  assert.equal(toolchain.node, process.version);
+  assert.equal(toolchain.install, "node build.js");
+  assert.equal(toolchain.ignore_scripts, true);
+  assert.deepEqual(toolchain.allowed_scripts, []);
+});
+
+test("build: a build.node range the runner does not satisfy fails before downloading", async (t) => {
+  const routes = buildRoutes("alpha", "v1.0.0", "throw new Error('must not run')");
+  const r = await sync(t, [buildSource("alpha", { node: ">=999" })], routes);
+
+  assert.equal(r.hadFailure, true);
+  assert.ok(r.results.length > 0);
+  for (const row of r.results) {
+    assert.equal(row.status, "FAIL");
+    assert.match(row.details, new RegExp(`build\\.node requires Node >=999, but the runner has ${process.version.replace(/\./g, "\\.")}`));
+  }
+  assert.ok(!r.requests.some((u) => u.includes("/zipball/")));
+  assert.equal(fs.existsSync(path.join(root, "public/alpha")), false);
+});
+
+test("verify-reproducible: identical builds are recorded as reproducible", async (t) => {
+  const script = `require("fs").mkdirSync("dist"); require("fs").writeFileSync("dist/a.js", "/* a */");`;
+  const r = await sync(t, [buildSource("alpha")], buildRoutes("alpha", "v1.0.0", script), { verifyReproducible: true });
+
+  assert.equal(r.hadFailure, false, JSON.stringify(r.results));
+  assert.deepEqual(
+    r.results.map((x) => [x.status, x.details, x.reproducible, x.reproducible_diff]),
+    [
+      ["OK", "@latest v1.0.0 files=1 reproducible", true, []],
+      ["OK", "@stable v1.0.0 files=1 (+stable aliases) reproducible", true, []],
+    ]
+  );
+  const { upstream } = readJson("public/alpha/v1.0.0/manifest.json");
+  assert.equal(upstream.reproducible, true);
+  assert.deepEqual(upstream.reproducible_diff, []);
+  assert.deepEqual(readJson("public/_index/sync-report.json").results, r.results);
+});
+
+test("verify-reproducible: differing and one-sided outputs FAIL the row with the files; the first build is published", async (t) => {
+  const script = `
+    const fs = require("fs");
+    fs.mkdirSync("dist");
+    fs.writeFileSync("dist/same.js", "/* same */");
+    fs.writeFileSync("dist/stamp.js", String(Math.random()));
+    if (process.cwd().includes("__rebuild")) fs.writeFileSync("dist/extra.js", "/* second build only */");
+  `;
+  const r = await sync(t, [buildSource("alpha")], buildRoutes("alpha", "v1.0.0", script), { verifyReproducible: true });
+
+  assert.equal(r.hadFailure, true);
+  assert.deepEqual(
+    r.results.map((x) => [x.status, x.details, x.reproducible, x.reproducible_diff]),
+    [
+      ["FAIL", "@latest v1.0.0 files=2 NOT reproducible (2 differ: extra.js, stamp.js)", false, ["extra.js", "stamp.js"]],
+      ["FAIL", "@stable v1.0.0 files=2 (+stable aliases) NOT reproducible (2 differ: extra.js, stamp.js)", false, ["extra.js", "stamp.js"]],
+    ]
+  );
+
+  // Published from the first build, recorded as not reproducible
+  assert.deepEqual(fs.readdirSync(path.join(root, "public/alpha/v1.0.0")).sort(), ["manifest.json", "same.js", "stamp.js"]);
+  const { upstream } = readJson("public/alpha/v1.0.0/manifest.json");
+  assert.equal(upstream.reproducible, false);
+  assert.deepEqual(upstream.reproducible_diff, ["extra.js", "stamp.js"]);
+  assert.equal(readJson("public/_index/external-state.json").alpha.latest_key, "acme/alpha@latest:v1.0.0");
+  assert.equal(readJson("public/_index/sync-report.json").failures, 2);
+});
+
+// ------------------------------------------------------------
+// Concurrency (SYNC_CONCURRENCY, SYNC_BUILD_CONCURRENCY)
+// ------------------------------------------------------------
+
+function delay(ms, body) {
+  return () => new Promise((resolve) => setTimeout(() => resolve(body), ms));
+}
+
+test("concurrency: sources run side by side, rows and log groups stay in config order", async (t) => {
+  t.after(() => delete process.env.SYNC_CONCURRENCY);
+  process.env.SYNC_CONCURRENCY = "3";
+
+  // The first source answers last, the last one first
+  const npm = npmRoutes({ latest: "1.2.0" }, { "1.2.0": { tgz: npmPackage("1.2.0") } });
+  const gh = ghRoutes([{ tag: "v1.0.0", files: { "widget.js": "/* widget */" } }]);
+  const routes = {
+    ...npm,
+    [`${REGISTRY}/lib`]: delay(150, npm[`${REGISTRY}/lib`]),
+    "https://dl.test/fonts-2.0.0.zip": delay(75, FONTS_ZIP),
+    ...gh,
+  };
+
+  const fonts = archiveSource([{ version: "2.0.0", sha512: hex("sha512", FONTS_ZIP) }]);
+  const r = await sync(t, [npmSource(), fonts, ghSource()], routes);
+
+  assert.equal(r.hadFailure, false);
+  assert.deepEqual(
+    r.results.map((x) => x.package),
+    ["lib", "lib", "fonts", "fonts", "widget", "widget"]
+  );
+  // All three were started before the slowest answered
+  assert.ok(r.requests.indexOf(`${GH_API}/releases/latest`) < r.requests.indexOf(`${REGISTRY}/lib/-/lib-1.2.0.tgz`));
+
+  const groups = console.log.mock.calls
+    .map((c) => /^\[external:([^\]]+)\]/.exec(c.arguments[0])?.[1])
+    .filter(Boolean)
+    .filter((pkg, i, all) => pkg !== all[i - 1]);
+  assert.deepEqual(groups, ["lib", "fonts", "widget"]);
+});
+
+test("concurrency: builds of concurrent sources take turns (SYNC_BUILD_CONCURRENCY=1)", async (t) => {
+  const trace = path.join(root, "build-trace.txt");
+  // Appends start/end lines around a pause, so overlapping builds interleave in the trace
+  const script = (name) => `
+    const fs = require("fs");
+    fs.appendFileSync(process.env.TRACE, "start ${name}\\n");
+    setTimeout(() => {
+      fs.mkdirSync("dist", { recursive: true });
+      fs.writeFileSync("dist/${name}.js", "/* ${name} */");
+      fs.appendFileSync(process.env.TRACE, "end ${name}\\n");
+    }, 200);
+  `;
+  const build = { env: { TRACE: trace } };
+
+  const r = await sync(t, [buildSource("alpha", build), buildSource("beta", build)], {
+    ...buildRoutes("alpha", "v1.0.0", script("alpha")),
+    ...buildRoutes("beta", "v2.0.0", script("beta")),
+  });
+
+  assert.equal(r.hadFailure, false, JSON.stringify(r.results));
+  const lines = fs.readFileSync(trace, "utf8").trim().split("\n");
+  for (let i = 0; i < lines.length; i += 2) {
+    assert.equal(lines[i].replace("start", "end"), lines[i + 1], lines.join(", "));
+  }
+  assert.ok(lines.includes("start alpha") && lines.includes("start beta"));
+  assert.equal(fs.readFileSync(path.join(root, "public/beta/v2.0.0/beta.js"), "utf8"), "/* beta */");
+});
@@ -0,0 +1,172 @@
+// transform.test.mjs
+// Files derived from published ones (tools/transform.mjs), written into a scratch version dir.
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import zlib from "node:zlib";
+import { applyTransforms } from "../tools/transform.mjs";
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "transform-test-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Write `files` ({ name: content }) into the version dir; returns their names.
+ */
+function publish(files) {
+  for (const [name, data] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), data);
+  }
+  return Object.keys(files);
+}
+
+function read(name) {
+  return fs.readFileSync(path.join(dir, name), "utf8");
+}
+
+const INFO = { pkg: "lib", version: "1.2.0", meta: { name: "Lib", license: "MIT", homepage: "https://lib.test" } };
+
+const JS = "// comment\nexport function add(first, second) {\n  return first + second;\n}\n";
+const CSS = "/* comment */\n.box {\n  color: #ff0000;\n  margin: 0px;\n}\n";
+
+test("minify: .min.js / .min.css next to the originals, which stay unchanged", () => {
+  const names = publish({ "lib.js": JS, "css/lib.css": CSS, "README.md": "# lib" });
+
+  const derived = applyTransforms({ dir, names, transform: { minify: true }, info: INFO });
+
+  assert.deepEqual(derived, [
+    { name: "css/lib.min.css", derived_from: "css/lib.css", transform: "minify" },
+    { name: "lib.min.js", derived_from: "lib.js", transform: "minify" },
+  ]);
+  assert.equal(read("lib.js"), JS);
+  assert.equal(read("css/lib.css"), CSS);
+  assert.match(read("lib.min.js"), /^export function add\((\w),(\w)\)\{return \1\+\2\}\n$/);
+  assert.equal(read("css/lib.min.css"), ".box{color:red;margin:0}\n");
+});
+
+test("minify: sourcemap written next to the minified file, pointing at the original", () => {
+  const names = publish({ "lib.js": JS, "lib.css": CSS });
+
+  const derived = applyTransforms({ dir, names, transform: { minify: true, sourcemap: true }, info: INFO });
+
+  assert.deepEqual(
+    derived.map((d) => [d.name, d.derived_from, d.transform]),
+    [
+      ["lib.min.css", "lib.css", "minify"],
+      ["lib.min.css.map", "lib.min.css", "sourcemap"],
+      ["lib.min.js", "lib.js", "minify"],
+      ["lib.min.js.map", "lib.min.js", "sourcemap"],
+    ]
+  );
+  assert.match(read("lib.min.js"), /\n\/\/# sourceMappingURL=lib\.min\.js\.map\n$/);
+  assert.match(read("lib.min.css"), /\/\*# sourceMappingURL=lib\.min\.css\.map \*\/\n$/);
+
+  const map = JSON.parse(read("lib.min.js.map"));
+  assert.deepEqual(map.sources, ["lib.js"]);
+  assert.ok(map.mappings.length > 0);
+});
+
+test("banner: on minified output only, from a {version} template or from meta", () => {
+  const names = publish({ "lib.js": JS, "lib.css": CSS, "vendor.min.js": "upstream();" });
+
+  applyTransforms({ dir, names, transform: { minify: true, banner: "Lib v{version} (MIT)" }, info: INFO });
+  assert.ok(read("lib.min.js").startsWith("/*! Lib v1.2.0 (MIT) */\n"));
+  assert.ok(read("lib.min.css").startsWith("/*! Lib v1.2.0 (MIT) */\n"));
+  // Originals and upstream .min files are not touched
+  assert.equal(read("lib.js"), JS);
+  assert.equal(read("vendor.min.js"), "upstream();");
+
+  fs.rmSync(path.join(dir, "lib.min.js"));
+  applyTransforms({ dir, names: ["lib.js"], transform: { minify: true, banner: true }, info: INFO });
+  assert.ok(read("lib.min.js").startsWith("/*! Lib v1.2.0 | MIT | https://lib.test */\n"));
+
+  // Without minify there is nothing to put it on
+  fs.rmSync(path.join(dir, "lib.min.js"));
+  assert.deepEqual(applyTransforms({ dir, names: ["lib.js"], transform: { banner: true }, info: INFO }), []);
+  assert.equal(read("lib.js"), JS);
+});
+
+test("minify: skipped for .min files and for minified names the upstream already ships", () => {
+  const names = publish({ "lib.js": JS, "lib.min.js": "upstream.min();", "other.min.css": ".a{}" });
+
+  const derived = applyTransforms({ dir, names, transform: { minify: true }, info: INFO });
+
+  assert.deepEqual(derived, []);
+  assert.equal(read("lib.min.js"), "upstream.min();");
+  assert.equal(fs.existsSync(path.join(dir, "other.min.min.css")), false);
+});
+
+test("compress: .br / .gz siblings of the selected files and their minified copies", () => {
+  const names = publish({ "lib.js": JS, "data.json": "{}" });
+
+  const derived = applyTransforms({ dir, names, transform: { minify: true, compress: ["br", "gz"] }, info: INFO });
+
+  assert.deepEqual(
+    derived.map((d) => [d.name, d.derived_from, d.transform]),
+    [
+      ["lib.min.js", "lib.js", "minify"],
+      ["lib.js.br", "lib.js", "br"],
+      ["lib.js.gz", "lib.js", "gz"],
+      ["lib.min.js.br", "lib.min.js", "br"],
+      ["lib.min.js.gz", "lib.min.js", "gz"],
+    ]
+  );
+  const raw = (name) => fs.readFileSync(path.join(dir, name));
+  assert.deepEqual(zlib.brotliDecompressSync(raw("lib.js.br")), raw("lib.js"));
+  assert.deepEqual(zlib.gunzipSync(raw("lib.min.js.gz")), raw("lib.min.js"));
+  // data.json is not selected by the default files pattern
+  assert.equal(fs.existsSync(path.join(dir, "data.json.gz")), false);
+});
+
+test("files: selects what the pipeline applies to; a file esbuild cannot parse throws", () => {
+  const names = publish({ "a.js": JS, "b.js": JS, "broken.js": "function (" });
+
+  assert.deepEqual(
+    applyTransforms({ dir, names, transform: { files: "^a\\.js$", compress: ["gz"] }, info: INFO }).map((d) => d.name),
+    ["a.js.gz"]
+  );
+  assert.throws(() => applyTransforms({ dir, names, transform: { minify: true }, info: INFO }), /broken\.js/);
+});
+
+test("sprite: one <symbol> per SVG in dir, ids from the file names", () => {
+  const names = publish({
+    "assets/svg/1f600.svg": '<?xml version="1.0"?>\n<!-- smile --><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 36 36"><circle r="18"/></svg>\n',
+    "assets/svg/1f1f5-1f1f1.svg": "<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 36 36'><path d='M0 0h36v18H0z'/></svg>",
+    "assets/svg/nested/skip.svg": "<svg/>",
+    "assets/72x72/1f600.png": "png",
+  });
+
+  const derived = applyTransforms({ dir, names, transform: { sprite: { dir: "assets/svg", out: "assets/sprite.svg" } }, info: INFO });
+
+  assert.deepEqual(derived, [{ name: "assets/sprite.svg", derived_from: "assets/svg/", transform: "sprite" }]);
+  assert.equal(
+    read("assets/sprite.svg"),
+    '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">\n' +
+      '<symbol id="1f1f5-1f1f1" viewBox="0 0 36 36"><path d=\'M0 0h36v18H0z\'/></symbol>\n' +
+      '<symbol id="1f600" viewBox="0 0 36 36"><circle r="18"/></symbol>\n' +
+      "</svg>\n"
+  );
+});
+
+test("sprite: an upstream sheet is kept, a non-SVG source fails the transform", () => {
+  const names = publish({ "assets/svg/1f600.svg": "<svg/>", "assets/sprite.svg": "<svg>upstream</svg>" });
+  const transform = { sprite: { dir: "assets/svg", out: "assets/sprite.svg" } };
+
+  assert.deepEqual(applyTransforms({ dir, names, transform, info: INFO }), []);
+  assert.equal(read("assets/sprite.svg"), "<svg>upstream</svg>");
+
+  const broken = publish({ "icons/a.svg": "<html></html>" });
+  assert.throws(
+    () => applyTransforms({ dir, names: broken, transform: { sprite: { dir: "icons", out: "icons.svg" } }, info: INFO }),
+    /icons\/a\.svg is not an SVG document/
+  );
+});
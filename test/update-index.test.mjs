@@ -0,0 +1,75 @@
+// update-index.test.mjs
+// versions.json ordering and the last_* pointers of _index/index.json (tools/update-index.mjs).
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { updateIndexes } from "../tools/update-index.mjs";
+
+let publicDir;
+
+beforeEach(() => {
+  publicDir = fs.mkdtempSync(path.join(os.tmpdir(), "index-test-"));
+});
+
+afterEach(() => {
+  fs.rmSync(publicDir, { recursive: true, force: true });
+});
+
+function readJson(rel) {
+  return JSON.parse(fs.readFileSync(path.join(publicDir, rel), "utf8"));
+}
+
+function publish(version, channel, builtAt, backfill = false) {
+  updateIndexes({ publicDir, pkg: "lib", version, channel, builtAt, meta: { name: "Lib" }, backfill });
+}
+
+test("regular versions newest first by built_at; backfilled ones after them, highest version first", () => {
+  publish("v2.0.0", "stable", "2025-02-01T00:00:00Z");
+  publish("v1.9.0", "stable", "2025-03-01T00:00:00Z", true);
+  publish("v3.0.0-beta.1", "beta", "2025-03-02T00:00:00Z");
+  publish("v1.10.0", "stable", "2025-03-03T00:00:00Z", true);
+  publish("vnightly", null, "2025-03-04T00:00:00Z", true);
+  publish("v1.2.0", "stable", "2025-03-05T00:00:00Z", true);
+
+  assert.deepEqual(
+    readJson("lib/versions.json").versions.map((v) => [v.version, v.backfill ?? false]),
+    [
+      ["v3.0.0-beta.1", false],
+      ["v2.0.0", false],
+      ["v1.10.0", true],
+      ["v1.9.0", true],
+      ["v1.2.0", true],
+      ["vnightly", true],
+    ]
+  );
+});
+
+test("backfilled versions never become last_stable / last_beta / last_latest", () => {
+  publish("v2.0.0", "stable", "2025-02-01T00:00:00Z");
+  publish("v3.0.0-rc.1", "beta", "2025-02-02T00:00:00Z");
+  // Published later and with a higher version, but backfilled
+  publish("v4.0.0", "stable", "2025-03-01T00:00:00Z", true);
+  publish("v4.0.0-rc.1", "beta", "2025-03-02T00:00:00Z", true);
+
+  const { lib } = readJson("_index/index.json").packages;
+  assert.equal(lib.last_stable.version, "v2.0.0");
+  assert.equal(lib.last_beta.version, "v3.0.0-rc.1");
+  assert.equal(lib.last_latest.version, "v3.0.0-rc.1");
+  assert.deepEqual(lib.meta, { name: "Lib" });
+});
+
+test("a package with only backfilled versions has no last_* pointers", () => {
+  publish("v1.0.0", "stable", "2025-01-01T00:00:00Z", true);
+
+  assert.deepEqual(readJson("_index/index.json").packages.lib, { last_stable: null, last_beta: null, last_latest: null, meta: { name: "Lib" } });
+});
+
+test("publishing a version again replaces its entry", () => {
+  publish("v1.0.0", "stable", "2025-01-01T00:00:00Z", true);
+  publish("v1.0.0", "stable", "2025-02-01T00:00:00Z");
+
+  assert.deepEqual(readJson("lib/versions.json").versions, [{ version: "v1.0.0", channel: "stable", built_at: "2025-02-01T00:00:00Z" }]);
+  assert.equal(readJson("_index/index.json").packages.lib.last_latest.version, "v1.0.0");
+});
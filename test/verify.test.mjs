@@ -0,0 +1,341 @@
+// verify.test.mjs
+// Authenticity checks in tools/verify.mjs, with keys generated per run (no fixtures to go stale).
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+import {
+  parseChecksumFile,
+  verifyChecksumFile,
+  verifyMinisign,
+  verifyGpg,
+  verifyNpmSignature,
+  verifyNpmProvenance,
+} from "../tools/verify.mjs";
+
+let tmp;
+const gpgHomes = [];
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "verify-test-"));
+});
+
+after(() => {
+  // Key generation starts a gpg-agent per keyring
+  for (const home of gpgHomes) execFileSync("gpgconf", ["--homedir", home, "--kill", "all"], { stdio: "ignore" });
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function write(name, data) {
+  const fp = path.join(tmp, name);
+  fs.writeFileSync(fp, data);
+  return fp;
+}
+
+function hex(algo, buf) {
+  return crypto.createHash(algo).update(buf).digest("hex");
+}
+
+const DATA = Buffer.from("release payload\n");
+
+// ------------------------------------------------------------
+// Checksum files
+// ------------------------------------------------------------
+
+test("parseChecksumFile: GNU and BSD lines keyed by normalized path, weak hashes ignored", () => {
+  const sums = parseChecksumFile(
+    [
+      "# comment",
+      `${"A".repeat(64)}  ./dist/a.js`,
+      `${"b".repeat(128)} *lib\\a.js`,
+      `SHA384 (pkg.zip) = ${"c".repeat(96)}`,
+      `${"d".repeat(40)}  sha1-only.txt`,
+      `${"e".repeat(32)}  md5-only.txt`,
+    ].join("\r\n")
+  );
+
+  assert.deepEqual(Object.fromEntries(sums), {
+    "dist/a.js": { algorithm: "sha256", hex: "a".repeat(64) },
+    "lib/a.js": { algorithm: "sha512", hex: "b".repeat(128) },
+    "pkg.zip": { algorithm: "sha384", hex: "c".repeat(96) },
+  });
+});
+
+test("verifyChecksumFile: every asset must be listed and match", () => {
+  const good = write("good.zip", DATA);
+  const other = write("other.zip", "other");
+  const sums = write("SHA256SUMS", `${hex("sha256", DATA)}  good.zip\nSHA512 (dist/other.zip) = ${hex("sha512", Buffer.from("other"))}\n`);
+
+  assert.deepEqual(
+    verifyChecksumFile(
+      [
+        { name: "good.zip", localPath: good },
+        { name: "other.zip", localPath: other },
+      ],
+      sums
+    ),
+    { type: "checksums", file: "SHA256SUMS", algorithm: "sha256,sha512", files: ["good.zip", "other.zip"] }
+  );
+
+  // Tampered payload
+  assert.throws(
+    () => verifyChecksumFile([{ name: "good.zip", localPath: other }], sums),
+    /^Error: Verification failed: good\.zip sha256 mismatch/
+  );
+
+  // Asset without a line in the checksum file
+  const extra = write("extra.zip", "extra");
+  assert.throws(
+    () => verifyChecksumFile([{ name: "good.zip", localPath: good }, { name: "extra.zip", localPath: extra }], sums),
+    /Verification failed: extra\.zip is not listed in SHA256SUMS/
+  );
+});
+
+test("verifyChecksumFile: the same basename under two paths is ambiguous", () => {
+  const a = write("a.js", DATA);
+  const sums = write("SUMS", `${hex("sha256", DATA)}  dist/a.js\n${hex("sha256", Buffer.from("x"))}  lib/a.js\n`);
+
+  assert.throws(
+    () => verifyChecksumFile([{ name: "a.js", localPath: a }], sums),
+    /a\.js is listed more than once in SUMS \(dist\/a\.js, lib\/a\.js\)/
+  );
+});
+
+// ------------------------------------------------------------
+// minisign
+// ------------------------------------------------------------
+
+/**
+ * A minisign key pair: `pub` is the .pub file, `sign(data, alg)` returns a .minisig file.
+ */
+function minisignKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+  const keyId = crypto.randomBytes(8);
+  const raw = Buffer.from(publicKey.export({ format: "jwk" }).x, "base64url");
+
+  return {
+    keyId,
+    pub: `untrusted comment: minisign public key\n${Buffer.concat([Buffer.from("Ed"), keyId, raw]).toString("base64")}\n`,
+    sign(data, alg = "ED", comment = "timestamp:1700000000\tfile:pkg.zip") {
+      const msg = alg === "ED" ? crypto.createHash("blake2b512").update(data).digest() : data;
+      const sig = crypto.sign(null, msg, privateKey);
+      const global = crypto.sign(null, Buffer.concat([sig, Buffer.from(comment)]), privateKey);
+      return [
+        "untrusted comment: signature from minisign secret key",
+        Buffer.concat([Buffer.from(alg), keyId, sig]).toString("base64"),
+        `trusted comment: ${comment}`,
+        global.toString("base64"),
+        "",
+      ].join("\n");
+    },
+  };
+}
+
+test("minisign: prehashed and legacy signatures verify against the pinned key", () => {
+  const k = minisignKey();
+
+  const r = verifyMinisign(DATA, k.sign(DATA, "ED"), k.pub);
+  assert.equal(r.type, "minisign");
+  assert.equal(r.key_id, Buffer.from(k.keyId).reverse().toString("hex").toUpperCase());
+  assert.equal(r.trusted_comment, "timestamp:1700000000\tfile:pkg.zip");
+
+  // Bare base64 key line works as well
+  assert.equal(verifyMinisign(DATA, k.sign(DATA, "Ed"), k.pub.split("\n")[1]).type, "minisign");
+});
+
+test("minisign: tampered payload or trusted comment fails", () => {
+  const k = minisignKey();
+  const sig = k.sign(DATA);
+
+  assert.throws(() => verifyMinisign(Buffer.from("tampered\n"), sig, k.pub), /Verification failed: bad minisign signature/);
+  assert.throws(
+    () => verifyMinisign(DATA, sig.replace("timestamp:1700000000", "timestamp:1800000000"), k.pub),
+    /bad minisign trusted comment signature/
+  );
+});
+
+test("minisign: signature by another key fails on the key id, or on the signature if the id is forged", () => {
+  const pinned = minisignKey();
+  const other = minisignKey();
+
+  assert.throws(() => verifyMinisign(DATA, other.sign(DATA), pinned.pub), /key id [0-9A-F]{16} does not match the pinned key/);
+
+  const forged = other.sign(DATA).replace(/^(.*\n)([^\n]+)/, (m, head, line) => {
+    const buf = Buffer.from(line, "base64");
+    pinned.keyId.copy(buf, 2);
+    return head + buf.toString("base64");
+  });
+  assert.throws(() => verifyMinisign(DATA, forged, pinned.pub), /bad minisign signature/);
+});
+
+// ------------------------------------------------------------
+// OpenPGP
+// ------------------------------------------------------------
+
+const HAS_GPG = (() => {
+  try {
+    execFileSync("gpg", ["--version"], { stdio: "ignore" });
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+/**
+ * Generate an Ed25519 key in a throwaway keyring; returns its armored public key, fingerprint and a signer.
+ */
+function gpgKey(name) {
+  const home = fs.mkdtempSync(path.join(tmp, "gnupg-"));
+  gpgHomes.push(home);
+  const base = ["--homedir", home, "--batch", "--no-tty", "--pinentry-mode", "loopback", "--passphrase", ""];
+  const uid = `${name} <${name}@example.test>`;
+  execFileSync("gpg", [...base, "--quick-gen-key", uid, "ed25519", "sign", "never"], { stdio: "ignore", timeout: 60_000 });
+
+  const colons = execFileSync("gpg", ["--homedir", home, "--batch", "--with-colons", "--fingerprint", uid], { encoding: "utf8" });
+  return {
+    fingerprint: /^fpr:+([0-9A-F]+):/m.exec(colons)[1],
+    publicKey: execFileSync("gpg", ["--homedir", home, "--batch", "--armor", "--export", uid], { encoding: "utf8" }),
+    sign(dataPath) {
+      const sigPath = `${dataPath}.${name}.asc`;
+      execFileSync("gpg", [...base, "--local-user", uid, "--armor", "--output", sigPath, "--detach-sign", dataPath], {
+        stdio: "ignore",
+        timeout: 60_000,
+      });
+      return sigPath;
+    },
+  };
+}
+
+test("gpg: good, tampered, other key and wrong fingerprint", { skip: !HAS_GPG && "gpg not installed" }, async () => {
+  const pinned = gpgKey("pinned");
+  const other = gpgKey("other");
+  const data = write("SHA256SUMS.gpg", DATA);
+  const sig = pinned.sign(data);
+
+  const r = await verifyGpg(data, sig, pinned.publicKey, { fingerprint: pinned.fingerprint.replace(/(.{4})/g, "$1 ") });
+  assert.deepEqual(r, { type: "gpg", fingerprint: pinned.fingerprint, primary_fingerprint: pinned.fingerprint });
+
+  await assert.rejects(verifyGpg(write("tampered.txt", "tampered\n"), sig, pinned.publicKey), /bad OpenPGP signature .*BADSIG/);
+  await assert.rejects(verifyGpg(data, other.sign(data), pinned.publicKey), /bad OpenPGP signature .*(NO_PUBKEY|ERRSIG)/);
+  await assert.rejects(
+    verifyGpg(data, sig, pinned.publicKey, { fingerprint: other.fingerprint }),
+    new RegExp(`signed by ${pinned.fingerprint}, expected ${other.fingerprint}`)
+  );
+});
+
+// ------------------------------------------------------------
+// npm registry signatures and provenance
+// ------------------------------------------------------------
+
+const INTEGRITY = `sha512-${crypto.createHash("sha512").update(DATA).digest("base64")}`;
+
+function npmKey(keyid, expires = null) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  return {
+    entry: { keyid, key: publicKey.export({ format: "der", type: "spki" }).toString("base64"), expires },
+    sign: (name, version, integrity = INTEGRITY) =>
+      ({ keyid, sig: crypto.sign("sha256", Buffer.from(`${name}@${version}:${integrity}`), privateKey).toString("base64") }),
+  };
+}
+
+test("npm signature: valid signature from a published key", () => {
+  const k = npmKey("SHA256:current");
+  const dist = { integrity: INTEGRITY, signatures: [k.sign("lib", "1.0.0")] };
+
+  assert.deepEqual(verifyNpmSignature({ name: "lib", version: "1.0.0", dist, keys: { keys: [k.entry] } }), {
+    type: "npm-signature",
+    keyid: "SHA256:current",
+    verified: true,
+  });
+});
+
+test("npm signature: tampered integrity, unknown key id and missing signatures fail", () => {
+  const k = npmKey("SHA256:current");
+  const keys = { keys: [k.entry] };
+  const sig = k.sign("lib", "1.0.0");
+
+  const tampered = { integrity: `sha512-${crypto.createHash("sha512").update("x").digest("base64")}`, signatures: [sig] };
+  assert.throws(() => verifyNpmSignature({ name: "lib", version: "1.0.0", dist: tampered, keys }), /bad registry signature for lib@1\.0\.0/);
+
+  // Signature over another version does not carry over
+  assert.throws(
+    () => verifyNpmSignature({ name: "lib", version: "1.0.1", dist: { integrity: INTEGRITY, signatures: [sig] }, keys }),
+    /bad registry signature/
+  );
+
+  const stranger = npmKey("SHA256:stranger");
+  assert.throws(
+    () => verifyNpmSignature({ name: "lib", version: "1.0.0", dist: { integrity: INTEGRITY, signatures: [stranger.sign("lib", "1.0.0")] }, keys }),
+    /no registry signature of lib@1\.0\.0 uses a known registry key/
+  );
+
+  assert.throws(() => verifyNpmSignature({ name: "lib", version: "1.0.0", dist: { integrity: INTEGRITY }, keys }), /has no registry signatures/);
+});
+
+test("npm signature: a key that expired before the version was published is rejected", () => {
+  const k = npmKey("SHA256:old", "2023-01-01T00:00:00.000Z");
+  const dist = { integrity: INTEGRITY, signatures: [k.sign("lib", "1.0.0")] };
+  const keys = { keys: [k.entry] };
+
+  assert.throws(
+    () => verifyNpmSignature({ name: "lib", version: "1.0.0", dist, keys, publishedAt: "2024-06-01T00:00:00.000Z" }),
+    /signed with registry key SHA256:old, which expired 2023-01-01/
+  );
+  // No publish time: checked against now
+  assert.throws(() => verifyNpmSignature({ name: "lib", version: "1.0.0", dist, keys }), /which expired/);
+  // Published while the key was still valid
+  assert.equal(verifyNpmSignature({ name: "lib", version: "1.0.0", dist, keys, publishedAt: "2022-06-01T00:00:00.000Z" }).verified, true);
+});
+
+function provenance(name, version, digestHex, repository = "https://github.com/acme/lib") {
+  const statement = {
+    subject: [{ name: `pkg:npm/${name.replace("@", "%40")}@${version}`, digest: { sha512: digestHex } }],
+    predicate: {
+      buildDefinition: {
+        externalParameters: { workflow: { repository, path: ".github/workflows/release.yml" } },
+        resolvedDependencies: [{ digest: { gitCommit: "0123abc" } }],
+      },
+    },
+  };
+  return {
+    attestations: [
+      {
+        predicateType: "https://slsa.dev/provenance/v1",
+        bundle: { dsseEnvelope: { payload: Buffer.from(JSON.stringify(statement)).toString("base64") } },
+      },
+    ],
+  };
+}
+
+test("npm provenance: subject digest and repository must match; never counts as verified", () => {
+  const attestations = provenance("@acme/lib", "1.0.0", hex("sha512", DATA));
+
+  assert.deepEqual(
+    verifyNpmProvenance({ name: "@acme/lib", version: "1.0.0", integrity: INTEGRITY, attestations, repository: "https://github.com/ACME/lib.git" }),
+    {
+      type: "npm-provenance",
+      predicate_type: "https://slsa.dev/provenance/v1",
+      repository: "https://github.com/acme/lib",
+      workflow: ".github/workflows/release.yml",
+      commit: "0123abc",
+      verified: false,
+    }
+  );
+
+  const otherTarball = provenance("@acme/lib", "1.0.0", hex("sha512", Buffer.from("other")));
+  assert.throws(
+    () => verifyNpmProvenance({ name: "@acme/lib", version: "1.0.0", integrity: INTEGRITY, attestations: otherTarball }),
+    /provenance subject digest does not match the tarball/
+  );
+  assert.throws(
+    () => verifyNpmProvenance({ name: "@acme/lib", version: "1.0.1", integrity: INTEGRITY, attestations }),
+    /provenance subject is not pkg:npm\/%40acme\/lib@1\.0\.1/
+  );
+  assert.throws(
+    () => verifyNpmProvenance({ name: "@acme/lib", version: "1.0.0", integrity: INTEGRITY, attestations, repository: "https://github.com/evil/lib" }),
+    /provenance repository https:\/\/github\.com\/acme\/lib does not match/
+  );
+});
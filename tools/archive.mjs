@@ -0,0 +1,369 @@
+// archive.mjs
+// Minimal zip and tar.gz readers for the sync tools (no unzip/tar binaries needed)
+//
+// zip:    reads the central directory, then streams each selected entry through inflateRaw (stored/deflate, ZIP64),
+//         checking its CRC-32 against the central directory
+// tar.gz: single streaming pass over gunzip output (ustar, GNU long names, pax path headers); an archive that
+//         ends inside an entry or without the end-of-archive block is rejected
+//
+// Entries are written under destDir by their archive path, normalized to a POSIX relative path
+// (the same path is passed to filters and returned). Absolute paths, ".." segments, links and
+// other special entries are skipped.
+
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import { Transform } from "node:stream";
+import { pipeline } from "node:stream/promises";
+
+/**
+ * Normalize an archive path to a safe POSIX relative path, or null when it must not be written.
+ *
+ * @param {string} name
+ * @returns {string|null}
+ */
+function safeRelPath(name) {
+  const parts = String(name || "")
+    .replace(/\\/g, "/")
+    .split("/")
+    .filter((p) => p && p !== ".");
+  if (!parts.length || /^\//.test(name) || /^[a-z]:/i.test(parts[0]) || parts.includes("..")) return null;
+  return parts.join("/");
+}
+
+function outPathFor(destDir, rel) {
+  return path.join(destDir, ...rel.split("/"));
+}
+
+function isSymlink(mode) {
+  return (mode & 0o170000) === 0o120000;
+}
+
+// Build scripts in source archives (e.g. ./build.sh) must stay runnable
+function keepExecutable(fp, mode) {
+  if (mode & 0o111) fs.chmodSync(fp, 0o755);
+}
+
+// ------------------------------------------------------------
+// zip
+// ------------------------------------------------------------
+
+const EOCD_SIG = 0x06054b50;
+const ZIP64_LOCATOR_SIG = 0x07064b50;
+const ZIP64_EOCD_SIG = 0x06064b50;
+const CDH_SIG = 0x02014b50;
+const LFH_SIG = 0x04034b50;
+
+function readAt(fd, position, length) {
+  const buf = Buffer.alloc(length);
+  const n = fs.readSync(fd, buf, 0, length, position);
+  return buf.subarray(0, n);
+}
+
+function u64(buf, off) {
+  return Number(buf.readBigUInt64LE(off));
+}
+
+function findCentralDirectory(fd, fileSize) {
+  // EOCD is 22 bytes + up to 64KiB comment at the very end
+  const tailLen = Math.min(fileSize, 22 + 0xffff);
+  const tailPos = fileSize - tailLen;
+  const tail = readAt(fd, tailPos, tailLen);
+
+  let at = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIG) {
+      at = i;
+      break;
+    }
+  }
+  if (at < 0) throw new Error("Not a zip file (no end of central directory)");
+
+  let count = tail.readUInt16LE(at + 10);
+  let size = tail.readUInt32LE(at + 12);
+  let offset = tail.readUInt32LE(at + 16);
+
+  if (count === 0xffff || size === 0xffffffff || offset === 0xffffffff) {
+    const locPos = tailPos + at - 20;
+    const loc = readAt(fd, locPos, 20);
+    if (loc.length === 20 && loc.readUInt32LE(0) === ZIP64_LOCATOR_SIG) {
+      const eocd64 = readAt(fd, u64(loc, 8), 56);
+      if (eocd64.readUInt32LE(0) !== ZIP64_EOCD_SIG) throw new Error("Corrupt ZIP64 end of central directory");
+      count = u64(eocd64, 32);
+      size = u64(eocd64, 40);
+      offset = u64(eocd64, 48);
+    }
+  }
+
+  return { count, size, offset };
+}
+
+/**
+ * @typedef {object} ZipEntry
+ * @property {string} name path inside the zip
+ * @property {number} method 0 = stored, 8 = deflate
+ * @property {boolean} encrypted general purpose flag bit 0 (traditional PKWARE or strong encryption)
+ * @property {number} crc CRC-32 of the uncompressed data
+ * @property {number} compressedSize
+ * @property {number} size
+ * @property {number} headerOffset local file header offset
+ * @property {number} mode unix mode from the external attributes (0 when not made on unix)
+ * @property {boolean} isDir
+ */
+
+/**
+ * Read the central directory of a zip.
+ *
+ * @param {string} zipPath
+ * @returns {ZipEntry[]}
+ */
+export function readZipEntries(zipPath) {
+  const fd = fs.openSync(zipPath, "r");
+  try {
+    const { count, size, offset } = findCentralDirectory(fd, fs.fstatSync(fd).size);
+    const cd = readAt(fd, offset, size);
+    const out = [];
+
+    let p = 0;
+    for (let i = 0; i < count; i++) {
+      if (cd.readUInt32LE(p) !== CDH_SIG) throw new Error("Corrupt zip central directory");
+
+      const flags = cd.readUInt16LE(p + 8);
+      const method = cd.readUInt16LE(p + 10);
+      const crc = cd.readUInt32LE(p + 16);
+      let compressedSize = cd.readUInt32LE(p + 20);
+      let size = cd.readUInt32LE(p + 24);
+      const nameLen = cd.readUInt16LE(p + 28);
+      const extraLen = cd.readUInt16LE(p + 30);
+      const commentLen = cd.readUInt16LE(p + 32);
+      const madeBy = cd.readUInt16LE(p + 4) >> 8;
+      const mode = madeBy === 3 ? cd.readUInt32LE(p + 38) >>> 16 : 0;
+      let headerOffset = cd.readUInt32LE(p + 42);
+      const name = cd.toString("utf8", p + 46, p + 46 + nameLen);
+
+      // ZIP64 extra field (0x0001): only the fields saturated in the fixed header are present, in this order
+      let e = p + 46 + nameLen;
+      const extraEnd = e + extraLen;
+      while (e + 4 <= extraEnd) {
+        const id = cd.readUInt16LE(e);
+        const len = cd.readUInt16LE(e + 2);
+        if (id === 0x0001) {
+          let q = e + 4;
+          if (size === 0xffffffff) (size = u64(cd, q)), (q += 8);
+          if (compressedSize === 0xffffffff) (compressedSize = u64(cd, q)), (q += 8);
+          if (headerOffset === 0xffffffff) headerOffset = u64(cd, q);
+        }
+        e += 4 + len;
+      }
+
+      out.push({ name, method, encrypted: (flags & 0x0001) !== 0, crc, compressedSize, size, headerOffset, mode, isDir: name.endsWith("/") });
+      p = extraEnd + commentLen;
+    }
+
+    return out;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * List (normalized) file paths inside a zip; directories and unsafe paths excluded.
+ *
+ * @param {string} zipPath
+ * @returns {string[]}
+ */
+export function listZipEntries(zipPath) {
+  return readZipEntries(zipPath)
+    .filter((e) => !e.isDir && !isSymlink(e.mode))
+    .map((e) => safeRelPath(e.name))
+    .filter(Boolean);
+}
+
+/**
+ * Extract zip entries accepted by `filter` into destDir in a single pass over the central directory.
+ *
+ * @param {string} zipPath
+ * @param {string} destDir
+ * @param {(rel:string) => boolean} [filter]
+ * @returns {Promise<string[]>} relative paths written
+ */
+export async function extractZip(zipPath, destDir, filter = () => true) {
+  const entries = readZipEntries(zipPath)
+    .filter((e) => !e.isDir && !isSymlink(e.mode))
+    .map((e) => ({ ...e, rel: safeRelPath(e.name) }))
+    .filter((e) => e.rel && filter(e.rel));
+  const written = [];
+
+  const fd = fs.openSync(zipPath, "r");
+  try {
+    for (const e of entries) {
+      const rel = e.rel;
+      if (e.encrypted) throw new Error(`Encrypted zip entries are not supported: ${e.name}`);
+      if (e.method !== 0 && e.method !== 8) throw new Error(`Unsupported zip compression method ${e.method}: ${e.name}`);
+
+      const lfh = readAt(fd, e.headerOffset, 30);
+      if (lfh.readUInt32LE(0) !== LFH_SIG) throw new Error(`Corrupt zip local header: ${e.name}`);
+      const dataStart = e.headerOffset + 30 + lfh.readUInt16LE(26) + lfh.readUInt16LE(28);
+
+      const dst = outPathFor(destDir, rel);
+      fs.mkdirSync(path.dirname(dst), { recursive: true });
+
+      let crc = 0;
+      if (e.compressedSize === 0) {
+        fs.writeFileSync(dst, "");
+      } else {
+        const input = fs.createReadStream(zipPath, { start: dataStart, end: dataStart + e.compressedSize - 1 });
+        const stages = e.method === 8 ? [input, zlib.createInflateRaw()] : [input];
+        const checksum = new Transform({
+          transform(chunk, _enc, cb) {
+            crc = zlib.crc32(chunk, crc);
+            cb(null, chunk);
+          },
+        });
+        await pipeline(...stages, checksum, fs.createWriteStream(dst));
+      }
+      if (crc !== e.crc) throw new Error(`CRC-32 mismatch in zip entry ${e.name}`);
+      keepExecutable(dst, e.mode);
+
+      written.push(rel);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return written;
+}
+
+// ------------------------------------------------------------
+// tar.gz
+// ------------------------------------------------------------
+
+function cString(buf, start, end) {
+  const s = buf.subarray(start, end);
+  const nul = s.indexOf(0);
+  return s.toString("utf8", 0, nul < 0 ? s.length : nul);
+}
+
+function tarSize(h) {
+  // GNU base-256 for sizes >= 8GiB, octal otherwise
+  if (h[124] & 0x80) {
+    let n = 0;
+    for (let i = 125; i < 136; i++) n = n * 256 + h[i];
+    return n;
+  }
+  return parseInt(cString(h, 124, 136).trim() || "0", 8);
+}
+
+function paxPath(buf) {
+  // records: "<len> <key>=<value>\n"
+  let p = 0;
+  let found = null;
+  while (p < buf.length) {
+    const sp = buf.indexOf(0x20, p);
+    if (sp < 0) break;
+    const len = parseInt(buf.toString("utf8", p, sp), 10);
+    if (!len) break;
+    const rec = buf.toString("utf8", sp + 1, p + len - 1);
+    const eq = rec.indexOf("=");
+    if (rec.slice(0, eq) === "path") found = rec.slice(eq + 1);
+    p += len;
+  }
+  return found;
+}
+
+/**
+ * Extract tar.gz entries accepted by `filter` into destDir in one streaming pass.
+ *
+ * @param {string} tgzPath
+ * @param {string} destDir
+ * @param {(rel:string) => boolean} [filter]
+ * @returns {Promise<string[]>} relative paths written
+ */
+export async function extractTarGz(tgzPath, destDir, filter = () => true) {
+  const written = [];
+
+  let buf = Buffer.alloc(0);
+  let entry = null; // { name, kind, remaining, pad, chunks|null }
+  let longName = null;
+  let paxName = null;
+  let ended = false;
+
+  function finish(ent) {
+    const data = ent.chunks ? Buffer.concat(ent.chunks) : null;
+    if (ent.kind === "longname") longName = cString(data, 0, data.length);
+    else if (ent.kind === "pax") paxName = paxPath(data);
+    else if (ent.kind === "file" && data) {
+      const dst = outPathFor(destDir, ent.rel);
+      fs.mkdirSync(path.dirname(dst), { recursive: true });
+      fs.writeFileSync(dst, data);
+      keepExecutable(dst, ent.mode);
+      written.push(ent.rel);
+    }
+  }
+
+  const stream = fs.createReadStream(tgzPath).pipe(zlib.createGunzip());
+
+  for await (const chunk of stream) {
+    if (ended) continue;
+    buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+
+    while (!ended) {
+      if (entry) {
+        if (entry.remaining > 0) {
+          if (!buf.length) break;
+          const n = Math.min(entry.remaining, buf.length);
+          if (entry.chunks) entry.chunks.push(buf.subarray(0, n));
+          buf = buf.subarray(n);
+          entry.remaining -= n;
+          if (entry.remaining > 0) break;
+        }
+        if (buf.length < entry.pad) break;
+        buf = buf.subarray(entry.pad);
+        finish(entry);
+        entry = null;
+        continue;
+      }
+
+      if (buf.length < 512) break;
+      const h = buf.subarray(0, 512);
+      buf = buf.subarray(512);
+
+      if (h.every((b) => b === 0)) {
+        ended = true;
+        break;
+      }
+
+      const size = tarSize(h);
+      const type = String.fromCharCode(h[156] || 0x30);
+      const pad = (512 - (size % 512)) % 512;
+
+      if (type === "L") {
+        entry = { kind: "longname", remaining: size, pad, chunks: [] };
+      } else if (type === "x") {
+        entry = { kind: "pax", remaining: size, pad, chunks: [] };
+      } else {
+        let name = cString(h, 0, 100);
+        if (cString(h, 257, 262) === "ustar") {
+          const prefix = cString(h, 345, 500);
+          if (prefix) name = `${prefix}/${name}`;
+        }
+        name = paxName || longName || name;
+        longName = null;
+        paxName = null;
+
+        // Regular files only ("0", NUL, contiguous "7"); "g" global pax, dirs and links are skipped
+        const isFile = type === "0" || type === "7";
+        const rel = isFile ? safeRelPath(name) : null;
+        const wanted = !!rel && filter(rel);
+        const mode = parseInt(cString(h, 100, 108).trim() || "0", 8);
+        entry = { kind: wanted ? "file" : "skip", rel, mode, remaining: size, pad, chunks: wanted ? [] : null };
+      }
+    }
+  }
+
+  // gunzip already fails on a cut gzip stream; this catches a complete gzip of an incomplete tar
+  if (entry) throw new Error(`Truncated tar archive: entry data cut short${entry.rel ? ` (${entry.rel})` : ""}`);
+  if (!ended) throw new Error("Truncated tar archive: no end-of-archive block");
+
+  return written;
+}
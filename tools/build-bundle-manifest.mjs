@@ -46,7 +46,8 @@ export function buildBundleManifest({ publicDir, baseUrl, builtAt }) {
         files[name] = {
           url: `/${pkg}/${ver}/${name}`,
           integrity: meta.integrity || null,
-          bytes: meta.bytes ?? null
+          bytes: meta.bytes ?? null,
+          ...(meta.derived_from ? { derived_from: meta.derived_from } : {})
         };
       }
 
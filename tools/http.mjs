@@ -0,0 +1,175 @@
+// http.mjs
+// fetch-based HTTP helpers for the sync tools (retries, streaming downloads)
+//
+// The fetch implementation can be swapped with setFetch() so syncs can run against local fixtures.
+// Retries: network errors and 408/429/5xx responses, exponential backoff with jitter (HTTP_RETRIES, default 3).
+//
+// Rate limits (GitHub and compatible APIs):
+//  - Retry-After on 429/403/503 is honored before retrying
+//  - X-RateLimit-Remaining: 0 pauses further requests to that host until X-RateLimit-Reset
+//  - waits longer than HTTP_MAX_RATE_LIMIT_WAIT_MS (default 15 min) fail instead of stalling the run
+
+import fs from "node:fs";
+import path from "node:path";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+
+const RETRY_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+// host -> epoch ms until which requests are held back (X-RateLimit-Remaining: 0)
+const blockedUntil = new Map();
+
+let fetchImpl = (...args) => globalThis.fetch(...args);
+
+/**
+ * Replace the fetch implementation (pass null to restore globalThis.fetch).
+ *
+ * @param {typeof fetch|null} fn
+ */
+export function setFetch(fn) {
+  fetchImpl = fn || ((...args) => globalThis.fetch(...args));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function retryCount() {
+  const n = Number(process.env.HTTP_RETRIES);
+  return Number.isInteger(n) && n >= 0 ? n : 3;
+}
+
+function maxRateLimitWait() {
+  const n = Number(process.env.HTTP_MAX_RATE_LIMIT_WAIT_MS);
+  return Number.isFinite(n) && n >= 0 ? n : 15 * 60_000;
+}
+
+function backoff(baseMs, attempt) {
+  return baseMs * 2 ** attempt * (0.75 + Math.random() * 0.5);
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * How long the server asks us to wait (ms), from Retry-After or an exhausted X-RateLimit-* window.
+ *
+ * @param {Response} res
+ * @returns {number|null}
+ */
+function rateLimitWait(res) {
+  const ra = res.headers.get("retry-after");
+  if (ra) {
+    const sec = Number(ra);
+    if (Number.isFinite(sec)) return Math.max(0, sec * 1000);
+    const at = Date.parse(ra);
+    if (!Number.isNaN(at)) return Math.max(0, at - Date.now());
+  }
+
+  if (res.headers.get("x-ratelimit-remaining") === "0") {
+    const reset = Number(res.headers.get("x-ratelimit-reset"));
+    // +1s: the reset timestamp has second granularity
+    if (reset) return Math.max(0, reset * 1000 - Date.now()) + 1000;
+  }
+
+  return null;
+}
+
+async function waitForHost(host) {
+  const until = blockedUntil.get(host) || 0;
+  const ms = until - Date.now();
+  if (ms <= 0) return;
+  if (ms > maxRateLimitWait()) throw new Error(`Rate limited by ${host} for ${Math.ceil(ms / 1000)}s`);
+  await sleep(ms);
+}
+
+/**
+ * GET a URL, retrying transient failures. Resolves with an ok Response, rejects otherwise
+ * (the error carries .status for HTTP errors).
+ *
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {Record<string,string>} [opts.headers]
+ * @param {number} [opts.retries]
+ * @param {number} [opts.backoffMs] base delay, doubled per attempt
+ * @returns {Promise<Response>}
+ */
+export async function httpGet(url, { headers = {}, retries = retryCount(), backoffMs = 500 } = {}) {
+  const host = hostOf(url);
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForHost(host);
+
+    let res;
+    try {
+      res = await fetchImpl(url, { headers, redirect: "follow" });
+    } catch (e) {
+      if (attempt >= retries) throw new Error(`GET ${url} failed: ${e?.cause?.message || e?.message || e}`);
+      await sleep(backoff(backoffMs, attempt));
+      continue;
+    }
+
+    // Last request of the window: hold back everything else for this host until it resets
+    const wait = rateLimitWait(res);
+    if (res.headers.get("x-ratelimit-remaining") === "0" && wait !== null) {
+      blockedUntil.set(host, Math.max(blockedUntil.get(host) || 0, Date.now() + wait));
+    }
+
+    if (res.ok) return res;
+
+    await res.body?.cancel?.();
+
+    // 429, secondary rate limits (403 + Retry-After) and exhausted primary limits (403 + remaining 0)
+    const limited = res.status === 429 || ((res.status === 403 || res.status === 503) && wait !== null);
+    if (limited && attempt < retries) {
+      const ms = wait ?? backoff(backoffMs, attempt);
+      if (ms > maxRateLimitWait()) throw new Error(`GET ${url} -> HTTP ${res.status}: rate limited for ${Math.ceil(ms / 1000)}s`);
+      blockedUntil.set(host, Math.max(blockedUntil.get(host) || 0, Date.now() + ms));
+      continue;
+    }
+
+    if (RETRY_STATUS.has(res.status) && attempt < retries) {
+      await sleep(backoff(backoffMs, attempt));
+      continue;
+    }
+
+    const err = new Error(`GET ${url} -> HTTP ${res.status}`);
+    err.status = res.status;
+    throw err;
+  }
+}
+
+export async function httpGetText(url, headers = {}) {
+  const res = await httpGet(url, { headers });
+  return res.text();
+}
+
+export async function httpGetJson(url, headers = {}) {
+  return JSON.parse(await httpGetText(url, headers));
+}
+
+/**
+ * Stream a URL to a file.
+ *
+ * @param {string} url
+ * @param {string} outPath
+ * @param {Record<string,string>} [headers]
+ * @returns {Promise<number>} bytes written
+ */
+export async function httpDownload(url, outPath, headers = {}) {
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+
+  const res = await httpGet(url, { headers });
+  if (!res.body) {
+    fs.writeFileSync(outPath, "");
+    return 0;
+  }
+
+  await pipeline(Readable.fromWeb(res.body), fs.createWriteStream(outPath));
+  return fs.statSync(outPath).size;
+}
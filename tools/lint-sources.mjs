@@ -0,0 +1,416 @@
+// lint-sources.mjs
+// Validate external-sources.json before a sync runs into it
+//
+// Usage: node tools/lint-sources.mjs [path/to/external-sources.json]
+//
+// Checks:
+//  - JSON Schema (external-sources.schema.json): source types, required keys, value types
+//  - unknown keys on sources and their build/extract/meta objects (with "did you mean" hints)
+//  - every regex compiles (asset_regex, version_regex, extract[].file_regex, extract[].zip_asset_regex)
+//  - duplicate package names
+//  - settings the sync would silently ignore or fail on (zip_asset_regex without zip assets, missing checksums,
+//    invalid backfill/build.node ranges, secrets in build.env_allowlist, transform options without minify, ...)
+//
+// Exit code: 1 when there are errors (warnings alone exit 0).
+//
+// The schema is validated with ajv (draft 2020-12); everything else here is semantic checks on top of it.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import semver from "semver";
+import Ajv2020 from "ajv/dist/2020.js";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const SCHEMA_FP = path.join(here, "..", "external-sources.schema.json");
+
+// Source types whose extract rules run against release assets (the only place zip_asset_regex applies)
+const RELEASE_ASSET_TYPES = new Set(["github-release-asset", "github-release-assets-semver"]);
+
+function readJson(fp) {
+  return JSON.parse(fs.readFileSync(fp, "utf8"));
+}
+
+// ------------------------------------------------------------
+// JSON Schema (ajv)
+// ------------------------------------------------------------
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (Number.isInteger(v)) return "integer";
+  return typeof v;
+}
+
+function levenshtein(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cur = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = cur;
+    }
+  }
+  return row[b.length];
+}
+
+function suggest(word, candidates) {
+  let best = null;
+  let bestD = Infinity;
+  for (const c of candidates) {
+    const d = levenshtein(String(word), String(c));
+    if (d < bestD) (best = c), (bestD = d);
+  }
+  return best !== null && bestD <= Math.max(2, Math.floor(String(word).length / 4)) ? best : null;
+}
+
+// "/sources/2/extract/0" -> "sources[2].extract[0]"
+function instancePathToDotted(p) {
+  return p
+    .split("/")
+    .slice(1)
+    .map((s) => s.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((at, key) => (/^\d+$/.test(key) ? `${at}[${key}]` : at ? `${at}.${key}` : key), "");
+}
+
+const compiled = new WeakMap();
+
+function compile(schema) {
+  if (!compiled.has(schema)) {
+    // Formats (format: "regex") are not validated here: checkSource compiles every regex with the actual error
+    const ajv = new Ajv2020({ allErrors: true, verbose: true, strict: false, validateFormats: false });
+    compiled.set(schema, ajv.compile(schema));
+  }
+  return compiled.get(schema);
+}
+
+/**
+ * Keep the errors of the anyOf branch written for this kind of value (e.g. the object form of build);
+ * when no branch takes the value's type, report the anyOf itself ("must be boolean or object").
+ *
+ * @param {import("ajv").ErrorObject[]} errs
+ * @returns {import("ajv").ErrorObject[]}
+ */
+function pickAnyOfBranches(errs) {
+  let out = errs;
+  for (const e of errs.filter((x) => x.keyword === "anyOf")) {
+    const branches = Array.isArray(e.schema) ? e.schema : [];
+    const actual = typeOf(e.data);
+    const k = branches.findIndex((b) => [].concat(b.type || []).some((t) => t === actual || (t === "number" && actual === "integer")));
+    const inside = (x) => x.instancePath.startsWith(e.instancePath) && x.schemaPath.startsWith(`${e.schemaPath}/`);
+    const keep = (x) => k >= 0 && x.schemaPath.startsWith(`${e.schemaPath}/${k}/`);
+    out = out.filter((x) => (x === e ? k < 0 : !inside(x) || keep(x)));
+  }
+  return out;
+}
+
+/**
+ * Validate a config against the schema; ajv errors become { path, message } in the linter's wording.
+ *
+ * @param {object} schema
+ * @param {any} cfg
+ * @returns {Array<{path:string,message:string}>}
+ */
+function schemaErrors(schema, cfg) {
+  const validate = compile(schema);
+  if (validate(cfg)) return [];
+
+  const errors = [];
+  for (const e of pickAnyOfBranches(validate.errors || [])) {
+    const at = instancePathToDotted(e.instancePath);
+    switch (e.keyword) {
+      case "if": // the failing "then" keywords are reported themselves
+        break;
+      case "anyOf": {
+        const types = (Array.isArray(e.schema) ? e.schema : []).flatMap((b) => [].concat(b.type || []));
+        errors.push({ path: at, message: `must be ${[...new Set(types)].join(" or ") || "a valid value"} (got ${typeOf(e.data)})` });
+        break;
+      }
+      case "additionalProperties": {
+        const key = e.params.additionalProperty;
+        const hint = suggest(key, Object.keys(e.parentSchema?.properties || {}));
+        errors.push({ path: at ? `${at}.${key}` : key, message: `unknown key${hint ? ` (did you mean "${hint}"?)` : ""}` });
+        break;
+      }
+      case "required":
+        errors.push({ path: at, message: `missing required key "${e.params.missingProperty}"` });
+        break;
+      case "type":
+        errors.push({ path: at, message: `must be ${[].concat(e.params.type).join(" or ")} (got ${typeOf(e.data)})` });
+        break;
+      case "const":
+        errors.push({ path: at, message: `must be ${JSON.stringify(e.params.allowedValue)}` });
+        break;
+      case "enum": {
+        const hint = typeof e.data === "string" ? suggest(e.data, e.params.allowedValues) : null;
+        errors.push({
+          path: at,
+          message: `must be one of ${e.params.allowedValues.map((x) => JSON.stringify(x)).join(", ")}${hint ? ` (did you mean "${hint}"?)` : ""}`,
+        });
+        break;
+      }
+      case "pattern":
+        errors.push({ path: at, message: `does not match ${e.params.pattern}` });
+        break;
+      case "minLength":
+        errors.push({ path: at, message: e.data === "" ? "must not be empty" : `must be at least ${e.params.limit} characters` });
+        break;
+      case "minItems":
+        errors.push({ path: at, message: `must have at least ${e.params.limit} item(s)` });
+        break;
+      default:
+        errors.push({ path: at, message: e.message });
+    }
+  }
+  return errors;
+}
+
+// ------------------------------------------------------------
+// Checks beyond the schema
+// ------------------------------------------------------------
+
+/**
+ * Settings that validate but would be ignored or fail at sync time.
+ *
+ * @param {object} src
+ * @param {string} at
+ * @param {string|null} root repository root (public_key_file paths are relative to it)
+ * @returns {{errors: Array<{path:string,message:string}>, warnings: Array<{path:string,message:string}>}}
+ */
+function checkSource(src, at, root) {
+  const errors = [];
+  const warnings = [];
+  const type = src.type;
+  const extract = Array.isArray(src.extract) ? src.extract : [];
+
+  const buildObj = src.build && typeof src.build === "object" ? src.build : null;
+  const buildEnabled = src.build === true || buildObj?.enable === true;
+
+  // Every format: "regex" value in the schema, compiled the way the sync compiles it
+  const regexes = [
+    ["asset_regex", src.asset_regex],
+    ["version_regex", src.version_regex],
+    ...extract.flatMap((rule, i) => [
+      [`extract[${i}].file_regex`, rule?.file_regex],
+      [`extract[${i}].zip_asset_regex`, rule?.zip_asset_regex],
+    ]),
+    ["verify.checksums", src.verify?.checksums],
+    ["transform.files", src.transform?.files],
+  ];
+  for (const [key, value] of regexes) {
+    if (typeof value !== "string" || !value) continue;
+    try {
+      new RegExp(value);
+    } catch (e) {
+      errors.push({ path: `${at}.${key}`, message: `invalid regex: ${e.message}` });
+    }
+  }
+
+  extract.forEach((rule, i) => {
+    if (!rule || rule.zip_asset_regex === undefined) return;
+    if (!RELEASE_ASSET_TYPES.has(type)) {
+      errors.push({ path: `${at}.extract[${i}].zip_asset_regex`, message: `only applies to release assets; ${type} sources have none` });
+    } else if (type === "github-release-assets-semver" && buildEnabled) {
+      warnings.push({ path: `${at}.extract[${i}].zip_asset_regex`, message: "ignored: with build enabled, rules run against the built zipball" });
+    }
+  });
+
+  // (a missing build.enable is a schema error; an explicit false with commands set is probably left over)
+  if (buildObj?.enable === false && (buildObj.run || buildObj.install)) {
+    warnings.push({ path: `${at}.build`, message: "build.enable is false: build.run/build.install are ignored" });
+  }
+  if (type === "github-release-assets-semver" && buildEnabled && !extract.length) {
+    errors.push({ path: `${at}.extract`, message: "build is enabled but no extract rules select the built files" });
+  }
+  // Install scripts are skipped (npm_config_ignore_scripts), so the root package's prepare no longer builds dist/
+  if (type === "github-release-assets-semver" && buildEnabled && !(typeof buildObj?.run === "string" && buildObj.run.trim())) {
+    warnings.push({ path: `${at}.build`, message: "build is enabled without build.run: install runs with --ignore-scripts, so no prepare/build script runs" });
+  }
+  if (buildObj && typeof buildObj.node === "string" && buildObj.node.trim() && !semver.validRange(buildObj.node.trim())) {
+    errors.push({ path: `${at}.build.node`, message: `invalid semver range "${buildObj.node}"` });
+  }
+  if (buildObj && Array.isArray(buildObj.env_allowlist)) {
+    buildObj.env_allowlist.forEach((name, i) => {
+      if (/TOKEN|SECRET|PASSWORD|_KEY$|^NPM_CONFIG_/i.test(String(name))) {
+        warnings.push({ path: `${at}.build.env_allowlist[${i}]`, message: `passes ${name} to code from the upstream repo and its dependencies` });
+      }
+    });
+  }
+  if (buildObj?.allow_scripts === true) {
+    warnings.push({ path: `${at}.build.allow_scripts`, message: "runs the install scripts of every dependency (list the packages that need them instead)" });
+  }
+
+  const verify = src.verify && typeof src.verify === "object" ? src.verify : null;
+  if (verify) {
+    const vat = `${at}.verify`;
+    if (verify.checksums && !RELEASE_ASSET_TYPES.has(type)) {
+      errors.push({ path: `${vat}.checksums`, message: `only applies to release assets; ${type} sources have none` });
+    }
+    if ((verify.npm_signatures || verify.npm_provenance) && type !== "npm-registry-tarball") {
+      errors.push({ path: vat, message: "npm_signatures/npm_provenance only apply to npm-registry-tarball sources" });
+    }
+    if ((verify.checksums || verify.signature) && type === "github-release-assets-semver" && buildEnabled) {
+      errors.push({ path: vat, message: "checksums/signature verify release assets, but build uses the unsigned zipball" });
+    }
+
+    if (verify.npm_provenance && !verify.npm_signatures && type === "npm-registry-tarball") {
+      warnings.push({
+        path: `${vat}.npm_provenance`,
+        message: "provenance is matched but its Sigstore signature is not checked: the version is recorded as unverified (add npm_signatures)",
+      });
+    }
+
+    const sig = verify.signature && typeof verify.signature === "object" ? verify.signature : null;
+    if (sig && type === "npm-registry-tarball") {
+      errors.push({ path: `${vat}.signature`, message: "not checked for npm sources (use npm_signatures / npm_provenance)" });
+    }
+    if (sig) {
+      if (!sig.public_key && !sig.public_key_file) {
+        errors.push({ path: `${vat}.signature`, message: "needs a pinned public_key or public_key_file" });
+      } else if (sig.public_key && sig.public_key_file) {
+        warnings.push({ path: `${vat}.signature`, message: "both public_key and public_key_file set: public_key is used" });
+      } else if (sig.public_key_file && root && !fs.existsSync(path.resolve(root, sig.public_key_file))) {
+        errors.push({ path: `${vat}.signature.public_key_file`, message: `${sig.public_key_file} does not exist` });
+      }
+      if (sig.type === "minisign" && sig.fingerprint) {
+        warnings.push({ path: `${vat}.signature.fingerprint`, message: "ignored for minisign (the key id comes from the pinned key)" });
+      }
+      if (sig.url && type !== "http-archive") {
+        errors.push({ path: `${vat}.signature.url`, message: "only applies to http-archive sources (release signatures are assets)" });
+      }
+      if (sig.type === "gpg" && !sig.fingerprint) {
+        warnings.push({ path: `${vat}.signature`, message: "no fingerprint pinned: any key in the pinned key block is accepted" });
+      }
+    }
+  }
+
+  const transform = src.transform && typeof src.transform === "object" ? src.transform : null;
+  if (transform) {
+    const tat = `${at}.transform`;
+    if (!transform.minify && !transform.compress?.length && !transform.sprite) {
+      warnings.push({ path: tat, message: "neither minify, compress nor sprite is set: nothing is derived" });
+    }
+    if (!transform.minify && transform.sourcemap) {
+      warnings.push({ path: `${tat}.sourcemap`, message: "ignored without minify (maps are written for minified files)" });
+    }
+    if (!transform.minify && transform.banner) {
+      warnings.push({ path: `${tat}.banner`, message: "ignored without minify (the banner goes on minified output)" });
+    }
+    if (transform.banner === true && !src.meta?.license) {
+      warnings.push({ path: `${tat}.banner`, message: "meta.license is empty: the generated banner names no license" });
+    }
+  }
+
+  if (typeof src.backfill === "string" && src.backfill.trim() && !semver.validRange(src.backfill.trim())) {
+    errors.push({ path: `${at}.backfill`, message: `invalid semver range "${src.backfill}"` });
+  }
+
+  const provider = String(src.provider || "github").toLowerCase();
+  if ((provider === "gitea" || provider === "forgejo") && !src.host) {
+    errors.push({ path: `${at}.host`, message: `provider=${provider} requires host (e.g. https://codeberg.org)` });
+  }
+
+  if (type === "github-raw-file" && !src.path && !src.paths?.length && !src.files?.length) {
+    errors.push({ path: at, message: "no files configured (use path, paths or files)" });
+  }
+
+  if (type === "http-archive") {
+    const versions = Array.isArray(src.versions) ? src.versions : [];
+    if (!versions.length && !src.version_url) {
+      errors.push({ path: at, message: "no versions: set versions[] or version_url" });
+    }
+    versions.forEach((v, i) => {
+      if (v && !v.sha256 && !v.sha384 && !v.sha512) {
+        errors.push({ path: `${at}.versions[${i}]`, message: `no sha256/sha384/sha512 pinned for ${v.version} (the sync would FAIL it)` });
+      }
+    });
+    if (src.version_regex && !src.version_url) {
+      warnings.push({ path: `${at}.version_regex`, message: "ignored without version_url" });
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Lint a parsed external-sources.json.
+ *
+ * @param {any} cfg
+ * @param {object} [opts]
+ * @param {object} [opts.schema] defaults to external-sources.schema.json
+ * @param {string|null} [opts.root] directory of the config (enables file existence checks)
+ * @returns {{errors: Array<{path:string,message:string}>, warnings: Array<{path:string,message:string}>}}
+ */
+export function lintSources(cfg, { schema = readJson(SCHEMA_FP), root = null } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  errors.push(...schemaErrors(schema, cfg));
+
+  const sources = Array.isArray(cfg?.sources) ? cfg.sources : [];
+  const seen = new Map();
+
+  sources.forEach((src, i) => {
+    if (!src || typeof src !== "object") return;
+    const at = `sources[${i}]`;
+
+    if (typeof src.package === "string") {
+      if (seen.has(src.package)) {
+        errors.push({ path: `${at}.package`, message: `duplicate package "${src.package}" (also sources[${seen.get(src.package)}])` });
+      } else {
+        seen.set(src.package, i);
+      }
+    }
+
+    const r = checkSource(src, at, root);
+    errors.push(...r.errors);
+    warnings.push(...r.warnings);
+  });
+
+  return { errors: unique(errors), warnings: unique(warnings) };
+}
+
+// The same key can be required by both the generic and the per-type source schema
+function unique(list) {
+  const seen = new Set();
+  return list.filter((x) => {
+    const k = `${x.path}\n${x.message}`;
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+// "sources[3].extract[0]" -> "sources[3] (twemoji).extract[0]"
+function label(p, cfg) {
+  return p.replace(/^sources\[(\d+)\]/, (m, i) => {
+    const pkg = cfg?.sources?.[Number(i)]?.package;
+    return typeof pkg === "string" && pkg ? `${m} (${pkg})` : m;
+  });
+}
+
+// CLI: node tools/lint-sources.mjs [file]
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const fp = path.resolve(process.argv[2] || "external-sources.json");
+  const rel = path.relative(process.cwd(), fp);
+  const name = rel && !rel.startsWith("..") ? rel : fp;
+
+  let cfg;
+  try {
+    cfg = readJson(fp);
+  } catch (e) {
+    console.error(`${name}: ${e.message}`);
+    process.exit(1);
+  }
+
+  const { errors, warnings } = lintSources(cfg, { root: path.dirname(fp) });
+
+  for (const w of warnings) console.log(`${name}: warning: ${label(w.path, cfg) || "(root)"}: ${w.message}`);
+  for (const e of errors) console.log(`${name}: error: ${label(e.path, cfg) || "(root)"}: ${e.message}`);
+
+  const count = Array.isArray(cfg?.sources) ? cfg.sources.length : 0;
+  console.log(`[lint-sources] ${count} source(s), ${errors.length} error(s), ${warnings.length} warning(s)`);
+  if (errors.length) process.exit(1);
+}
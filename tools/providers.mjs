@@ -0,0 +1,227 @@
+// providers.mjs
+// Release/tag/commit lookups for git hosting providers used by sync-external.mjs
+//
+// Selected per source in external-sources.json:
+//  - provider: "github" (default) | "gitlab" | "gitea" | "forgejo"
+//  - host:     base URL of the instance (defaults: https://github.com, https://gitlab.com; required for gitea/forgejo)
+//  - token_env: env var holding an API token (defaults: GITHUB_TOKEN, GITLAB_TOKEN, GITEA_TOKEN/FORGEJO_TOKEN)
+//
+// Every provider returns releases in the GitHub release shape so the channel logic stays shared:
+//  { tag_name, name, draft, prerelease, html_url, zipball_url, assets: [{ name, browser_download_url }] }
+
+/**
+ * @typedef {object} Release
+ * @property {string} tag_name
+ * @property {string} [name]
+ * @property {boolean} draft
+ * @property {boolean} prerelease
+ * @property {string|null} html_url
+ * @property {string|null} zipball_url
+ * @property {Array<{name:string, browser_download_url:string}>} assets
+ */
+
+/**
+ * @typedef {object} Provider
+ * @property {"github"|"gitlab"|"gitea"} kind
+ * @property {string} host
+ * @property {(url:string) => Record<string,string>} headersFor auth headers, only for URLs on this host
+ * @property {(repo:string) => Promise<string>} getDefaultBranch
+ * @property {(repo:string) => Promise<Release|null>} getLatestRelease
+ * @property {(repo:string, perPage?:number, page?:number) => Promise<Release[]>} getReleases non-draft releases, newest first (page is 1-based)
+ * @property {(repo:string, perPage?:number) => Promise<string[]>} getTags tag names
+ * @property {(repo:string, ref:string) => Promise<string|null>} getCommitSha
+ * @property {(repo:string, sha:string, filePath:string) => string} rawFileUrl
+ */
+
+const KINDS = { github: "github", gitlab: "gitlab", gitea: "gitea", forgejo: "gitea" };
+
+function trimSlash(s) {
+  return String(s || "").replace(/\/+$/, "");
+}
+
+function tokenFrom(env, names) {
+  for (const n of names) if (n && env[n]) return env[n];
+  return "";
+}
+
+/**
+ * Create the provider for one source.
+ *
+ * @param {object} src source entry from external-sources.json
+ * @param {object} deps
+ * @param {(url:string, headers?:Record<string,string>) => Promise<any>} deps.getJson
+ * @param {Record<string,string|undefined>} [deps.env]
+ * @returns {Provider}
+ */
+export function createProvider(src, { getJson, env = process.env }) {
+  const name = String(src.provider || "github").toLowerCase();
+  const kind = KINDS[name];
+  if (!kind) throw new Error(`Unknown provider: ${src.provider}`);
+
+  if (kind === "github") return githubProvider(src, getJson, env);
+  if (kind === "gitlab") return gitlabProvider(src, getJson, env);
+  return giteaProvider(src, getJson, env, name);
+}
+
+function githubProvider(src, getJson, env) {
+  const host = trimSlash(src.host || "https://github.com");
+  const isDotCom = host === "https://github.com";
+  // GitHub Enterprise Server serves the REST API under /api/v3
+  const api = isDotCom ? "https://api.github.com" : `${host}/api/v3`;
+  const tok = tokenFrom(env, [src.token_env, "GITHUB_TOKEN"]);
+
+  const apiHeaders = tok
+    ? { Accept: "application/vnd.github+json", Authorization: `Bearer ${tok}`, "X-GitHub-Api-Version": "2022-11-28" }
+    : { Accept: "application/vnd.github+json" };
+
+  const ownHosts = isDotCom
+    ? ["https://api.github.com/", "https://github.com/", "https://raw.githubusercontent.com/"]
+    : [`${host}/`];
+
+  return {
+    kind: "github",
+    host,
+    headersFor(url) {
+      return ownHosts.some((h) => String(url).startsWith(h)) ? apiHeaders : {};
+    },
+    async getDefaultBranch(repo) {
+      const info = await getJson(`${api}/repos/${repo}`, apiHeaders);
+      return info?.default_branch || "main";
+    },
+    async getLatestRelease(repo) {
+      try {
+        return await getJson(`${api}/repos/${repo}/releases/latest`, apiHeaders);
+      } catch {
+        return null;
+      }
+    },
+    async getReleases(repo, perPage = 30, page = 1) {
+      const rels = await getJson(`${api}/repos/${repo}/releases?per_page=${perPage}&page=${page}`, apiHeaders);
+      return (rels || []).filter((r) => r && !r.draft);
+    },
+    async getTags(repo, perPage = 100) {
+      const tags = await getJson(`${api}/repos/${repo}/tags?per_page=${perPage}`, apiHeaders);
+      return (tags || []).map((t) => t.name).filter(Boolean);
+    },
+    async getCommitSha(repo, ref) {
+      return (await getJson(`${api}/repos/${repo}/commits/${encodeURIComponent(ref)}`, apiHeaders))?.sha || null;
+    },
+    rawFileUrl(repo, sha, filePath) {
+      return isDotCom
+        ? `https://raw.githubusercontent.com/${repo}/${sha}/${filePath}`
+        : `${host}/${repo}/raw/${sha}/${filePath}`;
+    },
+  };
+}
+
+function gitlabProvider(src, getJson, env) {
+  const host = trimSlash(src.host || "https://gitlab.com");
+  const api = `${host}/api/v4`;
+  const tok = tokenFrom(env, [src.token_env, "GITLAB_TOKEN"]);
+  const apiHeaders = tok ? { Accept: "application/json", "PRIVATE-TOKEN": tok } : { Accept: "application/json" };
+
+  // Projects are addressed by URL-encoded "group/subgroup/name"
+  const project = (repo) => `${api}/projects/${encodeURIComponent(repo)}`;
+
+  function toRelease(repo, r) {
+    return {
+      tag_name: r.tag_name,
+      name: r.name || r.tag_name,
+      draft: false,
+      // GitLab has no prerelease flag; channels fall back to the semver prerelease part of the tag
+      prerelease: false,
+      html_url: r._links?.self || `${host}/${repo}/-/releases/${encodeURIComponent(r.tag_name)}`,
+      zipball_url: `${project(repo)}/repository/archive.zip?sha=${encodeURIComponent(r.tag_name)}`,
+      assets: (r.assets?.links || []).map((l) => ({ name: l.name, browser_download_url: l.direct_asset_url || l.url })),
+    };
+  }
+
+  return {
+    kind: "gitlab",
+    host,
+    headersFor(url) {
+      return String(url).startsWith(`${host}/`) ? apiHeaders : {};
+    },
+    async getDefaultBranch(repo) {
+      return (await getJson(project(repo), apiHeaders))?.default_branch || "main";
+    },
+    async getLatestRelease(repo) {
+      try {
+        const r = await getJson(`${project(repo)}/releases/permalink/latest`, apiHeaders);
+        return r?.tag_name ? toRelease(repo, r) : null;
+      } catch {
+        return null;
+      }
+    },
+    async getReleases(repo, perPage = 30, page = 1) {
+      const rels = await getJson(`${project(repo)}/releases?per_page=${perPage}&page=${page}`, apiHeaders);
+      return (rels || []).filter((r) => r && r.tag_name).map((r) => toRelease(repo, r));
+    },
+    async getTags(repo, perPage = 100) {
+      const tags = await getJson(`${project(repo)}/repository/tags?per_page=${perPage}`, apiHeaders);
+      return (tags || []).map((t) => t.name).filter(Boolean);
+    },
+    async getCommitSha(repo, ref) {
+      return (await getJson(`${project(repo)}/repository/commits/${encodeURIComponent(ref)}`, apiHeaders))?.id || null;
+    },
+    rawFileUrl(repo, sha, filePath) {
+      return `${project(repo)}/repository/files/${encodeURIComponent(filePath)}/raw?ref=${sha}`;
+    },
+  };
+}
+
+function giteaProvider(src, getJson, env, name) {
+  if (!src.host) throw new Error(`provider=${name} requires src.host (e.g. https://codeberg.org)`);
+
+  const host = trimSlash(src.host);
+  const api = `${host}/api/v1`;
+  const tok = tokenFrom(env, [src.token_env, "GITEA_TOKEN", "FORGEJO_TOKEN"]);
+  const apiHeaders = tok ? { Accept: "application/json", Authorization: `token ${tok}` } : { Accept: "application/json" };
+
+  // Gitea/Forgejo releases already use the GitHub field names
+  function toRelease(r) {
+    return {
+      tag_name: r.tag_name,
+      name: r.name || r.tag_name,
+      draft: !!r.draft,
+      prerelease: !!r.prerelease,
+      html_url: r.html_url || null,
+      zipball_url: r.zipball_url || null,
+      assets: (r.assets || []).map((a) => ({ name: a.name, browser_download_url: a.browser_download_url })),
+    };
+  }
+
+  return {
+    kind: "gitea",
+    host,
+    headersFor(url) {
+      return String(url).startsWith(`${host}/`) ? apiHeaders : {};
+    },
+    async getDefaultBranch(repo) {
+      return (await getJson(`${api}/repos/${repo}`, apiHeaders))?.default_branch || "main";
+    },
+    async getLatestRelease(repo) {
+      try {
+        const r = await getJson(`${api}/repos/${repo}/releases/latest`, apiHeaders);
+        return r?.tag_name ? toRelease(r) : null;
+      } catch {
+        return null;
+      }
+    },
+    async getReleases(repo, perPage = 30, page = 1) {
+      const rels = await getJson(`${api}/repos/${repo}/releases?limit=${perPage}&page=${page}`, apiHeaders);
+      return (rels || []).filter((r) => r && !r.draft).map(toRelease);
+    },
+    async getTags(repo, perPage = 100) {
+      const tags = await getJson(`${api}/repos/${repo}/tags?limit=${perPage}`, apiHeaders);
+      return (tags || []).map((t) => t.name).filter(Boolean);
+    },
+    async getCommitSha(repo, ref) {
+      const commits = await getJson(`${api}/repos/${repo}/commits?sha=${encodeURIComponent(ref)}&limit=1`, apiHeaders);
+      return (Array.isArray(commits) && commits[0]?.sha) || null;
+    },
+    rawFileUrl(repo, sha, filePath) {
+      return `${host}/${repo}/raw/commit/${sha}/${filePath}`;
+    },
+  };
+}
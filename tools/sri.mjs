@@ -2,29 +2,83 @@ import fs from "node:fs";
 import path from "node:path";
 import crypto from "node:crypto";
 
+// Hash algorithms allowed in SRI metadata (https://www.w3.org/TR/SRI/#cryptographic-hash-functions)
+const SRI_ALGORITHMS = ["sha256", "sha384", "sha512"];
+
 /**
- * Compute SRI sha384 for file content.
+ * Compute SRI metadata for file content, one "<alg>-BASE64" token per algorithm.
  * @param {Buffer} buf
- * @returns {string} e.g. "sha384-BASE64..."
+ * @param {string[]} algorithms
+ * @returns {string} e.g. "sha384-BASE64..." or "sha256-BASE64... sha512-BASE64..."
+ */
+function sriTokens(buf, algorithms) {
+  return algorithms.map((alg) => `${alg}-${crypto.createHash(alg).update(buf).digest("base64")}`).join(" ");
+}
+
+/**
+ * Glob -> RegExp over POSIX relative paths: "*" and "?" stay within a path segment, "**" spans segments.
+ * Patterns without "/" match the file name at any depth (like .gitignore).
+ * @param {string} glob
+ * @returns {RegExp}
  */
-function sriSha384(buf) {
-  const hash = crypto.createHash("sha384").update(buf).digest("base64");
-  return `sha384-${hash}`;
+function globToRegExp(glob) {
+  const g = glob.replace(/^\.?\//, "");
+  let re = "";
+  for (let i = 0; i < g.length; i++) {
+    const c = g[i];
+    if (c === "*" && g[i + 1] === "*") {
+      // "**/" also matches zero directories
+      if (g[i + 2] === "/") {
+        re += "(?:.*/)?";
+        i += 2;
+      } else {
+        re += ".*";
+        i += 1;
+      }
+    } else if (c === "*") re += "[^/]*";
+    else if (c === "?") re += "[^/]";
+    else re += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(g.includes("/") ? `^${re}$` : `(^|/)${re}$`);
 }
 
 /**
- * Produce integrity map for files in a directory.
+ * Produce integrity map for all files below a directory.
+ *
+ * Keys are POSIX paths relative to dir (e.g. "assets/svg/1f600.svg"), sorted. The directory's own
+ * manifest.json is never included. Symlinked directories are not followed.
+ *
  * @param {string} dir
+ * @param {object} [opts]
+ * @param {string[]} [opts.algorithms] any of sha256/sha384/sha512 (default ["sha384"]); each file is read once
+ *   and its integrity lists one token per algorithm
+ * @param {Array<string|RegExp>} [opts.ignore] globs ("*.map", "fonts/**") or regexps matched against the key
  * @returns {Record<string, { integrity: string, bytes: number }>}
  */
-export function computeSriMap(dir) {
+export function computeSriMap(dir, { algorithms = ["sha384"], ignore = [] } = {}) {
+  const algs = [...new Set(algorithms.map((a) => String(a).trim().toLowerCase()).filter(Boolean))];
+  const bad = algs.filter((a) => !SRI_ALGORITHMS.includes(a));
+  if (!algs.length || bad.length) {
+    throw new Error(`computeSriMap: unsupported algorithm(s) ${bad.join(", ") || "(none)"}; use ${SRI_ALGORITHMS.join("/")}`);
+  }
+
+  const ignoreRes = ignore.map((p) => (p instanceof RegExp ? p : globToRegExp(String(p))));
+
+  const rels = [];
+  (function walk(absDir, relDir) {
+    for (const ent of fs.readdirSync(absDir, { withFileTypes: true })) {
+      const rel = relDir ? `${relDir}/${ent.name}` : ent.name;
+      const fp = path.join(absDir, ent.name);
+      if (ent.isDirectory()) walk(fp, rel);
+      else if (ent.isFile() || (ent.isSymbolicLink() && fs.statSync(fp, { throwIfNoEntry: false })?.isFile())) rels.push(rel);
+    }
+  })(dir, "");
+
   const out = {};
-  for (const name of fs.readdirSync(dir)) {
-    const fp = path.join(dir, name);
-    const stat = fs.statSync(fp);
-    if (!stat.isFile()) continue;
-    const buf = fs.readFileSync(fp);
-    out[name] = { integrity: sriSha384(buf), bytes: buf.length };
+  for (const rel of rels.sort()) {
+    if (rel === "manifest.json" || ignoreRes.some((re) => re.test(rel))) continue;
+    const buf = fs.readFileSync(path.join(dir, ...rel.split("/")));
+    out[rel] = { integrity: sriTokens(buf, algs), bytes: buf.length };
   }
   return out;
 }
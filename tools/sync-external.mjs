@@ -2,6 +2,8 @@
 // Sync externals into gh-pages working tree
 //
 // Supported source types:
+// The github-* types also work against GitLab and Gitea/Forgejo via src.provider/src.host (see providers.mjs).
+//
 //  - github-release-asset: uses /releases/latest only
 //  - github-raw-file: uses raw file pinned by commit SHA (published as v<sha12>, pointer @latest only)
 //  - github-release-assets-semver:
@@ -9,6 +11,19 @@
 //      * Additionally, can publish stable/beta channels based on semver + prerelease
 //      * If a release has NO assets and src.zipball_fallback=true: downloads zipball_url and extracts configured files
 //      * If no releases: falls back to highest semver tag (from /tags) BUT cannot publish unless zipball_fallback=true
+//      * src.backfill (semver range like ">=4.6.0 <6", or N = last N stable releases): also publishes older
+//        releases missing from public/ as immutable v<version> dirs (pointers and aliases are not moved;
+//        BACKFILL_MAX_PER_RUN per run, default 5)
+//  - npm-registry-tarball:
+//      * Reads the registry packument (src.registry or NPM_REGISTRY_URL, default https://registry.npmjs.org)
+//      * dist-tags map to channels: "latest" -> @latest, "latest" -> @stable, "next" -> @beta (override via src.dist_tags)
+//      * Verifies the tarball against dist.integrity (or dist.shasum), then applies src.extract to the package contents
+//  - http-archive:
+//      * Downloads src.url with "{version}" substituted (zip or tar.gz, see src.archive)
+//      * Versions come from src.versions[] or are discovered via src.version_url (+ src.version_regex)
+//      * Every version must have a pinned sha256/sha384/sha512 in src.versions[] (hex, or SRI "sha384-<base64>");
+//        mismatches and malformed values are reported as FAIL
+//      * Highest version -> @latest, highest release -> @stable, highest prerelease -> @beta
 //
 // Output:
 //  public/<pkg>/v<version>/... + manifest.json
@@ -29,6 +44,56 @@
 //  public/_index/bundle-manifest.json
 //  public/_index/sync-report.json
 //
+// Verification (optional, src.verify; see verify.mjs):
+//  - checksums: regex of a release asset (e.g. "^SHA256SUMS$") that must list every downloaded asset
+//  - signature: { type: "gpg"|"minisign", public_key | public_key_file, fingerprint?, suffix?, url? } detached
+//    signature of the checksum file (or of each asset / the http-archive) checked against the pinned key
+//  - npm_signatures / npm_provenance (true or { repository }): registry signature and SLSA provenance checks
+//    (provenance is matched against the tarball but its Sigstore signature is not checked: recorded as verified: false)
+//  - results are recorded as upstream.verification in manifest.json; a failed check fails the source
+//
+// Upstream builds (src.build on github-release-assets-semver):
+//  - the build sees a scrubbed environment: PATH/locale plus build.env_allowlist and build.env (no tokens),
+//    a private HOME/.npmrc and the shared npm cache (SYNC_NPM_CACHE, default .tmp/npm-cache)
+//  - dependency install scripts are skipped (npm_config_ignore_scripts); build.allow_scripts lists packages
+//    whose scripts run afterwards via "npm rebuild" (true = run all during install)
+//    the upstream's own prepare/postinstall does not run either, so build.run must build everything extract needs
+//  - build.node: semver range the runner's Node must satisfy, otherwise the source fails
+//  - build.offline / SYNC_BUILD_OFFLINE=1: npm installs from the cache only (no network once it is warm)
+//  - node/npm versions and these settings are recorded as upstream.toolchain in manifest.json
+//
+// Transforms (optional, src.transform; see transform.mjs):
+//  - { files?, minify, sourcemap, banner, compress: ["br","gz"] }: <name>.min.js/.min.css (esbuild), .map,
+//    license banner on the minified output only, precompressed .br/.gz siblings
+//  - { sprite: { dir, out } }: one SVG sprite sheet of <dir>/*.svg (twemoji: assets/sprite.svg for twemoji-windows)
+//  - originals are published unchanged; each derived file gets its own manifest.json entry
+//    (integrity, bytes, derived_from, transform)
+//
+// Reproducibility check (--verify-reproducible / SYNC_VERIFY_REPRODUCIBLE=1):
+//  - every build-enabled publish builds the upstream ref a second time in a separate tmp dir and compares
+//    the extracted outputs byte-for-byte (the first build is what gets published either way)
+//  - recorded as upstream.reproducible + upstream.reproducible_diff (differing/missing files) in manifest.json
+//    and as reproducible / reproducible_diff on the publish rows of sync-report.json
+//  - a build that differs makes its publish row a FAIL, with the differing files in the details
+//
+// HTTP goes through fetch (tools/http.mjs, with retries) and archives are read in-process (tools/archive.mjs),
+// so no curl/unzip/tar binaries are needed. For tests, import { syncExternal } and pass { root, fetch }.
+//
+// Concurrency:
+//  - SYNC_CONCURRENCY (default 4) sources are processed at once, SYNC_BUILD_CONCURRENCY (default 1) builds at once
+//  - each source's log lines are printed as one group, and report rows are kept, in external-sources.json order
+//
+// Selective sync:
+//  - --only bootstrap,twemoji / SYNC_ONLY: package names or globs ("font-*"); --exclude / SYNC_EXCLUDE drops matches
+//  - --type github-raw-file / SYNC_TYPE: only sources of these types
+//  - --force / SYNC_FORCE=1: ignore the state keys of the selected packages and republish them
+//  - state of packages that are not selected is kept as is
+//
+// Dry run (--dry-run / --plan, or SYNC_DRY_RUN=1):
+//  - resolves upstream versions and compares them with latest_key/stable_key/beta_key in external-state.json
+//  - prints the planned actions per package (new versions, pointer moves, stable alias updates) as "plan" rows
+//  - writes them as JSON to .tmp/external-plan.json (or --plan-out <file>); nothing is downloaded and public/ is not touched
+//
 // Exit behavior:
 //  - By default: exits 0 even if some sources failed (but prints FAIL rows)
 //  - If FAIL_ON_EXTERNAL_ERROR=1: exits 1 when at least one source failed
@@ -36,10 +101,18 @@
 import fs from "node:fs";
 import path from "node:path";
 import crypto from "node:crypto";
-import { execSync } from "node:child_process";
+import util from "node:util";
+import { spawn, exec } from "node:child_process";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { fileURLToPath } from "node:url";
 import semver from "semver";
 import { updateIndexes } from "./update-index.mjs";
 import { buildBundleManifest } from "./build-bundle-manifest.mjs";
+import { createProvider } from "./providers.mjs";
+import { httpGetJson, httpGetText, httpDownload, setFetch } from "./http.mjs";
+import { listZipEntries, extractZip, extractTarGz } from "./archive.mjs";
+import { applyTransforms } from "./transform.mjs";
+import { verifyChecksumFile, verifyMinisign, verifyGpg, verifyNpmSignature, verifyNpmProvenance } from "./verify.mjs";
 
 function readJson(fp, def) {
   try {
@@ -59,47 +132,78 @@ function rmrf(p) {
   fs.rmSync(p, { recursive: true, force: true });
 }
 
-function sriSha384(buf) {
-  const hash = crypto.createHash("sha384").update(buf).digest("base64");
-  return `sha384-${hash}`;
+function positiveInt(v, def) {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : def;
 }
 
-function httpGetJson(url, headers = {}) {
-  const hdrArgs = Object.entries(headers).flatMap(([k, v]) => ["-H", `${k}: ${v}`]);
-  const cmd = ["curl", "-fsSL", ...hdrArgs, url].map((x) => JSON.stringify(x)).join(" ");
-  const out = execSync(cmd, { encoding: "utf8" });
-  return JSON.parse(out);
+// ------------------------------------------------------------
+// Concurrency + per-source logs
+// ------------------------------------------------------------
+
+// Sources run concurrently; each one logs into its own buffer, printed as one group in config order.
+const logStore = new AsyncLocalStorage();
+
+/**
+ * Bind a log function to the current source's buffer (or stdout outside of a source).
+ *
+ * @returns {(...args:any[]) => void}
+ */
+function logger() {
+  const buf = logStore.getStore();
+  return buf ? (...args) => buf.lines.push(util.format(...args)) : (...args) => console.log(...args);
 }
 
-function httpDownload(url, outPath, headers = {}) {
-  mkdirp(path.dirname(outPath));
-  const hdrArgs = Object.entries(headers).flatMap(([k, v]) => ["-H", `${k}: ${v}`]);
-  const cmd = ["curl", "-fsSL", ...hdrArgs, url, "-o", outPath].map((x) => JSON.stringify(x)).join(" ");
-  execSync(cmd, { stdio: "inherit" });
+function log(...args) {
+  logger()(...args);
 }
 
-function detectChannelFromVersion(v) {
-  return v.includes("-") ? "beta" : "stable";
+/**
+ * Limit how many async tasks run at once. Tasks start in submission order.
+ *
+ * @param {number} limit
+ * @returns {<T>(fn: () => Promise<T>) => Promise<T>}
+ */
+function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+
+  function pump() {
+    while (active < limit && queue.length) {
+      const { fn, resolve, reject } = queue.shift();
+      active++;
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          pump();
+        });
+    }
+  }
+
+  return (fn) =>
+    new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      pump();
+    });
 }
 
-function stripV(tag) {
-  return String(tag || "").replace(/^v/i, "");
+// Upstream builds (npm install + build) are CPU/disk heavy: run SYNC_BUILD_CONCURRENCY (default 1) at a time
+// while downloads for other sources keep going.
+const buildSlot = createLimiter(positiveInt(process.env.SYNC_BUILD_CONCURRENCY, 1));
+
+function sriSha384(buf) {
+  const hash = crypto.createHash("sha384").update(buf).digest("base64");
+  return `sha384-${hash}`;
 }
 
-function ghAuthHeaders() {
-  // Optional: improves rate limits when running from Actions
-  const tok = process.env.GITHUB_TOKEN || "";
-  if (!tok) return { Accept: "application/vnd.github+json" };
-  return {
-    Accept: "application/vnd.github+json",
-    Authorization: `Bearer ${tok}`,
-    "X-GitHub-Api-Version": "2022-11-28",
-  };
+function detectChannelFromVersion(v) {
+  return v.includes("-") ? "beta" : "stable";
 }
 
-function getDefaultBranch(repo) {
-  const info = httpGetJson(`https://api.github.com/repos/${repo}`, ghAuthHeaders());
-  return info?.default_branch || "main";
+function stripV(tag) {
+  return String(tag || "").replace(/^v/i, "");
 }
 
 function sha12(sha) {
@@ -147,26 +251,22 @@ function toAsciiTable(rows) {
   return [line, sep, body].join("\n");
 }
 
-function listZipEntries(zipPath) {
-  return execSync(`unzip -Z1 ${JSON.stringify(zipPath)}`, { encoding: "utf8" })
-    .split("\n")
-    .map((s) => s.trim())
-    .filter(Boolean);
-}
-
 /**
  * Extract matching files from a zip into tmpDir using extract rules.
+ * Rules are matched against the central directory first, then all matches are extracted in one pass.
  *
  * @param {object} opts
  * @param {string} opts.zipPath
  * @param {Array<{file_regex:string,out_name?:string,preserve_path?:boolean}>} opts.extractRules
  * @param {string} opts.tmpDir
- * @returns {Array<{localPath:string,outName?:string}>}
+ * @returns {Promise<Array<{localPath:string,outName?:string}>>}
  */
-function extractFromZip({ zipPath, extractRules, tmpDir }) {
+async function extractFromZip({ zipPath, extractRules, tmpDir }) {
   if (!extractRules || !extractRules.length) return [];
 
   const entries = listZipEntries(zipPath);
+  const extractedDir = path.join(tmpDir, "extracted__");
+  const wanted = new Set();
   const out = [];
 
   for (const rule of extractRules) {
@@ -176,15 +276,13 @@ function extractFromZip({ zipPath, extractRules, tmpDir }) {
     for (const inside of matches) {
       // IMPORTANT: preserve_path keeps the zip internal path as output name (e.g. assets/svg/xxx.svg)
       const outName = rule.preserve_path ? inside : (rule.out_name || path.basename(inside));
-      const extractedPath = path.join(tmpDir, "extracted__", inside);
-
-      mkdirp(path.dirname(extractedPath));
-      execSync(`unzip -p ${JSON.stringify(zipPath)} ${JSON.stringify(inside)} > ${JSON.stringify(extractedPath)}`);
-
-      out.push({ localPath: extractedPath, outName });
+      wanted.add(inside);
+      out.push({ localPath: path.join(extractedDir, inside), outName });
     }
   }
 
+  if (wanted.size) await extractZip(zipPath, extractedDir, (rel) => wanted.has(rel));
+
   return out;
 }
 
@@ -239,20 +337,58 @@ function extractFromDir({ rootDir, extractRules }) {
 }
 
 /**
- * Run a shell command with a timeout (ms).
+ * Run a shell command with a timeout (ms). Output goes to the current source's log group.
  *
  * @param {string} cmd
  * @param {object} opts
  * @param {string} [opts.cwd]
  * @param {number} [opts.timeoutMs]
- * @param {object} [opts.env]
+ * @param {object} [opts.env] complete environment of the command (default: process.env; builds pass buildEnv())
+ * @returns {Promise<void>} rejects on non-zero exit or timeout
  */
 function sh(cmd, { cwd, timeoutMs, env } = {}) {
-  execSync(cmd, {
-    cwd: cwd || process.cwd(),
-    stdio: "inherit",
-    timeout: timeoutMs || 0,
-    env: { ...process.env, ...(env || {}) },
+  const out = logger();
+
+  return new Promise((resolve, reject) => {
+    // detached: own process group, so a timeout also stops npm's child processes
+    const child = spawn(cmd, {
+      cwd: cwd || process.cwd(),
+      shell: true,
+      detached: true,
+      stdio: ["ignore", "pipe", "pipe"],
+      env: env || process.env,
+    });
+
+    let timedOut = false;
+    const timer = timeoutMs
+      ? setTimeout(() => {
+          timedOut = true;
+          try {
+            process.kill(-child.pid, "SIGTERM");
+          } catch {}
+        }, timeoutMs)
+      : null;
+
+    let pending = "";
+    function onData(chunk) {
+      const parts = (pending + chunk).split(/\r?\n/);
+      pending = parts.pop();
+      for (const line of parts) out(line);
+    }
+    child.stdout.setEncoding("utf8").on("data", onData);
+    child.stderr.setEncoding("utf8").on("data", onData);
+
+    child.on("error", (e) => {
+      clearTimeout(timer);
+      reject(e);
+    });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (pending) out(pending);
+      if (timedOut) reject(new Error(`Command timed out after ${timeoutMs}ms: ${cmd}`));
+      else if (code !== 0) reject(new Error(`Command failed (${signal || `exit ${code}`}): ${cmd}`));
+      else resolve();
+    });
   });
 }
 
@@ -270,81 +406,164 @@ function sh(cmd, { cwd, timeoutMs, env } = {}) {
  *  - install: auto ("npm ci" if lockfile exists else "npm install")
  *  - run: "" (no default build command; set explicitly if needed)
  *  - env: {}
+ *  - env_allowlist: [] (runner variables passed through on top of BUILD_ENV_ALLOWLIST)
+ *  - allow_scripts: [] (dependency install scripts are skipped; list packages to run theirs, or true for all)
+ *  - node: "" (no Node version requirement)
+ *  - offline: false (SYNC_BUILD_OFFLINE=1 turns it on for every build)
  *
  * @param {any} buildCfg
- * @returns {{enabled:boolean, workdir:string, timeoutMs:number, install:string, run:string, env:object}}
+ * @returns {{enabled:boolean, workdir:string, timeoutMs:number, install:string, run:string, env:object,
+ *   envAllowlist:string[], allowScripts:(true|string[]), node:string, offline:boolean}}
  */
 function normalizeBuildCfg(buildCfg) {
   const enabled =
     buildCfg === true || (buildCfg && typeof buildCfg === "object" && buildCfg.enable === true);
 
+  const obj = buildCfg && typeof buildCfg === "object" ? buildCfg : {};
+  const offline = obj.offline === true || process.env.SYNC_BUILD_OFFLINE === "1";
+
   if (!enabled) {
-    return { enabled: false, workdir: ".", timeoutMs: 600_000, install: "", run: "", env: {} };
+    return {
+      enabled: false,
+      workdir: ".",
+      timeoutMs: 600_000,
+      install: "",
+      run: "",
+      env: {},
+      envAllowlist: [],
+      allowScripts: [],
+      node: "",
+      offline,
+    };
   }
 
-  const workdir =
-    buildCfg && typeof buildCfg === "object" && typeof buildCfg.workdir === "string" && buildCfg.workdir.trim()
-      ? buildCfg.workdir.trim()
-      : ".";
+  const workdir = typeof obj.workdir === "string" && obj.workdir.trim() ? obj.workdir.trim() : ".";
 
-  const timeoutMsRaw =
-    buildCfg && typeof buildCfg === "object" && buildCfg.timeout_ms !== undefined ? Number(buildCfg.timeout_ms) : 600_000;
+  const timeoutMsRaw = obj.timeout_ms !== undefined ? Number(obj.timeout_ms) : 600_000;
   const timeoutMs = Number.isFinite(timeoutMsRaw) && timeoutMsRaw > 0 ? timeoutMsRaw : 600_000;
 
-  const install =
-    buildCfg && typeof buildCfg === "object" && typeof buildCfg.install === "string" ? buildCfg.install.trim() : "";
+  const install = typeof obj.install === "string" ? obj.install.trim() : "";
+
+  const run = typeof obj.run === "string" ? obj.run.trim() : "";
+
+  const env = obj.env && typeof obj.env === "object" ? obj.env : {};
+
+  const envAllowlist = Array.isArray(obj.env_allowlist) ? obj.env_allowlist.map(String) : [];
+
+  const allowScripts =
+    obj.allow_scripts === true ? true : Array.isArray(obj.allow_scripts) ? obj.allow_scripts.map(String) : [];
+
+  const node = typeof obj.node === "string" ? obj.node.trim() : "";
+
+  return { enabled: true, workdir, timeoutMs, install, run, env, envAllowlist, allowScripts, node, offline };
+}
+
+// Runner variables an upstream build sees (plus build.env_allowlist). Everything else is dropped,
+// GITHUB_TOKEN/NPM_TOKEN included: builds run code from the upstream repo and its dependencies.
+const BUILD_ENV_ALLOWLIST = ["PATH", "LANG", "LC_ALL", "LC_CTYPE", "TZ", "TERM", "SystemRoot", "ComSpec", "PATHEXT"];
 
-  const run =
-    buildCfg && typeof buildCfg === "object" && typeof buildCfg.run === "string" ? buildCfg.run.trim() : "";
+/**
+ * Scrubbed environment for an upstream build.
+ * HOME points into the build's tmp dir, so npm reads an empty userconfig instead of the runner's ~/.npmrc,
+ * and the npm cache is shared between builds (SYNC_NPM_CACHE, default .tmp/npm-cache) for offline mode.
+ *
+ * @param {ReturnType<typeof normalizeBuildCfg>} cfg
+ * @param {object} opts
+ * @param {string} opts.home
+ * @param {string} opts.cacheDir
+ * @returns {object}
+ */
+function buildEnv(cfg, { home, cacheDir }) {
+  const env = {};
+  for (const name of [...BUILD_ENV_ALLOWLIST, ...cfg.envAllowlist]) {
+    if (process.env[name] !== undefined) env[name] = process.env[name];
+  }
 
-  const env =
-    buildCfg && typeof buildCfg === "object" && buildCfg.env && typeof buildCfg.env === "object"
-      ? buildCfg.env
-      : {};
+  return {
+    ...env,
+    HOME: home,
+    USERPROFILE: home,
+    TMPDIR: path.join(home, "tmp"),
+    CI: "true",
+    npm_config_userconfig: path.join(home, ".npmrc"),
+    npm_config_cache: cacheDir,
+    npm_config_update_notifier: "false",
+    npm_config_fund: "false",
+    npm_config_audit: "false",
+    ...(cfg.offline ? { npm_config_offline: "true" } : {}),
+    ...cfg.env,
+  };
+}
 
-  return { enabled: true, workdir, timeoutMs, install, run, env };
+/**
+ * `<cmd> --version` in the build environment (null if the tool is missing).
+ *
+ * @param {string} cmd
+ * @param {object} opts
+ * @param {string} opts.cwd
+ * @param {object} opts.env
+ * @returns {Promise<string|null>}
+ */
+function toolVersion(cmd, { cwd, env }) {
+  return new Promise((resolve) => {
+    exec(`${cmd} --version`, { cwd, env, timeout: 30_000 }, (error, stdout) => {
+      resolve(error ? null : String(stdout).trim().split(/\r?\n/)[0] || null);
+    });
+  });
 }
 
 /**
  * Download a GitHub zipball, extract it, optionally run npm install + npm run build,
  * then collect artifacts using extract rules (matching by relative path).
  *
+ * The build is hermetic as far as npm goes: scrubbed environment (buildEnv), dependency install
+ * scripts skipped unless allowed by build.allow_scripts (allowed packages are run via "npm rebuild"),
+ * build.node checked against the runner's Node, and with build.offline npm only uses the shared cache.
+ * It is not a network or filesystem sandbox for build.run itself.
+ *
  * @param {object} opts
+ * @param {import("./providers.mjs").Provider} opts.provider
  * @param {string} opts.repo "owner/name"
- * @param {object} opts.release GitHub release JSON (must include zipball_url)
+ * @param {object} opts.release release JSON (must include zipball_url)
  * @param {Array<{file_regex:string,out_name?:string,preserve_path?:boolean}>} opts.extractRules
  * @param {any} opts.buildCfg build config from JSON (src.build)
  * @param {string} opts.tmpDir
- * @returns {Array<{localPath:string,outName?:string}>}
+ * @param {string} opts.root repository root (for the default npm cache dir)
+ * @returns {Promise<{files:Array<{localPath:string,outName?:string}>, toolchain:object|null}>}
+ *   toolchain: node/npm versions and install settings, recorded as upstream.toolchain in manifest.json
  */
-function downloadZipballBuildAndCollect({ repo, release, extractRules, buildCfg, tmpDir }) {
-  if (!release?.zipball_url) return [];
+async function downloadZipballBuildAndCollect({ provider, repo, release, extractRules, buildCfg, tmpDir, root }) {
+  if (!release?.zipball_url) return { files: [], toolchain: null };
 
   const cfg = normalizeBuildCfg(buildCfg);
-  if (!cfg.enabled) return [];
+  if (!cfg.enabled) return { files: [], toolchain: null };
+
+  if (cfg.node && !semver.satisfies(process.version, cfg.node)) {
+    throw new Error(`build.node requires Node ${cfg.node}, but the runner has ${process.version}`);
+  }
 
   rmrf(tmpDir);
   mkdirp(tmpDir);
 
-  const zipPath = path.join(tmpDir, `${repo.replace("/", "__")}__zipball.zip`);
-  httpDownload(release.zipball_url, zipPath, ghAuthHeaders());
+  const zipPath = path.join(tmpDir, `${repo.replace(/\//g, "__")}__zipball.zip`);
+  await httpDownload(release.zipball_url, zipPath, provider.headersFor(release.zipball_url));
 
   const srcDir = path.join(tmpDir, "src");
   rmrf(srcDir);
   mkdirp(srcDir);
 
   // unzip into srcDir (zipball contains a single top-level folder)
-  sh(`unzip -q ${JSON.stringify(zipPath)} -d ${JSON.stringify(srcDir)}`);
+  await extractZip(zipPath, srcDir);
 
   const top = fs
     .readdirSync(srcDir, { withFileTypes: true })
     .filter((d) => d.isDirectory())
     .map((d) => path.join(srcDir, d.name))[0];
 
-  if (!top) return [];
+  if (!top) return { files: [], toolchain: null };
 
   const workdir = path.join(top, cfg.workdir || ".");
-  if (!fs.existsSync(workdir)) return [];
+  if (!fs.existsSync(workdir)) return { files: [], toolchain: null };
 
   // Install deps
   const hasLock =
@@ -363,15 +582,96 @@ function downloadZipballBuildAndCollect({ repo, release, extractRules, buildCfg,
   // Build (NO default; run only if explicitly set)
   const buildCmd = String(cfg.run || "").trim();
 
-  sh(installCmd, { cwd: workdir, timeoutMs: cfg.timeoutMs, env: cfg.env || {} });
-  if (buildCmd) {
-    sh(buildCmd, { cwd: workdir, timeoutMs: cfg.timeoutMs, env: cfg.env || {} });
-  }
+  const home = path.join(tmpDir, "home");
+  mkdirp(path.join(home, "tmp"));
+  fs.writeFileSync(path.join(home, ".npmrc"), "");
+  const cacheDir = path.resolve(process.env.SYNC_NPM_CACHE || path.join(root || process.cwd(), ".tmp", "npm-cache"));
+  mkdirp(cacheDir);
+
+  const env = buildEnv(cfg, { home, cacheDir });
+  const ignoreScripts = cfg.allowScripts !== true;
+  const rebuild = Array.isArray(cfg.allowScripts) ? cfg.allowScripts : [];
+
+  let toolchain = null;
+  await buildSlot(async () => {
+    // npm_config_ignore_scripts also covers custom install commands that call npm
+    await sh(installCmd, {
+      cwd: workdir,
+      timeoutMs: cfg.timeoutMs,
+      env: ignoreScripts ? { ...env, npm_config_ignore_scripts: "true" } : env,
+    });
+    if (ignoreScripts && rebuild.length) {
+      await sh(`npm rebuild ${rebuild.join(" ")} --ignore-scripts=false`, { cwd: workdir, timeoutMs: cfg.timeoutMs, env });
+    }
+    if (buildCmd) {
+      await sh(buildCmd, { cwd: workdir, timeoutMs: cfg.timeoutMs, env });
+    }
+
+    toolchain = {
+      node: process.version,
+      npm: await toolVersion("npm", { cwd: workdir, env }),
+      platform: `${process.platform}-${process.arch}`,
+      install: installCmd,
+      run: buildCmd || null,
+      ignore_scripts: ignoreScripts,
+      allowed_scripts: ignoreScripts ? rebuild : null,
+      offline: cfg.offline,
+    };
+  });
 
   // Collect artifacts from the built tree (workdir), using extract rules (path-regex)
   const files = extractFromDir({ rootDir: workdir, extractRules });
 
-  return files;
+  return { files, toolchain };
+}
+
+/**
+ * Compare two builds of the same ref by output name and content.
+ *
+ * @param {Array<{localPath:string,outName?:string}>} a
+ * @param {Array<{localPath:string,outName?:string}>} b
+ * @returns {{reproducible:boolean, differences:string[]}} differences: output names that differ or exist in one build only
+ */
+function compareBuildOutputs(a, b) {
+  const digests = (files) =>
+    new Map(
+      files.map((f) => [
+        f.outName || path.basename(f.localPath),
+        crypto.createHash("sha256").update(fs.readFileSync(f.localPath)).digest("hex"),
+      ])
+    );
+
+  const da = digests(a);
+  const db = digests(b);
+  const differences = [...new Set([...da.keys(), ...db.keys()])].filter((name) => da.get(name) !== db.get(name)).sort();
+
+  return { reproducible: differences.length === 0, differences };
+}
+
+/**
+ * Manifest/report fields for a publish result that went through --verify-reproducible.
+ *
+ * @param {{reproducibility?:{reproducible:boolean,differences:string[]}|null}} r
+ * @returns {{reproducible?:boolean, reproducible_diff?:string[]}}
+ */
+function reproducibleFields(r) {
+  if (!r?.reproducibility) return {};
+  return { reproducible: r.reproducibility.reproducible, reproducible_diff: r.reproducibility.differences };
+}
+
+/**
+ * Details suffix for a publish row (" reproducible" / " NOT reproducible (n differ: a.js, b.js)").
+ * At most 5 differing names are listed; reproducible_diff on the row has all of them.
+ *
+ * @param {{reproducibility?:{reproducible:boolean,differences:string[]}|null}} r
+ * @returns {string}
+ */
+function reproducibleNote(r) {
+  if (!r?.reproducibility) return "";
+  if (r.reproducibility.reproducible) return " reproducible";
+  const { differences } = r.reproducibility;
+  const shown = differences.slice(0, 5).join(", ") + (differences.length > 5 ? ", ..." : "");
+  return ` NOT reproducible (${differences.length} differ: ${shown})`;
 }
 
 /**
@@ -386,9 +686,10 @@ function downloadZipballBuildAndCollect({ repo, release, extractRules, buildCfg,
  * @param {object|null} opts.upstream upstream metadata
  * @param {Array<{localPath:string, outName?:string}>} opts.files
  * @param {object|null} opts.meta optional package metadata to embed in manifest
+ * @param {object|null} [opts.transform] src.transform: minified/sourcemap/.br/.gz files derived from the published ones
  * @param {("latest"|"stable"|"beta"|"none")} opts.updatePointer which pointer to update
  */
-function publishExternal({ publicDir, pkg, version, channel, builtAt, upstream, files, meta, updatePointer }) {
+function publishExternal({ publicDir, pkg, version, channel, builtAt, upstream, files, meta, transform = null, updatePointer }) {
   const pkgDir = path.join(publicDir, pkg);
   const versionDir = path.join(pkgDir, `v${version}`);
   const latestDir = path.join(pkgDir, "@latest");
@@ -416,6 +717,20 @@ function publishExternal({ publicDir, pkg, version, channel, builtAt, upstream,
     manifestFiles[name] = { integrity: sriSha384(buf), bytes: buf.length };
   }
 
+  // Derived files get their own SRI entries; a file esbuild cannot parse fails the publish without leaving a partial version
+  if (transform) {
+    try {
+      const derived = applyTransforms({ dir: versionDir, names: Object.keys(manifestFiles), transform, info: { pkg, version, meta } });
+      for (const d of derived) {
+        const buf = fs.readFileSync(path.join(versionDir, d.name));
+        manifestFiles[d.name] = { integrity: sriSha384(buf), bytes: buf.length, derived_from: d.derived_from, transform: d.transform };
+      }
+    } catch (e) {
+      rmrf(versionDir);
+      throw new Error(`transform failed for ${pkg} v${version}: ${e?.message || e}`);
+    }
+  }
+
   const manifest = {
     package: pkg,
     version: `v${version}`,
@@ -442,40 +757,61 @@ function publishExternal({ publicDir, pkg, version, channel, builtAt, upstream,
     writeJson(path.join(dir, "manifest.json"), manifest);
   }
 
+  // No pointer (backfill): only the immutable version is written
+  if (!updatePointer) return;
+
   if (updatePointer === "latest") syncPointer(latestDir);
   if (updatePointer === "stable") syncPointer(stableDir);
   if (updatePointer === "beta") syncPointer(betaDir);
 
   // Stable aliases: v<major> and v<major>.<minor> (only for stable channel, non-prerelease semver)
-  if (channel === "stable") {
-    const coerced = semver.coerce(version)?.version || null;
-    if (coerced && semver.valid(coerced) && !semver.prerelease(coerced)) {
-      const maj = String(semver.major(coerced));
-      const min = `${semver.major(coerced)}.${semver.minor(coerced)}`;
-
-      const aliasMajorDir = path.join(pkgDir, `v${maj}`);
-      const aliasMinorDir = path.join(pkgDir, `v${min}`);
-
-      // Always keep aliases pointing at the latest published stable content
-      syncPointer(aliasMajorDir);
-      syncPointer(aliasMinorDir);
-    }
-  }
+  // Always keep aliases pointing at the latest published stable content
+  for (const alias of stableAliases(version, channel)) syncPointer(path.join(pkgDir, `v${alias}`));
+}
+
+/**
+ * Alias names (without "v") that publishing `version` on `channel` moves: ["<major>", "<major>.<minor>"]
+ * for stable, non-prerelease versions. Two-part versions like "2.0" already are v<major>.<minor>,
+ * so an alias equal to the version itself is left out.
+ *
+ * @param {string} version
+ * @param {"stable"|"beta"|null} channel
+ * @returns {string[]}
+ */
+function stableAliases(version, channel) {
+  if (channel !== "stable") return [];
+
+  const coerced = semver.coerce(version)?.version || null;
+  if (!coerced || !semver.valid(coerced) || semver.prerelease(coerced)) return [];
+
+  const maj = String(semver.major(coerced));
+  const min = `${semver.major(coerced)}.${semver.minor(coerced)}`;
+  return [maj, min].filter((a) => a !== version);
+}
+
+/**
+ * Value part of a state key ("<upstream>@<pointer>:<value>"), e.g. the tag or version last published.
+ */
+function keyValue(key) {
+  const m = /@(?:latest|stable|beta):(.*)$/.exec(String(key || ""));
+  return m ? m[1] : null;
 }
 
 /**
- * Download GitHub release assets matching regex.
+ * Download release assets matching regex.
  * Optionally unpack zip assets and pick files from inside zip via "extract".
  *
  * @param {object} opts
+ * @param {import("./providers.mjs").Provider} opts.provider
  * @param {string} opts.repo "owner/name"
- * @param {object} opts.release GitHub release JSON
+ * @param {object} opts.release release JSON
  * @param {string} opts.assetRegex regex string
  * @param {Array<{zip_asset_regex?:string, file_regex:string, out_name?:string,preserve_path?:boolean}>} [opts.extract]
  * @param {string} opts.tmpDir
- * @returns {Array<{localPath:string, outName?:string}>}
+ * @param {(downloaded:Array<{name:string, localPath:string}>) => Promise<void>} [opts.verify] runs before extraction
+ * @returns {Promise<Array<{localPath:string, outName?:string}>>}
  */
-function downloadReleaseAssets({ repo, release, assetRegex, extract, tmpDir }) {
+async function downloadReleaseAssets({ provider, repo, release, assetRegex, extract, tmpDir, verify = null }) {
   const re = new RegExp(assetRegex);
   const assets = (release.assets || []).filter((a) => re.test(a.name));
   if (!assets.length) return [];
@@ -483,37 +819,26 @@ function downloadReleaseAssets({ repo, release, assetRegex, extract, tmpDir }) {
   rmrf(tmpDir);
   mkdirp(tmpDir);
 
-  const out = [];
-  const headers = ghAuthHeaders();
-
+  const downloaded = [];
   for (const a of assets) {
     const assetPath = path.join(tmpDir, a.name);
-    httpDownload(a.browser_download_url, assetPath, headers);
+    await httpDownload(a.browser_download_url, assetPath, provider.headersFor(a.browser_download_url));
+    downloaded.push({ name: a.name, localPath: assetPath });
+  }
 
+  // Check authenticity of the raw assets before anything is extracted from them
+  if (verify) await verify(downloaded);
+
+  const out = [];
+
+  for (const a of downloaded) {
     // If extract is configured and asset is a zip (or matches zip_asset_regex), extract selected files
     const isZip = a.name.toLowerCase().endsWith(".zip");
     if (extract && extract.length && isZip) {
-      for (const rule of extract) {
-        if (rule.zip_asset_regex) {
-          const zre = new RegExp(rule.zip_asset_regex);
-          if (!zre.test(a.name)) continue;
-        }
-        const fre = new RegExp(rule.file_regex);
-
-        const list = listZipEntries(assetPath);
-        const matches = list.filter((p) => fre.test(p));
-        for (const inside of matches) {
-          const outName = rule.preserve_path ? inside : (rule.out_name || path.basename(inside));
-          const extractedPath = path.join(tmpDir, "extracted__", inside);
-          mkdirp(path.dirname(extractedPath));
-          execSync(
-            `unzip -p ${JSON.stringify(assetPath)} ${JSON.stringify(inside)} > ${JSON.stringify(extractedPath)}`
-          );
-          out.push({ localPath: extractedPath, outName });
-        }
-      }
+      const rules = extract.filter((rule) => !rule.zip_asset_regex || new RegExp(rule.zip_asset_regex).test(a.name));
+      out.push(...(await extractFromZip({ zipPath: a.localPath, extractRules: rules, tmpDir })));
     } else {
-      out.push({ localPath: assetPath });
+      out.push({ localPath: a.localPath });
     }
   }
 
@@ -524,34 +849,45 @@ function downloadReleaseAssets({ repo, release, assetRegex, extract, tmpDir }) {
 }
 
 /**
- * Choose @latest release via GitHub /releases/latest.
- * If it doesn't exist, return null.
+ * Semver for a release tag ("v1.2.3" -> "1.2.3", "v2.0-rc.1" -> "2.0.0-rc.1"), keeping prerelease tags.
  */
-function getLatestRelease(repo) {
-  try {
-    return httpGetJson(`https://api.github.com/repos/${repo}/releases/latest`, ghAuthHeaders());
-  } catch {
-    return null;
-  }
+function tagSemver(tag) {
+  return semver.coerce(stripV(tag), { includePrerelease: true })?.version || null;
 }
 
 /**
- * Get a list of recent releases (non-draft). Used to find stable/beta latest.
+ * Pick the newest stable and beta release. A release is beta when the provider flags it as
+ * prerelease or its tag has a semver prerelease part (GitLab has no prerelease flag).
+ *
+ * @param {object[]} releases
+ * @returns {{stable: {r:object,tag:string,v:string}|null, beta: {r:object,tag:string,v:string}|null}}
  */
-function getReleases(repo, perPage = 30) {
-  const rels = httpGetJson(`https://api.github.com/repos/${repo}/releases?per_page=${perPage}`, ghAuthHeaders());
-  return (rels || []).filter((r) => r && !r.draft);
+function pickChannelReleases(releases) {
+  const parsed = releases
+    .map((r) => {
+      const t = r.tag_name || r.name || "";
+      const v = tagSemver(t);
+      return { r, tag: t, v, prerelease: !!(r.prerelease || (v && semver.prerelease(v))) };
+    })
+    .filter((x) => x.v && semver.valid(x.v));
+
+  const stable = parsed.filter((x) => !x.prerelease).sort((a, b) => semver.rcompare(a.v, b.v))[0] || null;
+  const beta = parsed.filter((x) => x.prerelease).sort((a, b) => semver.rcompare(a.v, b.v))[0] || null;
+
+  return { stable, beta };
 }
 
 /**
  * If there are no releases, use tags and pick highest semver.
+ *
+ * @param {import("./providers.mjs").Provider} provider
+ * @param {string} repo
  */
-function getHighestSemverTag(repo, perPage = 100) {
-  const tags = httpGetJson(`https://api.github.com/repos/${repo}/tags?per_page=${perPage}`, ghAuthHeaders());
-  const names = (tags || []).map((t) => t.name).filter(Boolean);
+async function getHighestSemverTag(provider, repo, perPage = 100) {
+  const names = await provider.getTags(repo, perPage);
 
   const versions = names
-    .map((t) => ({ tag: t, v: semver.coerce(stripV(t))?.version || null }))
+    .map((t) => ({ tag: t, v: tagSemver(t) }))
     .filter((x) => x.v && semver.valid(x.v));
 
   if (!versions.length) return null;
@@ -560,6 +896,66 @@ function getHighestSemverTag(repo, perPage = 100) {
   return versions[0].tag;
 }
 
+/**
+ * Parse src.backfill: a semver range (">=4.6.0 <6") or a number of most recent stable releases.
+ *
+ * @param {any} v
+ * @returns {{range:string}|{last:number}|null}
+ */
+function parseBackfill(v) {
+  if (typeof v === "number" && Number.isInteger(v) && v > 0) return { last: v };
+  if (typeof v === "string" && v.trim()) {
+    const range = semver.validRange(v.trim());
+    if (!range) throw new Error(`Invalid src.backfill range: ${v}`);
+    return { range: v.trim() };
+  }
+  return null;
+}
+
+/**
+ * Releases selected by a backfill spec, walking getReleases pages (newest first) until an empty page,
+ * BACKFILL_MAX_PAGES (default 10) pages of 100, or enough releases for { last }.
+ *
+ * Prereleases only match ranges that name a prerelease of the same version (plain semver range rules);
+ * { last: N } counts stable releases only.
+ *
+ * @param {import("./providers.mjs").Provider} provider
+ * @param {string} repo
+ * @param {{range:string}|{last:number}} spec
+ * @returns {Promise<Array<{r:object, tag:string, v:string}>>} newest first
+ */
+async function listBackfillReleases(provider, repo, spec) {
+  const maxPages = positiveInt(process.env.BACKFILL_MAX_PAGES, 10);
+  const perPage = 100;
+  const picked = [];
+
+  for (let page = 1; page <= maxPages; page++) {
+    const rels = await provider.getReleases(repo, perPage, page);
+    if (!rels.length) break;
+
+    for (const r of rels) {
+      const tag = r.tag_name || r.name || "";
+      const v = tagSemver(tag);
+      if (!v || !semver.valid(v)) continue;
+
+      const prerelease = !!(r.prerelease || semver.prerelease(v));
+      const wanted = spec.range ? semver.satisfies(v, spec.range) : !prerelease;
+      if (wanted) picked.push({ r, tag, v });
+    }
+
+    if (spec.last && picked.length >= spec.last) break;
+  }
+
+  return spec.last ? picked.slice(0, spec.last) : picked.sort((a, b) => semver.rcompare(a.v, b.v));
+}
+
+/**
+ * Extra manifest upstream fields for non-github.com hosts ({ host }), empty for github.com.
+ */
+function upstreamHost(provider) {
+  return provider.host === "https://github.com" ? {} : { host: provider.host };
+}
+
 function normalizeUpstreamTagToVersion(tag) {
   // turn "v1.2.3" -> "1.2.3"
   return stripV(tag);
@@ -569,580 +965,1625 @@ function normalizeUpstreamTagToVersion(tag) {
  * If a release has no assets, optionally download zipball and extract files based on src.extract.
  *
  * @param {object} opts
+ * @param {import("./providers.mjs").Provider} opts.provider
  * @param {string} opts.repo "owner/name"
- * @param {object} opts.release GitHub release JSON
+ * @param {object} opts.release release JSON
  * @param {Array<{file_regex:string,out_name?:string,preserve_path?:boolean}>} opts.extract
  * @param {string} opts.tmpDir
- * @returns {Array<{localPath:string,outName?:string}>}
+ * @returns {Promise<Array<{localPath:string,outName?:string}>>}
  */
-function downloadZipballAndExtract({ repo, release, extract, tmpDir }) {
+async function downloadZipballAndExtract({ provider, repo, release, extract, tmpDir }) {
   if (!release?.zipball_url) return [];
   if (!extract || !extract.length) return [];
 
   rmrf(tmpDir);
   mkdirp(tmpDir);
 
-  const zipPath = path.join(tmpDir, `${repo.replace("/", "__")}__zipball.zip`);
-  httpDownload(release.zipball_url, zipPath, ghAuthHeaders());
+  const zipPath = path.join(tmpDir, `${repo.replace(/\//g, "__")}__zipball.zip`);
+  await httpDownload(release.zipball_url, zipPath, provider.headersFor(release.zipball_url));
 
   return extractFromZip({ zipPath, extractRules: extract, tmpDir });
 }
 
 // ------------------------------------------------------------
-// Main
+// npm registry
 // ------------------------------------------------------------
 
-const ROOT = process.cwd();
-const publicDir = path.join(ROOT, "public");
-const cfg = readJson(path.join(ROOT, "external-sources.json"), { sources: [] });
-const stateFp = path.join(publicDir, "_index", "external-state.json");
-const state = readJson(stateFp, {});
-const reportFp = path.join(publicDir, "_index", "sync-report.json");
-
-const builtAt = new Date().toISOString().replace(".000Z", "Z");
-let changed = false;
+function npmRegistryUrl(src) {
+  const base = src.registry || process.env.NPM_REGISTRY_URL || "https://registry.npmjs.org";
+  return String(base).replace(/\/+$/, "");
+}
 
-const results = [];
-let hadFailure = false;
+/**
+ * Headers for a request to `url`. NPM_TOKEN (optional: private registries / mirrors) is only sent when
+ * `url` is on the registry's origin: dist.tarball and attestation URLs can point anywhere.
+ *
+ * @param {string} registry
+ * @param {string} url
+ */
+function npmAuthHeaders(registry, url) {
+  const tok = process.env.NPM_TOKEN || "";
+  if (!tok || !sameOrigin(registry, url)) return { Accept: "application/json" };
+  return { Accept: "application/json", Authorization: `Bearer ${tok}` };
+}
 
-function logGroupStart(pkg, type) {
-  console.log(`\n=== [external:${pkg}] type=${type} ===`);
+function sameOrigin(a, b) {
+  try {
+    return new URL(a).origin === new URL(b).origin;
+  } catch {
+    return false;
+  }
 }
 
-function pushResult(r) {
-  results.push({
-    package: r.package,
-    type: r.type,
-    upstream: r.upstream || "",
-    action: r.action || "",
-    status: r.status || "",
-    details: r.details || "",
-  });
+/**
+ * Fetch the registry packument (all versions + dist-tags) for "name" or "@scope/name".
+ */
+async function getNpmPackument(registry, name) {
+  // Scoped names keep the "@" but escape the "/" (e.g. /@scope%2fname)
+  const enc = name.startsWith("@") ? `@${encodeURIComponent(name.slice(1))}` : encodeURIComponent(name);
+  const url = `${registry}/${enc}`;
+  return httpGetJson(url, npmAuthHeaders(registry, url));
 }
 
+const SRI_STRENGTH = { sha1: 1, sha256: 2, sha384: 3, sha512: 4 };
+
 /**
- * Helper to record status rows consistently (and optionally log).
+ * Verify a tarball against the registry dist.integrity (SRI) or, for old packages, dist.shasum (sha1 hex).
  *
- * @param {object} row
- * @param {string} row.package
- * @param {string} row.type
- * @param {string} row.upstream
- * @param {string} row.action
- * @param {"OK"|"SKIP"|"FAIL"} row.status
- * @param {string} row.details
- * @param {boolean} [row.log]
+ * @param {Buffer} buf
+ * @param {{integrity?:string, shasum?:string}} dist
+ * @returns {string|null} null when the tarball matches, otherwise the reason
  */
-function record(row) {
-  pushResult(row);
-  if (row.log !== false) {
-    const prefix = `[external:${row.package}]`;
-    const msg = `${prefix} ${row.status} action=${row.action} upstream=${safeOneLine(row.upstream)} details=${safeOneLine(
-      row.details
-    )}`;
-    console.log(msg);
+function verifyNpmIntegrity(buf, dist) {
+  const sri = String(dist?.integrity || "").trim();
+
+  if (sri) {
+    // "<algo>-<base64>[?opts]", possibly several separated by whitespace; only the strongest algorithm counts
+    const entries = sri
+      .split(/\s+/)
+      .map((x) => {
+        const i = x.indexOf("-");
+        return { algo: x.slice(0, i).toLowerCase(), digest: x.slice(i + 1).split("?")[0] };
+      })
+      .filter((x) => SRI_STRENGTH[x.algo]);
+
+    if (!entries.length) return `Unsupported dist.integrity: ${sri}`;
+
+    const best = Math.max(...entries.map((x) => SRI_STRENGTH[x.algo]));
+    const expected = entries.filter((x) => SRI_STRENGTH[x.algo] === best);
+    const actual = crypto.createHash(expected[0].algo).update(buf).digest("base64");
+
+    if (expected.some((x) => x.digest === actual)) return null;
+    return `Tarball integrity mismatch: expected ${expected[0].algo}-${expected[0].digest}, got ${expected[0].algo}-${actual}`;
   }
-}
 
-for (const src of cfg.sources || []) {
-  const pkg = src.package;
-  if (!pkg) continue;
+  if (dist?.shasum) {
+    const actual = crypto.createHash("sha1").update(buf).digest("hex");
+    return actual === String(dist.shasum).toLowerCase() ? null : `Tarball shasum mismatch: expected ${dist.shasum}, got ${actual}`;
+  }
 
-  const type = src.type || "unknown";
-  logGroupStart(pkg, type);
+  return "Registry provides no dist.integrity or dist.shasum";
+}
 
-  try {
-    // -----------------------------
-    // github-release-assets-semver
-    // -----------------------------
-    if (src.type === "github-release-assets-semver") {
-      const repo = src.repo;
-      if (!repo) {
-        record({ package: pkg, type, upstream: "", action: "skip", status: "FAIL", details: "Missing src.repo" });
-        hadFailure = true;
-        continue;
-      }
+/**
+ * Download an npm tarball, verify it against the registry and collect files using extract rules
+ * (file_regex matches the path inside the package, e.g. "dist/foo.min.js").
+ *
+ * @param {object} opts
+ * @param {string} opts.registry registry base URL (the token is only sent there)
+ * @param {object} opts.versionDoc packument.versions[version]
+ * @param {Array<{file_regex:string,out_name?:string,preserve_path?:boolean}>} opts.extract
+ * @param {string} opts.tmpDir
+ * @param {(dist:object) => Promise<object>} [opts.verify] extra checks after the integrity check (throws on failure)
+ * @returns {Promise<{files:Array<{localPath:string,outName?:string}>, error:string|null, verification?:object|null}>}
+ */
+async function downloadNpmTarballAndExtract({ registry, versionDoc, extract, tmpDir, verify = null }) {
+  const dist = versionDoc?.dist || {};
+  if (!dist.tarball) return { files: [], error: "Registry version has no dist.tarball" };
 
-      console.log(`[external:${pkg}] repo=${repo}`);
-      console.log(`[external:${pkg}] fetching releases/latest...`);
+  rmrf(tmpDir);
+  mkdirp(tmpDir);
 
-      // 1) Determine @latest
-      let latest = getLatestRelease(repo);
-      let latestTag = latest?.tag_name || latest?.name || null;
+  const tgzPath = path.join(tmpDir, "package.tgz");
+  await httpDownload(dist.tarball, tgzPath, npmAuthHeaders(registry, dist.tarball));
 
-      // 2) If no releases/latest, fallback to highest semver tag (but cannot publish without zipball fallback)
-      if (!latestTag) {
-        console.log(`[external:${pkg}] no /releases/latest, trying /tags highest semver...`);
-        const topTag = getHighestSemverTag(repo);
-        if (!topTag) {
-          record({
-            package: pkg,
-            type,
-            upstream: "",
-            action: "skip",
-            status: "FAIL",
-            details: "No releases and no semver tags found",
-          });
-          hadFailure = true;
-          continue;
-        }
-        latestTag = topTag;
-      }
+  const error = verifyNpmIntegrity(fs.readFileSync(tgzPath), dist);
+  if (error) return { files: [], error };
 
-      const latestKey = `${repo}@latest:${latestTag}`;
-      const prevLatestKey = state[pkg]?.latest_key;
-      const needLatest = prevLatestKey !== latestKey;
-
-      console.log(`[external:${pkg}] latestTag=${latestTag} needLatest=${needLatest}`);
-
-      // Determine stable/beta "latest"
-      console.log(`[external:${pkg}] listing recent releases to detect stable/beta...`);
-      const releases = getReleases(repo, src.releases_per_page || 30);
-      const parsed = releases
-        .map((r) => {
-          const t = r.tag_name || r.name || "";
-          const v = semver.coerce(stripV(t))?.version || null;
-          return { r, tag: t, v, prerelease: !!(r.prerelease || (v && semver.prerelease(v))) };
-        })
-        .filter((x) => x.v && semver.valid(x.v));
-
-      const stable =
-        parsed.filter((x) => !x.prerelease).sort((a, b) => semver.rcompare(a.v, b.v))[0] || null;
-      const beta =
-        parsed.filter((x) => x.prerelease).sort((a, b) => semver.rcompare(a.v, b.v))[0] || null;
-
-      const stableTag = stable?.tag || null;
-      const betaTag = beta?.tag || null;
-
-      const stableKey = stableTag ? `${repo}@stable:${stableTag}` : null;
-      const betaKey = betaTag ? `${repo}@beta:${betaTag}` : null;
-
-      const needStable = stableKey && state[pkg]?.stable_key !== stableKey;
-      const needBeta = betaKey && state[pkg]?.beta_key !== betaKey;
-
-      if (!needLatest && !needStable && !needBeta) {
-        record({
-          package: pkg,
-          type,
-          upstream: latestTag,
-          action: "skip",
-          status: "SKIP",
-          details: "No changes (keys match external-state.json)",
-        });
-        continue;
-      }
+  let verification = null;
+  if (verify) {
+    try {
+      verification = await verify(dist);
+    } catch (e) {
+      return { files: [], error: e?.message || String(e) };
+    }
+  }
 
-      function publishFromRelease(releaseObj, pointerName) {
-        const tag = releaseObj.tag_name || releaseObj.name;
-        const version = normalizeUpstreamTagToVersion(tag);
-        const channel = detectChannelFromVersion(version);
+  const srcDir = path.join(tmpDir, "src");
+  mkdirp(srcDir);
+  await extractTarGz(tgzPath, srcDir);
 
-        const tmpDir = path.join(ROOT, ".tmp", "external", pkg, `${pointerName}__${stripV(tag)}`);
+  // npm tarballs contain a single top-level folder (usually "package/")
+  const top = fs
+    .readdirSync(srcDir, { withFileTypes: true })
+    .filter((d) => d.isDirectory())
+    .map((d) => path.join(srcDir, d.name))[0];
 
-        let files = [];
+  if (!top) return { files: [], error: "Tarball has no top-level package folder" };
 
-        const buildEnabled = normalizeBuildCfg(src.build).enabled;
+  return { files: extractFromDir({ rootDir: top, extractRules: extract }), error: null, verification };
+}
 
-        // build-from-zipball when enabled
-        if (buildEnabled) {
-          console.log(`[external:${pkg}] build enabled -> zipball + npm build for ${pointerName} tag=${tag}...`);
-          files = downloadZipballBuildAndCollect({
-            repo,
-            release: releaseObj,
-            extractRules: src.extract || [],
-            buildCfg: src.build,
-            tmpDir,
-          });
-        } else {
-          console.log(`[external:${pkg}] downloading assets for ${pointerName} tag=${tag}...`);
-          files = downloadReleaseAssets({
-            repo,
-            release: releaseObj,
-            assetRegex: src.asset_regex,
-            extract: src.extract || [],
-            tmpDir,
-          });
+// ------------------------------------------------------------
+// http-archive
+// ------------------------------------------------------------
 
-          // Zipball fallback when release has no assets (or no matches) and requested.
-          if ((!files || !files.length) && src.zipball_fallback) {
-            console.log(`[external:${pkg}] no assets matched; zipball_fallback=true -> downloading zipball...`);
-            const zipTmpDir = path.join(tmpDir, "zipball");
-            files = downloadZipballAndExtract({
-              repo,
-              release: releaseObj,
-              extract: src.extract || [],
-              tmpDir: zipTmpDir,
-            });
-          }
-        }
+/**
+ * "zip" | "tar.gz" from src.archive, or guessed from the URL extension.
+ */
+function archiveKind(archive, url) {
+  const k = String(archive || "").toLowerCase();
+  if (k) return k === "tgz" ? "tar.gz" : k;
+  if (/\.zip(\?|#|$)/i.test(url)) return "zip";
+  if (/\.(tar\.gz|tgz)(\?|#|$)/i.test(url)) return "tar.gz";
+  return "";
+}
 
-        if (!files.length) {
-          return {
-            ok: false,
-            reason:
-              "No matching outputs. For build: ensure src.extract points at built files (e.g. dist/*.js) and set build.run if required. For non-build: ensure assets/extract or zipball_fallback are correct.",
-          };
-        }
+/**
+ * Sort key for archive versions ("4.0" -> "4.0.0", "2.1-beta.1" -> "2.1.0-beta.1"), keeping prerelease tags.
+ */
+function archiveSemver(v) {
+  const s = stripV(v);
+  return semver.valid(s) || semver.coerce(s, { includePrerelease: true })?.version || null;
+}
 
-        publishExternal({
-          publicDir,
-          pkg,
-          version,
-          channel,
-          builtAt,
-          upstream: {
-            type: buildEnabled ? "github-zipball-build" : "github-release",
-            repo,
-            tag,
-            release_html_url: releaseObj.html_url || null,
-          },
-          meta: src.meta || null,
-          files,
-          updatePointer: pointerName, // latest|stable|beta
-        });
+/**
+ * Discover available versions from src.version_url.
+ *
+ * JSON responses may be an array of strings or of objects with version/tag_name/name.
+ * Anything else is treated as text and scanned with src.version_regex (first capture group).
+ *
+ * @param {object} src
+ * @returns {Promise<string[]>}
+ */
+async function discoverArchiveVersions(src) {
+  const body = await httpGetText(src.version_url);
 
-        updateIndexes({
-          publicDir,
-          pkg,
-          version: `v${version}`,
-          channel,
-          builtAt,
-          meta: src.meta || null,
-        });
+  if (src.version_regex) {
+    const re = new RegExp(src.version_regex, "g");
+    return [...body.matchAll(re)].map((m) => m[1] ?? m[0]).filter(Boolean);
+  }
 
-        return { ok: true, tag, version, channel, files };
-      }
+  const list = JSON.parse(body);
+  return (Array.isArray(list) ? list : [])
+    .map((x) => (typeof x === "string" ? x : x?.version || x?.tag_name || x?.name || ""))
+    .filter(Boolean);
+}
 
-      // Publish @latest
-      if (needLatest) {
-        if (!latest || !latest.tag_name) {
-          record({
-            package: pkg,
+// Accepted pinned checksum formats: hex of the digest length, or SRI "<algo>-<base64>"
+const PINNED_CHECKSUM_FORMATS = {
+  sha512: /^(?:[0-9a-fA-F]{128}|sha512-[A-Za-z0-9+/]{86}==)$/,
+  sha384: /^(?:[0-9a-fA-F]{96}|sha384-[A-Za-z0-9+/]{64})$/,
+  sha256: /^(?:[0-9a-fA-F]{64}|sha256-[A-Za-z0-9+/]{43}=)$/,
+};
+
+/**
+ * Compare a buffer against a pinned checksum entry ({ sha512?, sha384?, sha256? }).
+ * Values are hex or SRI "<algo>-<base64>"; the strongest algorithm set wins. A malformed value
+ * (wrong length, bare base64) is rejected rather than compared.
+ *
+ * @returns {string|null} null when the buffer matches, otherwise the reason
+ */
+function verifyPinnedChecksum(buf, entry) {
+  for (const algo of ["sha512", "sha384", "sha256"]) {
+    const value = String(entry?.[algo] || "").trim();
+    if (!value) continue;
+
+    if (!PINNED_CHECKSUM_FORMATS[algo].test(value)) {
+      return `Invalid pinned ${algo} "${value}" (expected ${algo === "sha256" ? 64 : algo === "sha384" ? 96 : 128} hex chars or ${algo}-<base64>)`;
+    }
+
+    const isHex = !value.startsWith(`${algo}-`);
+    const expected = isHex ? value.toLowerCase() : value.slice(algo.length + 1);
+    const actual = crypto.createHash(algo).update(buf).digest(isHex ? "hex" : "base64");
+
+    return actual === expected ? null : `Checksum mismatch (${algo}): expected ${expected}, got ${actual}`;
+  }
+  return "No pinned sha256/sha384/sha512 checksum";
+}
+
+/**
+ * Download an archive, verify it against the pinned checksum and collect files using extract rules
+ * (file_regex matches the path inside the archive, including any top-level folder).
+ *
+ * @param {object} opts
+ * @param {string} opts.url
+ * @param {"zip"|"tar.gz"} opts.kind
+ * @param {{sha256?:string, sha384?:string, sha512?:string}} opts.checksum
+ * @param {Array<{file_regex:string,out_name?:string,preserve_path?:boolean}>} opts.extract
+ * @param {string} opts.tmpDir
+ * @param {(archivePath:string) => Promise<object>} [opts.verify] extra checks after the checksum (throws on failure)
+ * @returns {Promise<{files:Array<{localPath:string,outName?:string}>, error:string|null, verification?:object|null}>}
+ */
+async function downloadArchiveAndExtract({ url, kind, checksum, extract, tmpDir, verify = null }) {
+  rmrf(tmpDir);
+  mkdirp(tmpDir);
+
+  const archivePath = path.join(tmpDir, kind === "zip" ? "archive.zip" : "archive.tar.gz");
+  await httpDownload(url, archivePath);
+
+  const error = verifyPinnedChecksum(fs.readFileSync(archivePath), checksum);
+  if (error) return { files: [], error };
+
+  let verification = null;
+  if (verify) {
+    try {
+      verification = await verify(archivePath);
+    } catch (e) {
+      return { files: [], error: e?.message || String(e) };
+    }
+  }
+
+  if (kind === "zip") {
+    return { files: await extractFromZip({ zipPath: archivePath, extractRules: extract, tmpDir }), error: null, verification };
+  }
+
+  const srcDir = path.join(tmpDir, "src");
+  mkdirp(srcDir);
+  await extractTarGz(archivePath, srcDir);
+
+  return { files: extractFromDir({ rootDir: srcDir, extractRules: extract }), error: null, verification };
+}
+
+// ------------------------------------------------------------
+// Upstream verification (src.verify, checks in verify.mjs)
+// ------------------------------------------------------------
+
+/**
+ * Pinned public key for src.verify.signature: inline public_key, or public_key_file relative to the repo root.
+ */
+function pinnedPublicKey(sigCfg, root) {
+  if (sigCfg.public_key) return String(sigCfg.public_key);
+  if (sigCfg.public_key_file) return fs.readFileSync(path.resolve(root, sigCfg.public_key_file), "utf8");
+  throw new Error("Verification failed: src.verify.signature needs public_key or public_key_file");
+}
+
+function signatureSuffix(sigCfg) {
+  return sigCfg.suffix || (sigCfg.type === "minisign" ? ".minisig" : ".asc");
+}
+
+async function verifySignatureFile(sigCfg, dataPath, sigPath, root) {
+  const key = pinnedPublicKey(sigCfg, root);
+  if (sigCfg.type === "minisign") return verifyMinisign(fs.readFileSync(dataPath), fs.readFileSync(sigPath, "utf8"), key);
+  if (sigCfg.type === "gpg") return verifyGpg(dataPath, sigPath, key, { fingerprint: sigCfg.fingerprint || "" });
+  throw new Error(`Verification failed: unknown signature type ${sigCfg.type} (use gpg or minisign)`);
+}
+
+/**
+ * Verify downloaded release assets against the release's checksum file (src.verify.checksums, an asset
+ * name regex) and/or detached signatures (src.verify.signature). With a checksum file, the signature is
+ * expected on that file ("SHA256SUMS.asc"); otherwise on every asset ("<asset><suffix>").
+ *
+ * @param {object} opts
+ * @param {object} opts.verifyCfg src.verify
+ * @param {import("./providers.mjs").Provider} opts.provider
+ * @param {object} opts.release
+ * @param {Array<{name:string, localPath:string}>} opts.downloaded
+ * @param {string} opts.tmpDir
+ * @param {string} opts.root repository root (for public_key_file)
+ * @returns {Promise<{verified:true, checks:object[]}>}
+ */
+async function verifyReleaseAssets({ verifyCfg, provider, release, downloaded, tmpDir, root }) {
+  const checks = [];
+  const verifyDir = path.join(tmpDir, "_verify");
+  mkdirp(verifyDir);
+
+  async function fetchAsset(test, what) {
+    const a = (release.assets || []).find((x) => test(x.name));
+    if (!a) throw new Error(`Verification failed: release ${release.tag_name} has no ${what} asset`);
+    const localPath = path.join(verifyDir, a.name);
+    await httpDownload(a.browser_download_url, localPath, provider.headersFor(a.browser_download_url));
+    return { name: a.name, localPath };
+  }
+
+  const sumsRe = verifyCfg.checksums ? new RegExp(verifyCfg.checksums) : null;
+  const sigCfg = verifyCfg.signature || null;
+  const suffix = sigCfg ? signatureSuffix(sigCfg) : null;
+
+  // Checksum/signature files picked up by asset_regex are not subjects of the check themselves
+  const subjects = downloaded.filter((f) => !(sumsRe && sumsRe.test(f.name)) && !(suffix && f.name.endsWith(suffix)));
+  let signed = subjects;
+
+  if (sumsRe) {
+    const sums = await fetchAsset((n) => sumsRe.test(n), `checksum (${verifyCfg.checksums})`);
+    checks.push(verifyChecksumFile(subjects, sums.localPath));
+    signed = [sums];
+  }
+
+  if (sigCfg) {
+    for (const f of signed) {
+      const sig = await fetchAsset((n) => n === `${f.name}${suffix}`, `signature (${f.name}${suffix})`);
+      checks.push({ ...(await verifySignatureFile(sigCfg, f.localPath, sig.localPath, root)), file: f.name, signature: sig.name });
+    }
+  }
+
+  return { verified: true, checks };
+}
+
+/**
+ * Verify an npm version per src.verify: registry signatures (npm_signatures) and provenance
+ * (npm_provenance: true, or { repository } to also pin the source repository).
+ * A provenance mismatch fails the source, but provenance alone leaves it verified: false
+ * (its Sigstore signature is not checked, see verify.mjs).
+ *
+ * @returns {Promise<{verified:boolean, checks:object[]}>}
+ */
+async function verifyNpmVersion({ verifyCfg, registry, name, version, dist, publishedAt = null }) {
+  const checks = [];
+
+  if (verifyCfg.npm_signatures) {
+    const keysUrl = `${registry}/-/npm/v1/keys`;
+    const keys = await httpGetJson(keysUrl, npmAuthHeaders(registry, keysUrl));
+    checks.push(verifyNpmSignature({ name, version, dist, keys, publishedAt }));
+  }
+
+  if (verifyCfg.npm_provenance) {
+    const url = dist?.attestations?.url;
+    if (!url) throw new Error(`Verification failed: ${name}@${version} was published without provenance`);
+
+    const opts = typeof verifyCfg.npm_provenance === "object" ? verifyCfg.npm_provenance : {};
+    const attestations = await httpGetJson(url, npmAuthHeaders(registry, url));
+    checks.push(verifyNpmProvenance({ name, version, integrity: dist.integrity, attestations, repository: opts.repository || "" }));
+  }
+
+  return { verified: checks.length > 0 && checks.every((c) => c.verified), checks };
+}
+
+// ------------------------------------------------------------
+// Source selection (--only / --type / --exclude)
+// ------------------------------------------------------------
+
+/**
+ * Comma-separated list (or array of them) -> trimmed non-empty items.
+ *
+ * @param {string|string[]|undefined} v
+ * @returns {string[]}
+ */
+function splitList(v) {
+  return (Array.isArray(v) ? v : [v])
+    .flatMap((x) => String(x ?? "").split(","))
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+// "*" matches any run of characters, "?" a single one; everything else is literal
+function globToRegExp(glob) {
+  const body = glob.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${body}$`);
+}
+
+/**
+ * Filter sources by package name globs and types. Patterns that select nothing are returned in `unmatched`
+ * so typos do not silently turn into an empty run.
+ *
+ * @param {object[]} sources
+ * @param {object} filters
+ * @param {string[]} [filters.only] package names/globs to keep (all when empty)
+ * @param {string[]} [filters.types] source types to keep (all when empty)
+ * @param {string[]} [filters.exclude] package names/globs to drop
+ * @returns {{selected: object[], unmatched: string[]}}
+ */
+function selectSources(sources, { only = [], types = [], exclude = [] }) {
+  const onlyRes = only.map((g) => [g, globToRegExp(g)]);
+  const excludeRes = exclude.map(globToRegExp);
+  const hit = new Set();
+
+  const selected = sources.filter((src) => {
+    const pkg = String(src.package || "");
+    if (types.length && !types.includes(src.type || "unknown")) return false;
+    if (excludeRes.some((re) => re.test(pkg))) return false;
+    if (!onlyRes.length) return true;
+
+    const matches = onlyRes.filter(([, re]) => re.test(pkg));
+    for (const [g] of matches) hit.add(g);
+    return matches.length > 0;
+  });
+
+  return { selected, unmatched: only.filter((g) => !hit.has(g)) };
+}
+
+// ------------------------------------------------------------
+// Main
+// ------------------------------------------------------------
+
+/**
+ * Sync every source from external-sources.json into <root>/public.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.root] repository root containing external-sources.json and public/ (default: cwd)
+ * @param {typeof fetch} [opts.fetch] fetch implementation (e.g. a stub serving local fixtures)
+ * @param {boolean} [opts.dryRun] resolve upstream versions and write a plan only (no downloads, no public/ writes)
+ * @param {string} [opts.planOut] plan JSON path, relative to root (default .tmp/external-plan.json)
+ * @param {string[]} [opts.only] only sync packages matching these names/globs
+ * @param {string[]} [opts.types] only sync sources of these types
+ * @param {string[]} [opts.exclude] skip packages matching these names/globs
+ * @param {boolean} [opts.force] ignore the recorded state keys of the selected packages (republish)
+ * @param {boolean} [opts.verifyReproducible] build build-enabled sources twice and record whether the outputs match
+ * @returns {Promise<{changed:boolean, hadFailure:boolean, results:object[], planned:object[]}>}
+ */
+export async function syncExternal({
+  root = process.cwd(),
+  fetch = null,
+  dryRun = false,
+  planOut = "",
+  only = [],
+  types = [],
+  exclude = [],
+  force = false,
+  verifyReproducible = false,
+} = {}) {
+  if (fetch) setFetch(fetch);
+
+  const ROOT = root;
+  const publicDir = path.join(ROOT, "public");
+  const cfg = readJson(path.join(ROOT, "external-sources.json"), { sources: [] });
+  const stateFp = path.join(publicDir, "_index", "external-state.json");
+  const state = readJson(stateFp, {});
+  const reportFp = path.join(publicDir, "_index", "sync-report.json");
+
+  const builtAt = new Date().toISOString().replace(".000Z", "Z");
+  let changed = false;
+
+  const results = [];
+  const planned = [];
+  let hadFailure = false;
+
+  function logGroupStart(pkg, type) {
+    log(`\n=== [external:${pkg}] type=${type} ===`);
+  }
+
+  function pushResult(r) {
+    // Rows go to the running source's buffer and are merged into results in config order
+    (logStore.getStore()?.rows || results).push({
+      package: r.package,
+      type: r.type,
+      upstream: r.upstream || "",
+      action: r.action || "",
+      status: r.status || "",
+      details: r.details || "",
+      ...(r.reproducible !== undefined ? { reproducible: r.reproducible, reproducible_diff: r.reproducible_diff || [] } : {}),
+    });
+  }
+
+  /**
+   * Helper to record status rows consistently (and optionally log).
+   *
+   * @param {object} row
+   * @param {string} row.package
+   * @param {string} row.type
+   * @param {string} row.upstream
+   * @param {string} row.action
+   * @param {"OK"|"SKIP"|"FAIL"} row.status
+   * @param {string} row.details
+   * @param {boolean} [row.reproducible] --verify-reproducible result of a build (with row.reproducible_diff)
+   * @param {string[]} [row.reproducible_diff]
+   * @param {boolean} [row.log]
+   */
+  function record(row) {
+    pushResult(row);
+    if (row.log !== false) {
+      const prefix = `[external:${row.package}]`;
+      const msg = `${prefix} ${row.status} action=${row.action} upstream=${safeOneLine(row.upstream)} details=${safeOneLine(
+        row.details
+      )}`;
+      log(msg);
+    }
+  }
+
+  /**
+   * Status of the row for a successful publish. A build that --verify-reproducible could not reproduce
+   * is still published, but its row is a FAIL so the run reports it (and FAIL_ON_EXTERNAL_ERROR fails).
+   *
+   * @param {{reproducibility?:{reproducible:boolean}|null}} r
+   * @returns {"OK"|"FAIL"}
+   */
+  function publishedStatus(r) {
+    if (r.reproducibility?.reproducible !== false) return "OK";
+    hadFailure = true;
+    return "FAIL";
+  }
+
+
+  /**
+   * Dry run: record what publishing `version` to `pointer` would change, instead of publishing it.
+   *
+   * @param {object} p
+   * @param {string} p.pkg
+   * @param {string} p.type
+   * @param {string} p.upstream
+   * @param {"latest"|"stable"|"beta"|null} p.pointer null for a backfilled version (no pointer moves)
+   * @param {string} p.version version without leading "v"
+   * @param {"stable"|"beta"|null} p.channel
+   * @param {string|null} p.prev version (without "v") the pointer currently serves, if known
+   */
+  function planPublish({ pkg, type, upstream, pointer, version, channel, prev }) {
+    const entry = {
+      package: pkg,
+      type,
+      upstream,
+      pointer: pointer ? `@${pointer}` : null,
+      version: `v${version}`,
+      channel: channel ?? null,
+      from: prev ? `v${prev}` : null,
+      new_version: !fs.existsSync(path.join(publicDir, pkg, `v${version}`)),
+      aliases: pointer ? stableAliases(version, channel).map((a) => `v${a}`) : [],
+    };
+    (logStore.getStore()?.plan || planned).push(entry);
+
+    const parts = [pointer ? `@${pointer} ${entry.from || "(none)"} -> ${entry.version}` : `backfill ${entry.version}`];
+    if (entry.new_version) parts.push("new version");
+    if (entry.aliases.length) parts.push(`aliases ${entry.aliases.join(", ")}`);
+    record({ package: pkg, type, upstream, action: "plan", status: "OK", details: parts.join("; ") });
+  }
+
+  async function syncSource(src) {
+    const pkg = src.package;
+    if (!pkg) return;
+
+    const type = src.type || "unknown";
+    logGroupStart(pkg, type);
+
+    try {
+      // -----------------------------
+      // github-release-assets-semver
+      // -----------------------------
+      if (src.type === "github-release-assets-semver") {
+        const repo = src.repo;
+        if (!repo) {
+          record({ package: pkg, type, upstream: "", action: "skip", status: "FAIL", details: "Missing src.repo" });
+          hadFailure = true;
+          return;
+        }
+
+        const provider = createProvider(src, { getJson: httpGetJson });
+        log(`[external:${pkg}] repo=${repo} provider=${provider.kind} host=${provider.host}`);
+        log(`[external:${pkg}] fetching releases/latest...`);
+
+        // 1) Determine @latest
+        let latest = await provider.getLatestRelease(repo);
+        let latestTag = latest?.tag_name || latest?.name || null;
+
+        // 2) If no releases/latest, fallback to highest semver tag (but cannot publish without zipball fallback)
+        if (!latestTag) {
+          log(`[external:${pkg}] no /releases/latest, trying /tags highest semver...`);
+          const topTag = await getHighestSemverTag(provider, repo);
+          if (!topTag) {
+            record({
+              package: pkg,
+              type,
+              upstream: "",
+              action: "skip",
+              status: "FAIL",
+              details: "No releases and no semver tags found",
+            });
+            hadFailure = true;
+            return;
+          }
+          latestTag = topTag;
+        }
+
+        const latestKey = `${repo}@latest:${latestTag}`;
+        const prevLatestKey = state[pkg]?.latest_key;
+        const needLatest = force || prevLatestKey !== latestKey;
+
+        log(`[external:${pkg}] latestTag=${latestTag} needLatest=${needLatest}`);
+
+        // Determine stable/beta "latest"
+        log(`[external:${pkg}] listing recent releases to detect stable/beta...`);
+        const releases = await provider.getReleases(repo, src.releases_per_page || 30);
+        const { stable, beta } = pickChannelReleases(releases);
+
+        const stableTag = stable?.tag || null;
+        const betaTag = beta?.tag || null;
+
+        const stableKey = stableTag ? `${repo}@stable:${stableTag}` : null;
+        const betaKey = betaTag ? `${repo}@beta:${betaTag}` : null;
+
+        const needStable = stableKey && (force || state[pkg]?.stable_key !== stableKey);
+        const needBeta = betaKey && (force || state[pkg]?.beta_key !== betaKey);
+
+        // Backfill: publish older releases as immutable v<version> dirs, never moving pointers or aliases.
+        // At most BACKFILL_MAX_PER_RUN (default 5) per run; versions that failed are not retried unless --force.
+        async function runBackfill() {
+          const spec = parseBackfill(src.backfill);
+          if (!spec) return;
+
+          const failed = new Set(force ? [] : state[pkg]?.backfill_failed || []);
+          const current = new Set([latestTag, stableTag, betaTag].filter(Boolean));
+          const candidates = (await listBackfillReleases(provider, repo, spec)).filter((c) => {
+            const version = normalizeUpstreamTagToVersion(c.tag);
+            if (current.has(c.tag) || failed.has(version)) return false;
+            return !fs.existsSync(path.join(publicDir, pkg, `v${version}`));
+          });
+
+          const maxPerRun = positiveInt(process.env.BACKFILL_MAX_PER_RUN, 5);
+          const batch = candidates.slice(0, maxPerRun);
+          log(
+            `[external:${pkg}] backfill ${spec.range ? `range="${spec.range}"` : `last=${spec.last}`}: missing=${candidates.length} this run=${batch.length}`
+          );
+
+          for (const c of batch) {
+            const version = normalizeUpstreamTagToVersion(c.tag);
+
+            if (dryRun) {
+              planPublish({ pkg, type, upstream: c.tag, pointer: null, version, channel: detectChannelFromVersion(version), prev: null });
+              continue;
+            }
+
+            // One broken old release must not stop the rest of the batch
+            let r;
+            try {
+              r = await publishFromRelease(c.r, "backfill");
+            } catch (e) {
+              r = { ok: false, reason: safeOneLine(e?.message || String(e)) };
+            }
+            state[pkg] = state[pkg] || {};
+            if (!r.ok) {
+              state[pkg].backfill_failed = [...new Set([...(state[pkg].backfill_failed || []), version])];
+              record({ package: pkg, type, upstream: c.tag, action: "backfill", status: "FAIL", details: r.reason });
+              hadFailure = true;
+            } else {
+              state[pkg].backfill_failed = (state[pkg].backfill_failed || []).filter((v) => v !== version);
+              record({
+                package: pkg,
+                type,
+                upstream: c.tag,
+                action: "backfill",
+                status: publishedStatus(r),
+                details: `v${r.version} files=${r.files.length}${reproducibleNote(r)}`,
+                ...reproducibleFields(r),
+              });
+            }
+            changed = true;
+          }
+        }
+
+        if (!needLatest && !needStable && !needBeta) {
+          record({
+            package: pkg,
             type,
             upstream: latestTag,
-            action: "publish",
-            status: "FAIL",
-            details: "No GitHub release object for @latest (use github-raw-file or create a release)",
+            action: "skip",
+            status: "SKIP",
+            details: "No changes (keys match external-state.json)",
           });
-          hadFailure = true;
-        } else {
-          const r = publishFromRelease(latest, "latest");
-          if (!r.ok) {
+          await runBackfill();
+          return;
+        }
+
+        if (dryRun) {
+          const targets = [
+            needLatest && { pointer: "latest", tag: latestTag, key: state[pkg]?.latest_key },
+            needStable && { pointer: "stable", tag: stableTag, key: state[pkg]?.stable_key },
+            needBeta && { pointer: "beta", tag: betaTag, key: state[pkg]?.beta_key },
+          ].filter(Boolean);
+
+          for (const t of targets) {
+            if (t.pointer === "latest" && !latest?.tag_name) {
+              record({ package: pkg, type, upstream: latestTag, action: "plan", status: "FAIL", details: "No release object for @latest (use github-raw-file or create a release)" });
+              hadFailure = true;
+              continue;
+            }
+            const version = normalizeUpstreamTagToVersion(t.tag);
+            const prev = keyValue(t.key);
+            planPublish({
+              pkg,
+              type,
+              upstream: t.tag,
+              pointer: t.pointer,
+              version,
+              channel: detectChannelFromVersion(version),
+              prev: prev && normalizeUpstreamTagToVersion(prev),
+            });
+          }
+          await runBackfill();
+          return;
+        }
+
+        // pointerName: latest|stable|beta, or "backfill" for a version published without moving pointers
+        async function publishFromRelease(releaseObj, pointerName) {
+          const tag = releaseObj.tag_name || releaseObj.name;
+          const version = normalizeUpstreamTagToVersion(tag);
+          const channel = detectChannelFromVersion(version);
+
+          const tmpDir = path.join(ROOT, ".tmp", "external", pkg, `${pointerName}__${stripV(tag)}`);
+
+          let files = [];
+          let verification = null;
+          let toolchain = null;
+          let reproducibility = null;
+
+          const buildEnabled = normalizeBuildCfg(src.build).enabled;
+          const verifyAssets = !!(src.verify?.checksums || src.verify?.signature);
+
+          // Generated zipballs carry no checksums/signatures: a source that asks for verification never falls back to them
+          if (verifyAssets && buildEnabled) {
+            throw new Error("Verification failed: src.verify checks release assets, but build uses the unsigned zipball");
+          }
+
+          // build-from-zipball when enabled
+          if (buildEnabled) {
+            log(`[external:${pkg}] build enabled -> zipball + npm build for ${pointerName} tag=${tag}...`);
+            ({ files, toolchain } = await downloadZipballBuildAndCollect({
+              provider,
+              repo,
+              release: releaseObj,
+              extractRules: src.extract || [],
+              buildCfg: src.build,
+              tmpDir,
+              root: ROOT,
+            }));
+
+            if (verifyReproducible && files.length) {
+              log(`[external:${pkg}] verify-reproducible: building ${tag} again in a separate dir...`);
+              let rebuilt = [];
+              try {
+                ({ files: rebuilt } = await downloadZipballBuildAndCollect({
+                  provider,
+                  repo,
+                  release: releaseObj,
+                  extractRules: src.extract || [],
+                  buildCfg: src.build,
+                  tmpDir: `${tmpDir}__rebuild`,
+                  root: ROOT,
+                }));
+              } catch (e) {
+                // Everything counts as differing; the first build is still published
+                log(`[external:${pkg}] verify-reproducible: second build failed: ${safeOneLine(e?.message || String(e))}`);
+              }
+              reproducibility = compareBuildOutputs(files, rebuilt);
+              log(
+                `[external:${pkg}] verify-reproducible: ${
+                  reproducibility.reproducible ? "outputs identical" : `differs: ${reproducibility.differences.join(", ")}`
+                }`
+              );
+            }
+          } else {
+            log(`[external:${pkg}] downloading assets for ${pointerName} tag=${tag}...`);
+            files = await downloadReleaseAssets({
+              provider,
+              repo,
+              release: releaseObj,
+              assetRegex: src.asset_regex,
+              extract: src.extract || [],
+              tmpDir,
+              verify: verifyAssets
+                ? async (downloaded) => {
+                    verification = await verifyReleaseAssets({ verifyCfg: src.verify, provider, release: releaseObj, downloaded, tmpDir, root: ROOT });
+                  }
+                : null,
+            });
+
+            // Zipball fallback when release has no assets (or no matches) and requested.
+            if ((!files || !files.length) && src.zipball_fallback && !verifyAssets) {
+              log(`[external:${pkg}] no assets matched; zipball_fallback=true -> downloading zipball...`);
+              const zipTmpDir = path.join(tmpDir, "zipball");
+              files = await downloadZipballAndExtract({
+                provider,
+                repo,
+                release: releaseObj,
+                extract: src.extract || [],
+                tmpDir: zipTmpDir,
+              });
+            }
+          }
+
+          if (!files.length) {
+            return {
+              ok: false,
+              reason:
+                "No matching outputs. For build: ensure src.extract points at built files (e.g. dist/*.js) and set build.run if required. For non-build: ensure assets/extract or zipball_fallback are correct.",
+            };
+          }
+
+          publishExternal({
+            publicDir,
+            pkg,
+            version,
+            channel,
+            builtAt,
+            upstream: {
+              type: buildEnabled ? `${provider.kind}-zipball-build` : `${provider.kind}-release`,
+              ...upstreamHost(provider),
+              repo,
+              tag,
+              release_html_url: releaseObj.html_url || null,
+              ...(verification ? { verification } : {}),
+              ...(toolchain ? { toolchain } : {}),
+              ...reproducibleFields({ reproducibility }),
+            },
+            meta: src.meta || null,
+            transform: src.transform || null,
+            files,
+            updatePointer: pointerName === "backfill" ? null : pointerName, // latest|stable|beta
+          });
+
+          updateIndexes({
+            publicDir,
+            pkg,
+            version: `v${version}`,
+            channel,
+            builtAt,
+            meta: src.meta || null,
+            backfill: pointerName === "backfill",
+          });
+
+          return { ok: true, tag, version, channel, files, reproducibility };
+        }
+
+        // Publish @latest
+        if (needLatest) {
+          if (!latest || !latest.tag_name) {
             record({
               package: pkg,
               type,
-              upstream: latest.tag_name,
+              upstream: latestTag,
               action: "publish",
               status: "FAIL",
-              details: r.reason,
+              details: "No release object for @latest (use github-raw-file or create a release)",
+            });
+            hadFailure = true;
+          } else {
+            const r = await publishFromRelease(latest, "latest");
+            if (!r.ok) {
+              record({
+                package: pkg,
+                type,
+                upstream: latest.tag_name,
+                action: "publish",
+                status: "FAIL",
+                details: r.reason,
+              });
+              hadFailure = true;
+            } else {
+              state[pkg] = state[pkg] || {};
+              state[pkg].latest_key = latestKey;
+              state[pkg].last_upstream_tag = latest.tag_name;
+              changed = true;
+
+              record({
+                package: pkg,
+                type,
+                upstream: latest.tag_name,
+                action: "publish",
+                status: publishedStatus(r),
+                details: `@latest v${r.version} files=${r.files.length}${reproducibleNote(r)}`,
+                ...reproducibleFields(r),
+              });
+            }
+          }
+        }
+
+        // Publish @stable
+        if (needStable && stable?.r) {
+          const r = await publishFromRelease(stable.r, "stable");
+          if (!r.ok) {
+            record({ package: pkg, type, upstream: stableTag || "", action: "publish", status: "FAIL", details: r.reason });
+            hadFailure = true;
+          } else {
+            state[pkg] = state[pkg] || {};
+            state[pkg].stable_key = stableKey;
+            state[pkg].last_upstream_stable_tag = stableTag;
+            changed = true;
+
+            record({
+              package: pkg,
+              type,
+              upstream: stableTag || "",
+              action: "publish",
+              status: publishedStatus(r),
+              details: `@stable v${r.version} files=${r.files.length} (+stable aliases)${reproducibleNote(r)}`,
+              ...reproducibleFields(r),
             });
+          }
+        }
+
+        // Publish @beta
+        if (needBeta && beta?.r) {
+          const r = await publishFromRelease(beta.r, "beta");
+          if (!r.ok) {
+            record({ package: pkg, type, upstream: betaTag || "", action: "publish", status: "FAIL", details: r.reason });
             hadFailure = true;
           } else {
             state[pkg] = state[pkg] || {};
-            state[pkg].latest_key = latestKey;
-            state[pkg].last_upstream_tag = latest.tag_name;
+            state[pkg].beta_key = betaKey;
+            state[pkg].last_upstream_beta_tag = betaTag;
             changed = true;
 
             record({
               package: pkg,
               type,
-              upstream: latest.tag_name,
+              upstream: betaTag || "",
               action: "publish",
-              status: "OK",
-              details: `@latest v${r.version} files=${r.files.length}`,
+              status: publishedStatus(r),
+              details: `@beta v${r.version} files=${r.files.length}${reproducibleNote(r)}`,
+              ...reproducibleFields(r),
             });
           }
         }
+
+        await runBackfill();
+        return;
       }
 
-      // Publish @stable
-      if (needStable && stable?.r) {
-        const r = publishFromRelease(stable.r, "stable");
-        if (!r.ok) {
-          record({ package: pkg, type, upstream: stableTag || "", action: "publish", status: "FAIL", details: r.reason });
+      // -----------------------------
+      // npm-registry-tarball
+      // -----------------------------
+      if (src.type === "npm-registry-tarball") {
+        const name = src.npm_package || pkg;
+        const registry = npmRegistryUrl(src);
+
+        log(`[external:${pkg}] npm=${name} registry=${registry}`);
+        const packument = await getNpmPackument(registry, name);
+        const distTags = packument?.["dist-tags"] || {};
+        const tagNames = { latest: "latest", stable: "latest", beta: "next", ...(src.dist_tags || {}) };
+
+        // pointer -> version resolved from dist-tags (stable must be a release, beta a prerelease)
+        const resolved = {};
+        for (const pointer of ["latest", "stable", "beta"]) {
+          const v = distTags[tagNames[pointer]];
+          if (!v || !semver.valid(v) || !packument.versions?.[v]) continue;
+          if (pointer === "stable" && semver.prerelease(v)) continue;
+          if (pointer === "beta" && !semver.prerelease(v)) continue;
+          resolved[pointer] = v;
+        }
+
+        if (!resolved.latest) {
+          record({
+            package: pkg,
+            type,
+            upstream: name,
+            action: "skip",
+            status: "FAIL",
+            details: `Registry packument has no usable dist-tags.${tagNames.latest}`,
+          });
           hadFailure = true;
-        } else {
+          return;
+        }
+
+        const keys = Object.fromEntries(Object.entries(resolved).map(([p, v]) => [p, `${name}@${p}:${v}`]));
+        const needed = Object.keys(resolved).filter((p) => force || state[pkg]?.[`${p}_key`] !== keys[p]);
+
+        log(
+          `[external:${pkg}] dist-tags latest=${resolved.latest} stable=${resolved.stable || "-"} beta=${resolved.beta || "-"} need=${needed.join(",") || "none"}`
+        );
+
+        if (!needed.length) {
+          record({
+            package: pkg,
+            type,
+            upstream: `${name}@${resolved.latest}`,
+            action: "skip",
+            status: "SKIP",
+            details: "No changes (keys match external-state.json)",
+          });
+          return;
+        }
+
+        for (const pointer of needed) {
+          const version = resolved[pointer];
+          const versionDoc = packument.versions[version];
+          const channel = detectChannelFromVersion(version);
+          const upstreamStr = `${name}@${version}`;
+
+          if (dryRun) {
+            const prev = keyValue(state[pkg]?.[`${pointer}_key`]);
+            planPublish({ pkg, type, upstream: upstreamStr, pointer, version, channel, prev });
+            continue;
+          }
+
+          log(`[external:${pkg}] downloading tarball for ${pointer} version=${version}...`);
+          const { files, error, verification } = await downloadNpmTarballAndExtract({
+            registry,
+            versionDoc,
+            extract: src.extract || [],
+            tmpDir: path.join(ROOT, ".tmp", "external", pkg, `${pointer}__${version}`),
+            verify:
+              src.verify?.npm_signatures || src.verify?.npm_provenance
+                ? (dist) =>
+                    verifyNpmVersion({ verifyCfg: src.verify, registry, name, version, dist, publishedAt: packument.time?.[version] || null })
+                : null,
+          });
+
+          if (error || !files.length) {
+            record({
+              package: pkg,
+              type,
+              upstream: upstreamStr,
+              action: "publish",
+              status: "FAIL",
+              details: error || "No matching outputs (check src.extract against the package contents, e.g. dist/*.js)",
+            });
+            hadFailure = true;
+            continue;
+          }
+
+          publishExternal({
+            publicDir,
+            pkg,
+            version,
+            channel,
+            builtAt,
+            upstream: {
+              type: "npm-registry",
+              registry,
+              name,
+              version,
+              dist_tag: tagNames[pointer],
+              tarball: versionDoc.dist.tarball,
+              integrity: versionDoc.dist.integrity || null,
+              ...(verification ? { verification } : {}),
+            },
+            meta: src.meta || null,
+            transform: src.transform || null,
+            files,
+            updatePointer: pointer,
+          });
+
+          updateIndexes({ publicDir, pkg, version: `v${version}`, channel, builtAt, meta: src.meta || null });
+
           state[pkg] = state[pkg] || {};
-          state[pkg].stable_key = stableKey;
-          state[pkg].last_upstream_stable_tag = stableTag;
+          state[pkg][`${pointer}_key`] = keys[pointer];
           changed = true;
 
           record({
             package: pkg,
             type,
-            upstream: stableTag || "",
+            upstream: upstreamStr,
             action: "publish",
             status: "OK",
-            details: `@stable v${r.version} files=${r.files.length} (+stable aliases)`,
+            details: `@${pointer} v${version} files=${files.length}${pointer === "stable" ? " (+stable aliases)" : ""}`,
           });
         }
+
+        return;
       }
 
-      // Publish @beta
-      if (needBeta && beta?.r) {
-        const r = publishFromRelease(beta.r, "beta");
-        if (!r.ok) {
-          record({ package: pkg, type, upstream: betaTag || "", action: "publish", status: "FAIL", details: r.reason });
+      // -----------------------------
+      // http-archive
+      // -----------------------------
+      if (src.type === "http-archive") {
+        const urlTemplate = src.url;
+        if (!urlTemplate || !urlTemplate.includes("{version}")) {
+          record({ package: pkg, type, upstream: "", action: "skip", status: "FAIL", details: "Missing src.url with {version}" });
+          hadFailure = true;
+          return;
+        }
+
+        const kind = archiveKind(src.archive, urlTemplate);
+        if (kind !== "zip" && kind !== "tar.gz") {
+          record({
+            package: pkg,
+            type,
+            upstream: "",
+            action: "skip",
+            status: "FAIL",
+            details: "Unknown archive type (set src.archive to zip or tar.gz)",
+          });
+          hadFailure = true;
+          return;
+        }
+
+        // Pinned versions: [{ version, sha256?, sha384?, sha512? }]
+        const pinned = new Map(
+          (Array.isArray(src.versions) ? src.versions : [])
+            .filter((x) => x && typeof x.version === "string" && x.version.length)
+            .map((x) => [stripV(x.version), x])
+        );
+
+        let candidates = [...pinned.keys()];
+        if (src.version_url) {
+          log(`[external:${pkg}] discovering versions from ${src.version_url}...`);
+          candidates = (await discoverArchiveVersions(src)).map(stripV);
+        }
+
+        const parsed = [...new Set(candidates)]
+          .map((v) => ({ v, sv: archiveSemver(v) }))
+          .filter((x) => x.sv)
+          .sort((a, b) => semver.rcompare(a.sv, b.sv));
+
+        if (!parsed.length) {
+          record({ package: pkg, type, upstream: "", action: "skip", status: "FAIL", details: "No versions found (src.versions / src.version_url)" });
           hadFailure = true;
-        } else {
+          return;
+        }
+
+        const resolved = {
+          latest: parsed[0].v,
+          stable: parsed.find((x) => !semver.prerelease(x.sv))?.v,
+          beta: parsed.find((x) => semver.prerelease(x.sv))?.v,
+        };
+        for (const p of Object.keys(resolved)) if (!resolved[p]) delete resolved[p];
+
+        const keys = Object.fromEntries(Object.entries(resolved).map(([p, v]) => [p, `${pkg}@${p}:${v}`]));
+        const needed = Object.keys(resolved).filter((p) => force || state[pkg]?.[`${p}_key`] !== keys[p]);
+
+        log(
+          `[external:${pkg}] latest=${resolved.latest} stable=${resolved.stable || "-"} beta=${resolved.beta || "-"} need=${needed.join(",") || "none"}`
+        );
+
+        if (!needed.length) {
+          record({
+            package: pkg,
+            type,
+            upstream: resolved.latest,
+            action: "skip",
+            status: "SKIP",
+            details: "No changes (keys match external-state.json)",
+          });
+          return;
+        }
+
+        for (const pointer of needed) {
+          const version = resolved[pointer];
+          const url = urlTemplate.split("{version}").join(version);
+          const checksum = pinned.get(version);
+
+          if (!checksum || (!checksum.sha256 && !checksum.sha384 && !checksum.sha512)) {
+            record({
+              package: pkg,
+              type,
+              upstream: version,
+              action: "publish",
+              status: "FAIL",
+              details: `No pinned sha256/sha384/sha512 for version ${version} (add it to src.versions)`,
+            });
+            hadFailure = true;
+            continue;
+          }
+
+          if (dryRun) {
+            const prev = keyValue(state[pkg]?.[`${pointer}_key`]);
+            planPublish({ pkg, type, upstream: version, pointer, version, channel: detectChannelFromVersion(version), prev });
+            continue;
+          }
+
+          log(`[external:${pkg}] downloading ${url} for ${pointer}...`);
+          const tmpDir = path.join(ROOT, ".tmp", "external", pkg, `${pointer}__${version}`);
+          const sigCfg = src.verify?.signature || null;
+          const { files, error, verification } = await downloadArchiveAndExtract({
+            url,
+            kind,
+            checksum,
+            extract: src.extract || [],
+            tmpDir,
+            // Detached signature at signature.url ({version} substituted) or <url><suffix>
+            verify: sigCfg
+              ? async (archivePath) => {
+                  const sigUrl = sigCfg.url ? sigCfg.url.split("{version}").join(version) : `${url}${signatureSuffix(sigCfg)}`;
+                  const sigPath = path.join(tmpDir, `archive${signatureSuffix(sigCfg)}`);
+                  await httpDownload(sigUrl, sigPath);
+                  const check = await verifySignatureFile(sigCfg, archivePath, sigPath, ROOT);
+                  return { verified: true, checks: [{ ...check, signature: sigUrl }] };
+                }
+              : null,
+          });
+
+          if (error || !files.length) {
+            record({
+              package: pkg,
+              type,
+              upstream: version,
+              action: "publish",
+              status: "FAIL",
+              details: error || "No matching outputs (check src.extract against the archive contents)",
+            });
+            hadFailure = true;
+            continue;
+          }
+
+          const channel = detectChannelFromVersion(version);
+
+          publishExternal({
+            publicDir,
+            pkg,
+            version,
+            channel,
+            builtAt,
+            upstream: {
+              type: "http-archive",
+              url,
+              version,
+              archive: kind,
+              // The pinned value that was checked (strongest algorithm, as in verifyPinnedChecksum)
+              checksum: checksum.sha512
+                ? { sha512: checksum.sha512 }
+                : checksum.sha384
+                  ? { sha384: checksum.sha384 }
+                  : { sha256: checksum.sha256 },
+              ...(verification ? { verification } : {}),
+            },
+            meta: src.meta || null,
+            transform: src.transform || null,
+            files,
+            updatePointer: pointer,
+          });
+
+          updateIndexes({ publicDir, pkg, version: `v${version}`, channel, builtAt, meta: src.meta || null });
+
           state[pkg] = state[pkg] || {};
-          state[pkg].beta_key = betaKey;
-          state[pkg].last_upstream_beta_tag = betaTag;
+          state[pkg][`${pointer}_key`] = keys[pointer];
           changed = true;
 
           record({
             package: pkg,
             type,
-            upstream: betaTag || "",
+            upstream: version,
             action: "publish",
             status: "OK",
-            details: `@beta v${r.version} files=${r.files.length}`,
+            details: `@${pointer} v${version} files=${files.length}${pointer === "stable" ? " (+stable aliases)" : ""}`,
           });
         }
+
+        return;
       }
 
-      continue;
-    }
+      // -----------------------------
+      // github-release-asset (legacy)
+      // -----------------------------
+      if (src.type === "github-release-asset") {
+        const repo = src.repo;
+        if (!repo) {
+          record({ package: pkg, type, upstream: "", action: "skip", status: "FAIL", details: "Missing src.repo" });
+          hadFailure = true;
+          return;
+        }
 
-    // -----------------------------
-    // github-release-asset (legacy)
-    // -----------------------------
-    if (src.type === "github-release-asset") {
-      const repo = src.repo;
-      if (!repo) {
-        record({ package: pkg, type, upstream: "", action: "skip", status: "FAIL", details: "Missing src.repo" });
-        hadFailure = true;
-        continue;
-      }
+        const provider = createProvider(src, { getJson: httpGetJson });
+        log(`[external:${pkg}] repo=${repo} provider=${provider.kind} host=${provider.host}`);
+        const rel = await provider.getLatestRelease(repo);
+        const tag = rel?.tag_name || rel?.name;
+        if (!tag) {
+          record({
+            package: pkg,
+            type,
+            upstream: "",
+            action: "skip",
+            status: "FAIL",
+            details: "/releases/latest returned no release (or no tag_name/name)",
+          });
+          hadFailure = true;
+          return;
+        }
 
-      console.log(`[external:${pkg}] repo=${repo}`);
-      const rel = httpGetJson(`https://api.github.com/repos/${repo}/releases/latest`, ghAuthHeaders());
-      const tag = rel.tag_name || rel.name;
-      if (!tag) {
-        record({
-          package: pkg,
-          type,
-          upstream: "",
-          action: "skip",
-          status: "FAIL",
-          details: "GitHub /releases/latest returned no tag_name/name",
+        const prev = state[pkg]?.last_upstream_tag;
+        if (!force && prev === tag) {
+          record({ package: pkg, type, upstream: tag, action: "skip", status: "SKIP", details: "No changes (same upstream tag)" });
+          return;
+        }
+
+        if (dryRun) {
+          const version = stripV(tag);
+          const channel = src.channel || detectChannelFromVersion(version);
+          planPublish({ pkg, type, upstream: tag, pointer: "latest", version, channel, prev: prev ? stripV(prev) : null });
+          return;
+        }
+
+        const tmpDir = path.join(ROOT, ".tmp", "external", pkg, tag);
+        let verification = null;
+        const files = await downloadReleaseAssets({
+          provider,
+          repo,
+          release: rel,
+          assetRegex: src.asset_regex,
+          extract: src.extract || [],
+          tmpDir,
+          verify:
+            src.verify?.checksums || src.verify?.signature
+              ? async (downloaded) => {
+                  verification = await verifyReleaseAssets({ verifyCfg: src.verify, provider, release: rel, downloaded, tmpDir, root: ROOT });
+                }
+              : null,
         });
-        hadFailure = true;
-        continue;
-      }
 
-      const prev = state[pkg]?.last_upstream_tag;
-      if (prev === tag) {
-        record({ package: pkg, type, upstream: tag, action: "skip", status: "SKIP", details: "No changes (same upstream tag)" });
-        continue;
-      }
+        if (!files.length) {
+          record({
+            package: pkg,
+            type,
+            upstream: tag,
+            action: "publish",
+            status: "FAIL",
+            details: "No matching assets (assets empty or regex mismatch)",
+          });
+          hadFailure = true;
+          return;
+        }
 
-      const tmpDir = path.join(ROOT, ".tmp", "external", pkg, tag);
-      const files = downloadReleaseAssets({
-        repo,
-        release: rel,
-        assetRegex: src.asset_regex,
-        extract: src.extract || [],
-        tmpDir,
-      });
+        const version = stripV(tag);
+        const channel = src.channel || detectChannelFromVersion(version);
 
-      if (!files.length) {
-        record({
-          package: pkg,
-          type,
-          upstream: tag,
-          action: "publish",
-          status: "FAIL",
-          details: "No matching assets (assets empty or regex mismatch)",
+        publishExternal({
+          publicDir,
+          pkg,
+          version,
+          channel,
+          builtAt,
+          upstream: {
+            type: `${provider.kind}-release`,
+            ...upstreamHost(provider),
+            repo,
+            tag,
+            release_html_url: rel.html_url,
+            ...(verification ? { verification } : {}),
+          },
+          meta: src.meta || null,
+          transform: src.transform || null,
+          files,
+          updatePointer: "latest",
         });
-        hadFailure = true;
-        continue;
+
+        updateIndexes({ publicDir, pkg, version: `v${version}`, channel, builtAt, meta: src.meta || null });
+
+        state[pkg] = { ...(state[pkg] || {}), last_upstream_tag: tag };
+        changed = true;
+
+        record({ package: pkg, type, upstream: tag, action: "publish", status: "OK", details: `@latest v${version} files=${files.length}` });
+        return;
       }
 
-      const version = stripV(tag);
-      const channel = src.channel || detectChannelFromVersion(version);
-
-      publishExternal({
-        publicDir,
-        pkg,
-        version,
-        channel,
-        builtAt,
-        upstream: { type: "github-release", repo, tag, release_html_url: rel.html_url },
-        meta: src.meta || null,
-        files,
-        updatePointer: "latest",
-      });
+      // -----------------------------
+      // github-raw-file
+      // -----------------------------
+      if (src.type === "github-raw-file") {
+        const repo = src.repo;
+        if (!repo) {
+          record({ package: pkg, type, upstream: "", action: "skip", status: "FAIL", details: "Missing src.repo" });
+          hadFailure = true;
+          return;
+        }
+
+        const provider = createProvider(src, { getJson: httpGetJson });
+        const ref = src.ref || (await provider.getDefaultBranch(repo));
+        log(`[external:${pkg}] repo=${repo} ref=${ref} provider=${provider.kind} host=${provider.host}`);
+
+        const sha = await provider.getCommitSha(repo, ref);
+        if (!sha) {
+          record({
+            package: pkg,
+            type,
+            upstream: `${ref}@?`,
+            action: "skip",
+            status: "FAIL",
+            details: "Could not resolve commit SHA for ref",
+          });
+          hadFailure = true;
+          return;
+        }
 
-      updateIndexes({ publicDir, pkg, version: `v${version}`, channel, builtAt, meta: src.meta || null });
+        const upstreamStr = `${ref}@${sha12(sha)}`;
 
-      state[pkg] = { ...(state[pkg] || {}), last_upstream_tag: tag };
-      changed = true;
+        const prev = state[pkg]?.last_commit;
+        if (!force && prev === sha) {
+          record({ package: pkg, type, upstream: upstreamStr, action: "skip", status: "SKIP", details: "No changes (same commit SHA)" });
+          return;
+        }
 
-      record({ package: pkg, type, upstream: tag, action: "publish", status: "OK", details: `@latest v${version} files=${files.length}` });
-      continue;
-    }
+        // Accept:
+        // - src.path: "dist/file.js"
+        // - src.paths: ["dist/a.js", "dist/b.js"]
+        // - src.files: [{ path: "dist/a.js", out_name: "a.js" }, ...]
+        let toFetch = [];
+
+        if (Array.isArray(src.files) && src.files.length) {
+          toFetch = src.files
+            .filter((x) => x && typeof x.path === "string" && x.path.length)
+            .map((x) => ({ path: x.path, outName: x.out_name || null }));
+        } else if (Array.isArray(src.paths) && src.paths.length) {
+          toFetch = src.paths.filter((p) => typeof p === "string" && p.length).map((p) => ({ path: p, outName: null }));
+        } else if (typeof src.path === "string" && src.path.length) {
+          toFetch = [{ path: src.path, outName: null }];
+        }
 
-    // -----------------------------
-    // github-raw-file
-    // -----------------------------
-    if (src.type === "github-raw-file") {
-      const repo = src.repo;
-      if (!repo) {
-        record({ package: pkg, type, upstream: "", action: "skip", status: "FAIL", details: "Missing src.repo" });
-        hadFailure = true;
-        continue;
-      }
+        if (!toFetch.length) {
+          record({ package: pkg, type, upstream: upstreamStr, action: "skip", status: "FAIL", details: "No files configured (use path/paths/files[])" });
+          hadFailure = true;
+          return;
+        }
 
-      const ref = src.ref || getDefaultBranch(repo);
-      console.log(`[external:${pkg}] repo=${repo} ref=${ref}`);
-
-      const refInfo = httpGetJson(
-        `https://api.github.com/repos/${repo}/commits/${encodeURIComponent(ref)}`,
-        ghAuthHeaders()
-      );
-      const sha = refInfo.sha;
-      if (!sha) {
-        record({
-          package: pkg,
-          type,
-          upstream: `${ref}@?`,
-          action: "skip",
-          status: "FAIL",
-          details: "Could not resolve commit SHA for ref",
-        });
-        hadFailure = true;
-        continue;
-      }
+        if (dryRun) {
+          planPublish({ pkg, type, upstream: upstreamStr, pointer: "latest", version: sha12(sha), channel: null, prev: prev ? sha12(prev) : null });
+          return;
+        }
 
-      const upstreamStr = `${ref}@${sha12(sha)}`;
+        const tmpDir = path.join(ROOT, ".tmp", "external", pkg, sha12(sha));
+        rmrf(tmpDir);
+        mkdirp(tmpDir);
 
-      const prev = state[pkg]?.last_commit;
-      if (prev === sha) {
-        record({ package: pkg, type, upstream: upstreamStr, action: "skip", status: "SKIP", details: "No changes (same commit SHA)" });
-        continue;
-      }
+        const downloaded = [];
+        for (const f of toFetch) {
+          const rawUrl = provider.rawFileUrl(repo, sha, f.path);
+          const outName = f.outName || path.basename(f.path);
+          const outPath = path.join(tmpDir, outName);
 
-      // Accept:
-      // - src.path: "dist/file.js"
-      // - src.paths: ["dist/a.js", "dist/b.js"]
-      // - src.files: [{ path: "dist/a.js", out_name: "a.js" }, ...]
-      let toFetch = [];
-
-      if (Array.isArray(src.files) && src.files.length) {
-        toFetch = src.files
-          .filter((x) => x && typeof x.path === "string" && x.path.length)
-          .map((x) => ({ path: x.path, outName: x.out_name || null }));
-      } else if (Array.isArray(src.paths) && src.paths.length) {
-        toFetch = src.paths.filter((p) => typeof p === "string" && p.length).map((p) => ({ path: p, outName: null }));
-      } else if (typeof src.path === "string" && src.path.length) {
-        toFetch = [{ path: src.path, outName: null }];
-      }
+          log(`[external:${pkg}] download ${f.path} -> ${outName}`);
+          await httpDownload(rawUrl, outPath, provider.headersFor(rawUrl));
+          downloaded.push({ localPath: outPath, outName });
+        }
 
-      if (!toFetch.length) {
-        record({ package: pkg, type, upstream: upstreamStr, action: "skip", status: "FAIL", details: "No files configured (use path/paths/files[])" });
-        hadFailure = true;
-        continue;
-      }
+        // For raw sources:
+        // - version = sha12 (immutable)
+        // - channel = null
+        // - pointer: @latest only
+        const version = sha12(sha);
+        const channel = null;
 
-      const tmpDir = path.join(ROOT, ".tmp", "external", pkg, sha12(sha));
-      rmrf(tmpDir);
-      mkdirp(tmpDir);
+        publishExternal({
+          publicDir,
+          pkg,
+          version,
+          channel,
+          builtAt,
+          upstream: {
+            type: `${provider.kind}-raw`,
+            ...upstreamHost(provider),
+            repo,
+            ref,
+            commit: sha,
+            paths: toFetch.map((x) => x.path),
+          },
+          meta: src.meta || null,
+          transform: src.transform || null,
+          files: downloaded,
+          updatePointer: "latest",
+        });
 
-      const downloaded = [];
-      for (const f of toFetch) {
-        const rawUrl = `https://raw.githubusercontent.com/${repo}/${sha}/${f.path}`;
-        const outName = f.outName || path.basename(f.path);
-        const outPath = path.join(tmpDir, outName);
+        updateIndexes({ publicDir, pkg, version: `v${version}`, channel, builtAt, meta: src.meta || null });
 
-        console.log(`[external:${pkg}] download ${f.path} -> ${outName}`);
-        httpDownload(rawUrl, outPath, ghAuthHeaders());
-        downloaded.push({ localPath: outPath, outName });
+        state[pkg] = { ...(state[pkg] || {}), last_commit: sha, last_upstream_ref: ref };
+        changed = true;
+
+        record({ package: pkg, type, upstream: upstreamStr, action: "publish", status: "OK", details: `@latest v${version} files=${downloaded.length}` });
+        return;
       }
 
-      // For raw sources:
-      // - version = sha12 (immutable)
-      // - channel = null
-      // - pointer: @latest only
-      const version = sha12(sha);
-      const channel = null;
-
-      publishExternal({
-        publicDir,
-        pkg,
-        version,
-        channel,
-        builtAt,
-        upstream: { type: "github-raw", repo, ref, commit: sha, paths: toFetch.map((x) => x.path) },
-        meta: src.meta || null,
-        files: downloaded,
-        updatePointer: "latest",
-      });
+      // Unknown type
+      record({ package: pkg, type, upstream: "", action: "skip", status: "FAIL", details: `Unknown source type: ${type}` });
+      hadFailure = true;
+    } catch (e) {
+      hadFailure = true;
+      const msg = e?.stack || String(e);
 
-      updateIndexes({ publicDir, pkg, version: `v${version}`, channel, builtAt, meta: src.meta || null });
+      log(`[external:${pkg}] ERROR: ${safeOneLine(msg, 500)}`);
+      record({ package: pkg, type, upstream: "", action: "publish", status: "FAIL", details: safeOneLine(msg, 240) });
+    }
+  }
 
-      state[pkg] = { ...(state[pkg] || {}), last_commit: sha, last_upstream_ref: ref };
-      changed = true;
+  const { selected: sources, unmatched } = selectSources(cfg.sources || [], { only, types, exclude });
+  for (const g of unmatched) console.log(`[external] WARN: --only ${g} matches no package in external-sources.json`);
+
+  const concurrency = positiveInt(process.env.SYNC_CONCURRENCY, 4);
+  const limit = createLimiter(concurrency);
+  const outputs = new Array(sources.length);
+  let flushed = 0;
+
+  // Print finished log groups and collect their rows strictly in config order
+  function flush() {
+    while (flushed < sources.length && outputs[flushed]) {
+      const out = outputs[flushed++];
+      for (const line of out.lines) console.log(line);
+      results.push(...out.rows);
+      planned.push(...out.plan);
+    }
+  }
 
-      record({ package: pkg, type, upstream: upstreamStr, action: "publish", status: "OK", details: `@latest v${version} files=${downloaded.length}` });
-      continue;
+  const total = (cfg.sources || []).length;
+  const flags = [dryRun && "dry-run", force && "force", verifyReproducible && "verify-reproducible"].filter(Boolean).join(" ");
+  console.log(
+    `[external] sources=${sources.length}${sources.length !== total ? ` of ${total}` : ""} concurrency=${concurrency}${flags ? ` ${flags}` : ""}`
+  );
+
+  await Promise.all(
+    sources.map((src, i) =>
+      limit(async () => {
+        const out = { lines: [], rows: [], plan: [] };
+        await logStore.run(out, () => syncSource(src));
+        outputs[i] = out;
+        flush();
+      })
+    )
+  );
+
+  // Dry run: nothing was published; write the plan instead of touching the gh-pages tree
+  if (dryRun) {
+    const planFp = path.resolve(ROOT, planOut || path.join(".tmp", "external-plan.json"));
+    writeJson(planFp, {
+      generated_at: builtAt,
+      dry_run: true,
+      actions: planned,
+      failures: results.filter((r) => r.status === "FAIL").length,
+      results,
+    });
+    const shown = path.relative(ROOT, planFp).startsWith("..") ? planFp : path.relative(ROOT, planFp);
+    console.log(`\n[external] dry run: ${planned.length} planned action(s) written to ${shown}`);
+  } else if (changed) {
+    // If any changes were applied, keep UI files updated and rebuild bundle manifest.
+    console.log("\n[external] changes detected: updating UI + state + bundle-manifest...");
+
+    for (const f of ["index.html", "app.js", "styles.css"]) {
+      const srcFp = path.join(ROOT, "pages", f);
+      const dstFp = path.join(publicDir, f);
+      if (fs.existsSync(srcFp)) fs.copyFileSync(srcFp, dstFp);
     }
 
-    // Unknown type
-    record({ package: pkg, type, upstream: "", action: "skip", status: "FAIL", details: `Unknown source type: ${type}` });
-    hadFailure = true;
-  } catch (e) {
-    hadFailure = true;
-    const msg = e?.stack || String(e);
+    writeJson(stateFp, state);
 
-    console.log(`[external:${pkg}] ERROR: ${safeOneLine(msg, 500)}`);
-    record({ package: pkg, type, upstream: "", action: "publish", status: "FAIL", details: safeOneLine(msg, 240) });
+    buildBundleManifest({
+      publicDir,
+      baseUrl: process.env.CDN_BASE_URL || "",
+      builtAt,
+    });
+  } else {
+    console.log("\n[external] no changes detected: bundle-manifest not rebuilt.");
   }
-}
 
-// If any changes were applied, keep UI files updated and rebuild bundle manifest.
-if (changed) {
-  console.log("\n[external] changes detected: updating UI + state + bundle-manifest...");
-
-  for (const f of ["index.html", "app.js", "styles.css"]) {
-    const srcFp = path.join(ROOT, "pages", f);
-    const dstFp = path.join(publicDir, f);
-    if (fs.existsSync(srcFp)) fs.copyFileSync(srcFp, dstFp);
+  // Always write a run report (useful for debugging); dry runs leave public/ untouched
+  if (!dryRun) {
+    try {
+      writeJson(reportFp, {
+        generated_at: builtAt,
+        changed,
+        failures: results.filter((r) => r.status === "FAIL").length,
+        results,
+      });
+    } catch (e) {
+      console.log(`[external] WARN: failed to write sync report: ${safeOneLine(e?.stack || String(e))}`);
+    }
   }
 
-  writeJson(stateFp, state);
+  // Print a summary table
+  console.log("\n=== External sync summary (markdown) ===");
+  console.log(toMarkdownTable(results));
 
-  buildBundleManifest({
-    publicDir,
-    baseUrl: process.env.CDN_BASE_URL || "",
-    builtAt,
-  });
-} else {
-  console.log("\n[external] no changes detected: bundle-manifest not rebuilt.");
+  console.log("\n=== External sync summary (ascii) ===");
+  console.log(toAsciiTable(results));
+
+  return { changed, hadFailure, results, planned };
 }
 
-// Always write a run report (useful for debugging)
-try {
-  writeJson(reportFp, {
-    generated_at: builtAt,
-    changed,
-    failures: results.filter((r) => r.status === "FAIL").length,
-    results,
+// CLI: node tools/sync-external.mjs [--only a,b] [--type t] [--exclude c] [--force] [--dry-run|--plan] [--plan-out <file>]
+//      [--verify-reproducible]
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const { values: args } = util.parseArgs({
+    options: {
+      only: { type: "string", multiple: true, default: [] },
+      type: { type: "string", multiple: true, default: [] },
+      exclude: { type: "string", multiple: true, default: [] },
+      force: { type: "boolean", default: false },
+      "dry-run": { type: "boolean", default: false },
+      plan: { type: "boolean", default: false },
+      "plan-out": { type: "string", default: "" },
+      "verify-reproducible": { type: "boolean", default: false },
+    },
   });
-} catch (e) {
-  console.log(`[external] WARN: failed to write sync report: ${safeOneLine(e?.stack || String(e))}`);
-}
 
-// Print a summary table
-console.log("\n=== External sync summary (markdown) ===");
-console.log(toMarkdownTable(results));
+  // Command line wins over the environment
+  const list = (arg, envName) => splitList(arg.length ? arg : process.env[envName]);
+
+  const { hadFailure } = await syncExternal({
+    only: list(args.only, "SYNC_ONLY"),
+    types: list(args.type, "SYNC_TYPE"),
+    exclude: list(args.exclude, "SYNC_EXCLUDE"),
+    force: args.force || process.env.SYNC_FORCE === "1",
+    dryRun: args["dry-run"] || args.plan || process.env.SYNC_DRY_RUN === "1",
+    planOut: args["plan-out"],
+    verifyReproducible: args["verify-reproducible"] || process.env.SYNC_VERIFY_REPRODUCIBLE === "1",
+  });
 
-console.log("\n=== External sync summary (ascii) ===");
-console.log(toAsciiTable(results));
+  // Exit strategy
+  if (hadFailure && process.env.FAIL_ON_EXTERNAL_ERROR === "1") {
+    console.error("\n[external] FAIL_ON_EXTERNAL_ERROR=1 and at least one source failed -> exit 1");
+    process.exit(1);
+  }
 
-// Exit strategy
-if (hadFailure && process.env.FAIL_ON_EXTERNAL_ERROR === "1") {
-  console.error("\n[external] FAIL_ON_EXTERNAL_ERROR=1 and at least one source failed -> exit 1");
-  process.exit(1);
+  console.log("\n[external] done.");
 }
-
-console.log("\n[external] done.");
\ No newline at end of file
@@ -0,0 +1,178 @@
+// transform.mjs
+// Post-processing of published external files (src.transform in external-sources.json, see sync-external.mjs)
+//
+//  - minify: <name>.js/.mjs/.css -> <name>.min.js/.min.mjs/.min.css with esbuild
+//    (files that already are .min, and minified names the upstream ships itself, are left alone)
+//  - sourcemap: <name>.min.js.map next to each minified file, with "sources" pointing at the unminified file
+//  - banner: comment prepended to the minified output (a string with optional {version}, or true for one built
+//    from meta: "/*! <name> v<version> | <license> | <homepage> */"). Only files this pipeline minifies get it:
+//    originals, upstream .min files and non-JS/CSS files are published without one, and it does nothing without minify
+//  - compress: ["br", "gz"] precompressed siblings of the selected files and their minified copies
+//  - sprite: { dir, out } one SVG sprite sheet from every <dir>/<name>.svg, as <symbol id="<name>"> elements
+//    (e.g. Twemoji's assets/svg/1f600.svg -> <symbol id="1f600" viewBox="0 0 36 36">)
+//
+// Originals are never modified. Derived files are written next to them and returned with the name they were
+// derived from, so the caller gives each one its own SRI entry in manifest.json.
+
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import { transformSync } from "esbuild";
+
+// Files the pipeline applies to when src.transform.files is not set
+const DEFAULT_FILES = "\\.(m?js|css)$";
+
+const LOADERS = { ".js": "js", ".mjs": "js", ".css": "css" };
+
+const COMPRESSORS = {
+  br: (buf) =>
+    zlib.brotliCompressSync(buf, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buf.length,
+      },
+    }),
+  gz: (buf) => zlib.gzipSync(buf, { level: zlib.constants.Z_BEST_COMPRESSION }),
+};
+
+/**
+ * Banner comment for minified output, or "" when none is configured.
+ *
+ * @param {string|boolean|undefined} banner src.transform.banner
+ * @param {{pkg:string, version:string, meta:object|null}} info
+ * @returns {string}
+ */
+function bannerText(banner, { pkg, version, meta }) {
+  if (banner === true) {
+    const parts = [`${meta?.name || pkg} v${version}`, meta?.license, meta?.homepage].filter(Boolean);
+    return `/*! ${parts.join(" | ")} */`;
+  }
+  if (typeof banner !== "string" || !banner.trim()) return "";
+
+  const text = banner.trim().replace(/\{version\}/g, version);
+  return text.startsWith("/*") ? text : `/*! ${text} */`;
+}
+
+/**
+ * <name>.min<ext> for a .js/.mjs/.css name (null for other files and names that already are .min).
+ *
+ * @param {string} name
+ * @returns {string|null}
+ */
+function minifiedName(name) {
+  const ext = path.posix.extname(name).toLowerCase();
+  if (!LOADERS[ext] || /\.min$/i.test(name.slice(0, -ext.length))) return null;
+  return `${name.slice(0, -ext.length)}.min${name.slice(-ext.length)}`;
+}
+
+/**
+ * <symbol> for one SVG file: its viewBox and children, without the XML prolog and comments.
+ *
+ * @param {string} id
+ * @param {string} text SVG markup
+ * @param {string} name file name, for errors
+ * @returns {string}
+ */
+function svgSymbol(id, text, name) {
+  const body = text.replace(/<\?xml[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!--[\s\S]*?-->/gi, "").trim();
+  const m = /^<svg\b([^>]*?)(?:\/>|>([\s\S]*)<\/svg>)$/i.exec(body);
+  if (!m) throw new Error(`${name} is not an SVG document`);
+
+  const viewBox = /\sviewBox\s*=\s*(["'])(.*?)\1/.exec(m[1])?.[2];
+  return `<symbol id="${id}"${viewBox ? ` viewBox="${viewBox}"` : ""}>${(m[2] || "").trim()}</symbol>`;
+}
+
+/**
+ * Sprite sheet markup for the .svg files directly in `dir` (POSIX, relative to the version dir).
+ *
+ * @param {string} versionDir
+ * @param {string[]} names published output names
+ * @param {string} dir
+ * @returns {string|null} null when there is no SVG in dir
+ */
+function spriteSheet(versionDir, names, dir) {
+  const prefix = `${dir.replace(/\/+$/, "")}/`;
+  const svgs = names.filter((n) => n.startsWith(prefix) && /^[^/]+\.svg$/i.test(n.slice(prefix.length))).sort();
+  if (!svgs.length) return null;
+
+  const symbols = svgs.map((n) =>
+    svgSymbol(path.posix.basename(n).replace(/\.svg$/i, ""), fs.readFileSync(path.join(versionDir, ...n.split("/")), "utf8"), n)
+  );
+  return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">\n${symbols.join("\n")}\n</svg>\n`;
+}
+
+/**
+ * Run the transform pipeline over files already written to a version dir.
+ *
+ * @param {object} opts
+ * @param {string} opts.dir version dir (public/<pkg>/v<version>)
+ * @param {string[]} opts.names published output names (POSIX paths relative to dir)
+ * @param {{files?:string, minify?:boolean, sourcemap?:boolean, banner?:(string|boolean), compress?:string[], sprite?:{dir:string, out:string}}} opts.transform
+ * @param {{pkg:string, version:string, meta:object|null}} opts.info
+ * @returns {Array<{name:string, derived_from:string, transform:string}>} derived files (already written), in write order
+ * @throws when esbuild cannot parse a selected file, or a sprite source is not an SVG
+ */
+export function applyTransforms({ dir, names, transform, info }) {
+  const re = new RegExp(transform.files || DEFAULT_FILES);
+  const taken = new Set(names);
+  const derived = [];
+
+  function write(name, data, from, kind) {
+    const fp = path.join(dir, ...name.split("/"));
+    fs.mkdirSync(path.dirname(fp), { recursive: true });
+    fs.writeFileSync(fp, data);
+    taken.add(name);
+    derived.push({ name, derived_from: from, transform: kind });
+  }
+
+  const banner = bannerText(transform.banner, info);
+
+  for (const name of [...names].sort()) {
+    if (!re.test(name)) continue;
+
+    const compressTargets = [name];
+    const minName = transform.minify ? minifiedName(name) : null;
+
+    if (minName && !taken.has(minName)) {
+      const loader = LOADERS[path.posix.extname(name).toLowerCase()];
+      const source = fs.readFileSync(path.join(dir, ...name.split("/")), "utf8");
+      const mapName = `${minName}.map`;
+
+      const result = transformSync(source, {
+        loader,
+        minify: true,
+        sourcemap: transform.sourcemap ? "external" : false,
+        sourcefile: path.posix.basename(name),
+        ...(banner ? { banner } : {}),
+      });
+
+      let code = result.code;
+      if (transform.sourcemap) {
+        const ref = path.posix.basename(mapName);
+        code += loader === "css" ? `/*# sourceMappingURL=${ref} */\n` : `//# sourceMappingURL=${ref}\n`;
+      }
+
+      write(minName, code, name, "minify");
+      if (transform.sourcemap) write(mapName, result.map, minName, "sourcemap");
+      compressTargets.push(minName);
+    }
+
+    for (const target of compressTargets) {
+      const buf = fs.readFileSync(path.join(dir, ...target.split("/")));
+      for (const kind of transform.compress || []) {
+        const out = `${target}.${kind}`;
+        if (taken.has(out) || !COMPRESSORS[kind]) continue;
+        write(out, COMPRESSORS[kind](buf), target, kind);
+      }
+    }
+  }
+
+  // The sheet is derived from the whole directory, which is what derived_from names
+  const sprite = transform.sprite;
+  if (sprite && !taken.has(sprite.out)) {
+    const sheet = spriteSheet(dir, names, sprite.dir);
+    if (sheet) write(sprite.out, sheet, `${sprite.dir.replace(/\/+$/, "")}/`, "sprite");
+  }
+
+  return derived;
+}
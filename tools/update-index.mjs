@@ -1,5 +1,6 @@
 import fs from "node:fs";
 import path from "node:path";
+import semver from "semver";
 
 /**
  * Read JSON file or return default.
@@ -36,21 +37,34 @@ function writeJson(fp, data) {
  * @param {"stable"|"beta"|null} opts.channel channel for this release (null for raw sources)
  * @param {string} opts.builtAt ISO
  * @param {object|null} [opts.meta] optional package metadata
+ * @param {boolean} [opts.backfill] older version published after the fact: listed after the regular
+ *   entries and never reported as last_stable/last_beta/last_latest
  */
-export function updateIndexes({ publicDir, pkg, version, channel, builtAt, meta = null }) {
+export function updateIndexes({ publicDir, pkg, version, channel, builtAt, meta = null, backfill = false }) {
   const pkgDir = path.join(publicDir, pkg);
   const versionsFp = path.join(pkgDir, "versions.json");
   const globalFp = path.join(publicDir, "_index", "index.json");
 
   const versions = readJson(versionsFp, { package: pkg, versions: [] });
   const entry = { version, channel: channel ?? null, built_at: builtAt };
+  if (backfill) entry.backfill = true;
 
   // Upsert version entry
   versions.versions = versions.versions.filter((v) => v.version !== version);
   versions.versions.push(entry);
 
-  // Sort newest first by built_at
-  versions.versions.sort((a, b) => (b.built_at || "").localeCompare(a.built_at || ""));
+  // Sort newest first by built_at; backfilled versions go last, highest version first
+  versions.versions.sort((a, b) => {
+    if (!!a.backfill !== !!b.backfill) return a.backfill ? 1 : -1;
+    if (a.backfill) {
+      const va = semver.valid(a.version.replace(/^v/, ""));
+      const vb = semver.valid(b.version.replace(/^v/, ""));
+      if (va && vb) return semver.rcompare(va, vb);
+      if (!va !== !vb) return va ? -1 : 1; // non-semver tags after semver ones
+      return b.version.localeCompare(a.version, "en", { numeric: true });
+    }
+    return (b.built_at || "").localeCompare(a.built_at || "");
+  });
 
   writeJson(versionsFp, versions);
 
@@ -59,9 +73,10 @@ export function updateIndexes({ publicDir, pkg, version, channel, builtAt, meta
   global.generated_at = builtAt;
   global.packages[pkg] = global.packages[pkg] || {};
 
-  const lastStable = versions.versions.find((v) => v.channel === "stable") || null;
-  const lastBeta = versions.versions.find((v) => v.channel === "beta") || null;
-  const lastLatest = versions.versions[0] || null;
+  const current = versions.versions.filter((v) => !v.backfill);
+  const lastStable = current.find((v) => v.channel === "stable") || null;
+  const lastBeta = current.find((v) => v.channel === "beta") || null;
+  const lastLatest = current[0] || null;
 
   global.packages[pkg] = {
     last_stable: lastStable,
@@ -0,0 +1,316 @@
+// verify.mjs
+// Authenticity checks for upstream artifacts used by sync-external.mjs
+//
+//  - checksum files published next to release assets (SHA256SUMS, *.sha512, BSD "SHA256 (name) = ..." lines)
+//  - detached signatures against pinned public keys:
+//      * minisign (Ed25519, legacy and prehashed): verified in-process
+//      * OpenPGP (.asc/.sig): gpg with a throwaway keyring holding only the pinned key
+//  - npm registry signatures (ECDSA over "<name>@<version>:<integrity>", keys from /-/npm/v1/keys; keys that had
+//    expired when the version was published are rejected)
+//  - npm provenance: the SLSA attestation subject must match the tarball digest (and optionally the source repository).
+//    The Sigstore signature around the statement is NOT checked, and the statement comes from the same registry as
+//    the tarball, so the record says verified: false: it catches inconsistent metadata, it does not prove origin.
+//
+// Every check throws on failure ("Verification failed: ...") and returns a plain record for manifest.json.
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import crypto from "node:crypto";
+import { execFile } from "node:child_process";
+
+const HEX_ALGOS = { 64: "sha256", 96: "sha384", 128: "sha512" };
+
+function fail(msg) {
+  return new Error(`Verification failed: ${msg}`);
+}
+
+// ------------------------------------------------------------
+// Checksum files
+// ------------------------------------------------------------
+
+/**
+ * Parse a checksum file into normalized POSIX path -> { algorithm, hex } ("./dist\\a.js" -> "dist/a.js").
+ * Accepts GNU coreutils ("<hex>  name", "<hex> *name") and BSD ("SHA256 (name) = <hex>") lines;
+ * md5/sha1 lines are ignored.
+ *
+ * @param {string} text
+ * @returns {Map<string, {algorithm:string, hex:string}>}
+ */
+export function parseChecksumFile(text) {
+  const out = new Map();
+
+  for (const raw of String(text).split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) continue;
+
+    let hex = null;
+    let name = null;
+
+    const bsd = /^(SHA256|SHA384|SHA512) \((.+)\) = ([0-9a-fA-F]+)$/.exec(line);
+    const gnu = /^([0-9a-fA-F]+)\s+\*?(.+)$/.exec(line);
+    if (bsd) [, , name, hex] = bsd;
+    else if (gnu) [, hex, name] = gnu;
+
+    const algorithm = hex && HEX_ALGOS[hex.length];
+    if (!algorithm) continue;
+
+    out.set(path.posix.normalize(name.replace(/\\/g, "/")), { algorithm, hex: hex.toLowerCase() });
+  }
+
+  return out;
+}
+
+// Entry for a release asset: its exact path, else the one line with that basename
+// ("dist/a.js" and "lib/a.js" both listed for asset a.js is ambiguous and fails)
+function checksumFor(sums, name, sumsName) {
+  if (sums.has(name)) return sums.get(name);
+  const hits = [...sums.keys()].filter((k) => path.posix.basename(k) === name);
+  if (hits.length > 1) throw fail(`${name} is listed more than once in ${sumsName} (${hits.join(", ")})`);
+  return hits.length ? sums.get(hits[0]) : null;
+}
+
+/**
+ * Check every downloaded file against a checksum file. Files missing from the list fail too.
+ *
+ * @param {Array<{name:string, localPath:string}>} files
+ * @param {string} sumsPath
+ * @returns {{type:"checksums", file:string, algorithm:string, files:string[]}}
+ */
+export function verifyChecksumFile(files, sumsPath) {
+  const sums = parseChecksumFile(fs.readFileSync(sumsPath, "utf8"));
+  const sumsName = path.basename(sumsPath);
+  const algorithms = new Set();
+
+  for (const f of files) {
+    const want = checksumFor(sums, f.name, sumsName);
+    if (!want) throw fail(`${f.name} is not listed in ${sumsName}`);
+
+    const got = crypto.createHash(want.algorithm).update(fs.readFileSync(f.localPath)).digest("hex");
+    if (got !== want.hex) throw fail(`${f.name} ${want.algorithm} mismatch (expected ${want.hex}, got ${got})`);
+    algorithms.add(want.algorithm);
+  }
+
+  return { type: "checksums", file: sumsName, algorithm: [...algorithms].join(",") || null, files: files.map((f) => f.name) };
+}
+
+// ------------------------------------------------------------
+// minisign
+// ------------------------------------------------------------
+
+// Non-empty, trimmed lines of a minisign key or signature file
+function minisignLines(text) {
+  return String(text)
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+}
+
+function ed25519Key(raw) {
+  return crypto.createPublicKey({ key: { kty: "OKP", crv: "Ed25519", x: raw.toString("base64url") }, format: "jwk" });
+}
+
+/**
+ * Verify a minisign signature (both the file signature and the trusted comment signature).
+ *
+ * @param {Buffer} data signed file contents
+ * @param {string} sigText contents of the .minisig file
+ * @param {string} publicKey minisign public key (base64 line, or the whole .pub file)
+ * @returns {{type:"minisign", key_id:string, trusted_comment:string}}
+ */
+export function verifyMinisign(data, sigText, publicKey) {
+  const pkLine = minisignLines(publicKey).filter((l) => !l.startsWith("untrusted comment:")).pop() || "";
+  const pk = Buffer.from(pkLine, "base64");
+  if (pk.length !== 42 || pk.toString("latin1", 0, 2) !== "Ed") throw fail("invalid minisign public key");
+
+  const lines = minisignLines(sigText);
+  const sigIdx = lines.findIndex((l) => !l.startsWith("untrusted comment:"));
+  const sig = Buffer.from(lines[sigIdx] || "", "base64");
+  const trustedLine = lines[sigIdx + 1] || "";
+  const globalSig = Buffer.from(lines[sigIdx + 2] || "", "base64");
+
+  if (sig.length !== 74 || !trustedLine.startsWith("trusted comment: ") || globalSig.length !== 64) {
+    throw fail("malformed minisign signature");
+  }
+
+  const alg = sig.toString("latin1", 0, 2);
+  const keyId = sig.subarray(2, 10);
+  if (!keyId.equals(pk.subarray(2, 10))) {
+    throw fail(`minisign signature key id ${keyIdHex(keyId)} does not match the pinned key ${keyIdHex(pk.subarray(2, 10))}`);
+  }
+
+  // "ED" signs the BLAKE2b-512 of the file, legacy "Ed" the file itself
+  let message;
+  if (alg === "ED") message = crypto.createHash("blake2b512").update(data).digest();
+  else if (alg === "Ed") message = data;
+  else throw fail(`unsupported minisign algorithm ${alg}`);
+
+  const key = ed25519Key(pk.subarray(10));
+  const signature = sig.subarray(10);
+  if (!crypto.verify(null, message, key, signature)) throw fail("bad minisign signature");
+
+  const trustedComment = trustedLine.slice("trusted comment: ".length);
+  if (!crypto.verify(null, Buffer.concat([signature, Buffer.from(trustedComment, "utf8")]), key, globalSig)) {
+    throw fail("bad minisign trusted comment signature");
+  }
+
+  return { type: "minisign", key_id: keyIdHex(keyId), trusted_comment: trustedComment };
+}
+
+// minisign prints key ids as little-endian hex
+function keyIdHex(buf) {
+  return Buffer.from(buf).reverse().toString("hex").toUpperCase();
+}
+
+// ------------------------------------------------------------
+// OpenPGP (gpg)
+// ------------------------------------------------------------
+
+function gpg(args, timeoutMs) {
+  return new Promise((resolve) => {
+    execFile("gpg", args, { timeout: timeoutMs, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+      resolve({ code: error ? (typeof error.code === "number" ? error.code : -1) : 0, error, stdout, stderr });
+    });
+  });
+}
+
+/**
+ * Verify a detached OpenPGP signature with gpg, trusting only the pinned key(s).
+ *
+ * @param {string} dataPath
+ * @param {string} sigPath
+ * @param {string} publicKey armored public key block(s)
+ * @param {object} [opts]
+ * @param {string} [opts.fingerprint] require this (primary or signing subkey) fingerprint
+ * @param {number} [opts.timeoutMs]
+ * @returns {Promise<{type:"gpg", fingerprint:string, primary_fingerprint:string}>}
+ */
+export async function verifyGpg(dataPath, sigPath, publicKey, { fingerprint = "", timeoutMs = 60_000 } = {}) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), "sync-gpg-"));
+  const base = ["--homedir", home, "--batch", "--no-tty", "--no-autostart", "--no-default-keyring", "--keyring", path.join(home, "pinned.kbx")];
+
+  try {
+    const keyPath = path.join(home, "pinned.asc");
+    fs.writeFileSync(keyPath, publicKey);
+
+    const imp = await gpg([...base, "--import", keyPath], timeoutMs);
+    if (imp.code !== 0) throw fail(`could not import the pinned public key: ${String(imp.stderr || imp.error?.message).trim()}`);
+
+    const res = await gpg([...base, "--status-fd", "1", "--verify", sigPath, dataPath], timeoutMs);
+    if (res.error && typeof res.error.code !== "number") throw fail(`gpg: ${res.error.message}`);
+
+    // [GNUPG:] VALIDSIG <fpr> <date> <ts> <expire> <ver> <res> <pk algo> <hash algo> <class> <primary fpr>
+    const valid = /^\[GNUPG:\] VALIDSIG (\S+)(?: \S+){8} (\S+)/m.exec(res.stdout);
+    if (res.code !== 0 || !valid) {
+      const why = /^\[GNUPG:\] (BADSIG|ERRSIG|EXPKEYSIG|REVKEYSIG|NO_PUBKEY)\b.*$/m.exec(res.stdout)?.[0] || String(res.stderr).trim();
+      throw fail(`bad OpenPGP signature ${path.basename(sigPath)}: ${why}`);
+    }
+
+    const [, signer, primary] = valid;
+    const want = String(fingerprint).replace(/\s+/g, "").toUpperCase();
+    if (want && want !== signer && want !== primary) {
+      throw fail(`signed by ${primary}, expected ${want}`);
+    }
+
+    return { type: "gpg", fingerprint: signer, primary_fingerprint: primary };
+  } finally {
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+// ------------------------------------------------------------
+// npm registry signatures and provenance
+// ------------------------------------------------------------
+
+/**
+ * Verify dist.signatures of a registry version against the registry's published keys.
+ *
+ * @param {object} opts
+ * @param {string} opts.name
+ * @param {string} opts.version
+ * @param {{integrity?:string, signatures?:Array<{keyid:string, sig:string}>}} opts.dist
+ * @param {{keys?:Array<{keyid:string, key:string, expires?:string|null}>}} opts.keys response of /-/npm/v1/keys
+ * @param {string|null} [opts.publishedAt] packument time[version]; a key must not have expired by then (default: now)
+ * @returns {{type:"npm-signature", keyid:string, verified:true}}
+ */
+export function verifyNpmSignature({ name, version, dist, keys, publishedAt = null }) {
+  const sigs = Array.isArray(dist?.signatures) ? dist.signatures : [];
+  if (!dist?.integrity) throw fail(`${name}@${version} has no dist.integrity to check signatures against`);
+  if (!sigs.length) throw fail(`${name}@${version} has no registry signatures`);
+
+  const message = `${name}@${version}:${dist.integrity}`;
+  const known = new Map((keys?.keys || []).map((k) => [k.keyid, k]));
+
+  for (const s of sigs) {
+    const k = known.get(s.keyid);
+    if (!k) continue;
+
+    const signedAt = publishedAt ? Date.parse(publishedAt) : Date.now();
+    if (k.expires && !(Date.parse(k.expires) > signedAt)) {
+      throw fail(`${name}@${version} is signed with registry key ${s.keyid}, which expired ${k.expires}`);
+    }
+
+    const key = crypto.createPublicKey({ key: Buffer.from(k.key, "base64"), format: "der", type: "spki" });
+    if (crypto.verify("sha256", Buffer.from(message), key, Buffer.from(s.sig, "base64"))) {
+      return { type: "npm-signature", keyid: s.keyid, verified: true };
+    }
+    throw fail(`bad registry signature for ${name}@${version} (key ${s.keyid})`);
+  }
+
+  throw fail(`no registry signature of ${name}@${version} uses a known registry key`);
+}
+
+/**
+ * Check the npm provenance attestation: a SLSA provenance statement whose subject is this package
+ * version with the tarball's sha512. The Sigstore bundle around it (certificate chain, transparency log)
+ * is not checked here, so the record is verified: false and does not make the source count as verified.
+ *
+ * @param {object} opts
+ * @param {string} opts.name
+ * @param {string} opts.version
+ * @param {string} opts.integrity dist.integrity ("sha512-...")
+ * @param {{attestations?:object[]}} opts.attestations response of dist.attestations.url
+ * @param {string} [opts.repository] expected source repository URL
+ * @returns {{type:"npm-provenance", predicate_type:string, repository:string|null, workflow:string|null, commit:string|null, verified:false}}
+ */
+export function verifyNpmProvenance({ name, version, integrity, attestations, repository = "" }) {
+  const sha512 = /(?:^|\s)sha512-([A-Za-z0-9+/=]+)/.exec(String(integrity || ""))?.[1];
+  if (!sha512) throw fail(`${name}@${version} has no sha512 integrity to match provenance against`);
+  const digest = Buffer.from(sha512, "base64").toString("hex");
+
+  const att = (attestations?.attestations || []).find((a) => /^https:\/\/slsa\.dev\/provenance\//.test(a.predicateType || ""));
+  if (!att) throw fail(`${name}@${version} has no SLSA provenance attestation`);
+
+  let statement;
+  try {
+    statement = JSON.parse(Buffer.from(att.bundle?.dsseEnvelope?.payload || "", "base64").toString("utf8"));
+  } catch {
+    throw fail("unreadable provenance statement");
+  }
+
+  const purl = `pkg:npm/${name.startsWith("@") ? `%40${name.slice(1)}` : name}@${version}`;
+  const subject = (statement.subject || []).find((s) => s.name === purl || s.name === purl.replace("%40", "@"));
+  if (!subject) throw fail(`provenance subject is not ${purl}`);
+  if (subject.digest?.sha512 !== digest) throw fail("provenance subject digest does not match the tarball");
+
+  // SLSA v1 (buildDefinition) and v0.2 (invocation) layouts
+  const p = statement.predicate || {};
+  const wf = p.buildDefinition?.externalParameters?.workflow || {};
+  const repo = wf.repository || p.invocation?.configSource?.uri?.replace(/^git\+/, "").replace(/@.*$/, "") || null;
+  const commit =
+    p.buildDefinition?.resolvedDependencies?.[0]?.digest?.gitCommit || p.invocation?.configSource?.digest?.sha1 || null;
+
+  const norm = (u) => String(u || "").replace(/\.git$/, "").replace(/\/+$/, "").toLowerCase();
+  if (repository && norm(repository) !== norm(repo)) {
+    throw fail(`provenance repository ${repo || "(none)"} does not match ${repository}`);
+  }
+
+  return {
+    type: "npm-provenance",
+    predicate_type: att.predicateType,
+    repository: repo,
+    workflow: wf.path || p.invocation?.configSource?.entryPoint || null,
+    commit,
+    verified: false, // statement matched, Sigstore signature not checked
+  };
+}